@@ -0,0 +1,947 @@
+/**
+ * @project Mock OMR Sheet - Grading Engine
+ * @description Parses answer keys and scores responses without touching the page, so the same logic
+ * runs in the browser (imported by script.js) and under Node (see test/engine.test.js).
+ *
+ * Answers and key entries share one canonical string format per question type: "B" (single correct),
+ * "AC" (multiple correct), "12.5" or "10-12" (numerical) and "PQ/R//T" (matrix match, one group per row A-D).
+ * Key entries may also be "BONUS", "DROPPED" or an "any of" list such as "B|C".
+ *
+ * Readable text (section headers, warnings, errors) comes from `t` in i18n.js, in the current language.
+ */
+
+import { t } from './i18n.js';
+
+// --- Constants ---
+export const OPTION_LETTERS = ['A', 'B', 'C', 'D', 'E'];
+export const MATRIX_ROWS = ['A', 'B', 'C', 'D'];
+export const MATRIX_COLUMNS = ['P', 'Q', 'R', 'S', 'T'];
+// Question types; each one's readable name is the message "questionType.<type>".
+export const QUESTION_TYPES = ['single', 'multiple', 'numerical', 'matrix'];
+// Matches a numerical key such as "12", "-3.5", "10-12" or "10 to 12" (an inclusive range).
+export const NUMERIC_KEY_SOURCE = '(-?\\d*\\.?\\d+)(?:\\s*(?:-|to|TO|~)\\s*(-?\\d*\\.?\\d+))?';
+export const NUMERIC_KEY_PATTERN = new RegExp(`^${NUMERIC_KEY_SOURCE}$`, 'i');
+// Key entries from a revised official key: a bonus question gives everyone full marks, a dropped
+// question is not scored and is excluded from the maximum score. "Any of" entries join the accepted
+// answers with ALTERNATIVE_SEPARATOR, e.g., "B|C".
+export const BONUS_KEY = 'BONUS';
+export const DROPPED_KEY = 'DROPPED';
+export const ALTERNATIVE_SEPARATOR = '|';
+// How sure the candidate was of an answer, in order from most to least sure. Each level's readable
+// name is the message "confidence.<level>" (and "confidence.untagged" for answers without a tag).
+export const CONFIDENCE_LEVELS = ['sure', 'fifty-fifty', 'guess'];
+const TOP_GROUP_SHARE = 0.27; // The best-scoring 27% of candidates form the "top group" in item analysis
+const MIN_CANDIDATES_FOR_KEY_FLAGS = 5; // Fewer candidates than this are too few to question the key
+
+// --- Sections ---
+
+/**
+ * Builds a section object from raw form values, ensuring wrong marks are negative.
+ * @param {Object} fields - { title, start, count, type, optionCount, correct, wrong, partial, limit } as read from the form.
+ * @returns {Object} The section definition.
+ */
+export function buildSection({ title, start, count, type = 'single', optionCount = 4, correct = '', wrong = '', partial = '', limit = '' }) {
+    let wrongMarks = wrong ? parseFloat(wrong) : null;
+    if (wrongMarks !== null && wrongMarks > 0) wrongMarks = -wrongMarks;
+    return {
+        title,
+        start,
+        end: start + count - 1,
+        type,
+        optionCount,
+        correctMarks: correct ? parseFloat(correct) : null,
+        wrongMarks,
+        partialMarks: partial ? Math.abs(parseFloat(partial)) : null,
+        attemptLimit: limit ? parseInt(limit, 10) : null,
+    };
+}
+
+/**
+ * Describes a section's range, type and marking scheme for its header, e.g., "Q1-25 | +4 / -1 | Attempt any 20 of 25".
+ * @param {Object} section - The section to describe.
+ * @returns {string} The description.
+ */
+export function describeSection(section) {
+    const parts = [`Q${section.start}-${section.end}`];
+    if (section.type !== 'single') parts.push(t(`questionType.${section.type}`));
+    if (section.correctMarks !== null) parts.push(`+${section.correctMarks} / ${section.wrongMarks || 0}`);
+    if (section.partialMarks !== null) parts.push(t('section.partial', { marks: section.partialMarks }));
+    if (section.attemptLimit !== null) parts.push(t('section.attemptLimit', { limit: section.attemptLimit, count: section.end - section.start + 1 }));
+    return parts.join(' | ');
+}
+
+/**
+ * Finds the section that contains a question.
+ * @param {Array<Object>} sheetSections - The sections of the sheet.
+ * @param {number} questionNumber - The question number.
+ * @returns {Object|undefined} The section, or undefined if the question is not on the sheet.
+ */
+export function findSection(sheetSections, questionNumber) {
+    return sheetSections.find(section => questionNumber >= section.start && questionNumber <= section.end);
+}
+
+/**
+ * Counts the questions on a sheet; sections are numbered consecutively from 1.
+ * @param {Array<Object>} sheetSections - The sections of the sheet.
+ * @returns {number} The number of questions.
+ */
+export function getQuestionCount(sheetSections) {
+    return sheetSections.length > 0 ? sheetSections[sheetSections.length - 1].end : 0;
+}
+
+/**
+ * Checks whether any section defines marks, which switches results from a count to a score.
+ * @param {Array<Object>} sheetSections - The sections of the sheet.
+ * @returns {boolean} True if a marking scheme is in use.
+ */
+export function hasMarkingScheme(sheetSections) {
+    return sheetSections.some(section => section.correctMarks !== null);
+}
+
+/**
+ * Rebuilds the sections of a sheet read from a file (an exam package or a response file), so a
+ * hand-edited file cannot produce a sheet the configuration panel would refuse: sections must number
+ * the questions from 1 without gaps, stay within `maxQuestions`, and carry numeric marks or none.
+ * @param {any} fileSections - The "sections" value from the file.
+ * @param {number} maxQuestions - The most questions a sheet may have.
+ * @returns {Array<Object>|null} The sections (see `buildSection`), or null if any of them is invalid.
+ */
+export function readSheetSections(fileSections, maxQuestions) {
+    if (!Array.isArray(fileSections) || fileSections.length === 0) return null;
+    const isMarks = value => value === null || value === undefined || (typeof value === 'number' && Number.isFinite(value));
+    const toField = value => (value === null || value === undefined ? '' : String(value));
+    const rebuilt = [];
+    let start = 1;
+    for (const section of fileSections) {
+        if (!section || typeof section !== 'object' || section.start !== start || !Number.isInteger(section.end) || section.end < start) return null;
+        const count = section.end - start + 1;
+        const optionCount = section.optionCount ?? 4;
+        const limit = section.attemptLimit ?? null;
+        if (!QUESTION_TYPES.includes(section.type) || (optionCount !== 4 && optionCount !== 5)) return null;
+        if (!isMarks(section.correctMarks) || !isMarks(section.wrongMarks) || !isMarks(section.partialMarks)) return null;
+        if (limit !== null && (!Number.isInteger(limit) || limit < 1 || limit > count)) return null;
+        rebuilt.push(buildSection({
+            title: typeof section.title === 'string' ? section.title : '',
+            start,
+            count,
+            type: section.type,
+            optionCount,
+            correct: toField(section.correctMarks),
+            wrong: toField(section.wrongMarks),
+            partial: toField(section.partialMarks),
+            limit: toField(limit),
+        }));
+        start += count;
+        if (start - 1 > maxQuestions) return null;
+    }
+    return rebuilt;
+}
+
+/**
+ * Checks the answers and records saved in an exam package or response file against the sheet read from it
+ * (see `readSheetSections`), since the file may have been edited by hand. Fields the file leaves out get
+ * their empty value.
+ * - Answers must be strings valid for their question's section; they are returned in the canonical format.
+ *   Numerical answers are kept as typed, like answers typed on the sheet.
+ * - Review flags must list questions of the sheet; confidence tags must be one of `CONFIDENCE_LEVELS`.
+ * - Timings and answer logs must have the fields the sheet records, with times as non-negative numbers.
+ * - The duration and warning times must be positive numbers of milliseconds.
+ * @param {Object} file - The parsed file.
+ * @param {Array<Object>} sheetSections - The sections of its sheet.
+ * @returns {{records: Object, invalid: Array<string>}} The checked fields by name (title, rollNumber, responses,
+ * reviewFlags, confidenceTags, questionTimings, answerLogs, examDurationMs, warningThresholdsMs, elapsedMs,
+ * autoSubmitted, exportedAt) and the names of the fields that are not valid.
+ */
+export function readFileRecords(file, sheetSections) {
+    const questionCount = getQuestionCount(sheetSections);
+    const isQuestion = value => Number.isInteger(Number(value)) && String(Number(value)) === String(value) && value >= 1 && value <= questionCount;
+    const isTime = value => typeof value === 'number' && Number.isFinite(value) && value >= 0;
+    const isRecord = value => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+    const isMissing = value => value === undefined || value === null;
+    // Each reader returns the checked value, or undefined if it is not valid.
+    const byQuestion = readEntry => value => {
+        if (isMissing(value)) return {};
+        if (!isRecord(value)) return undefined;
+        const entries = Object.entries(value).map(([questionNumber, entry]) => [questionNumber, isQuestion(questionNumber) ? readEntry(entry, Number(questionNumber)) : undefined]);
+        return entries.every(([, entry]) => entry !== undefined) ? Object.fromEntries(entries) : undefined;
+    };
+    const readAnswer = (answer, questionNumber) => {
+        if (typeof answer !== 'string') return undefined;
+        if (!answer.trim()) return '';
+        const section = findSection(sheetSections, questionNumber);
+        return section.type === 'numerical' ? answer.trim() : normalizeAnswer(answer.trim().toUpperCase(), section) ?? undefined;
+    };
+    const readTiming = timing => {
+        if (!isRecord(timing) || !(timing.firstVisitMs === null || isTime(timing.firstVisitMs)) || !isTime(timing.dwellMs)) return undefined;
+        if (!Number.isInteger(timing.changes) || timing.changes < 0 || typeof timing.lastAnswer !== 'string') return undefined;
+        return { firstVisitMs: timing.firstVisitMs, dwellMs: timing.dwellMs, changes: timing.changes, lastAnswer: timing.lastAnswer };
+    };
+    const readLog = log => {
+        const isEvent = event => isRecord(event) && isTime(event.atMs) && ['select', 'clear'].includes(event.action) && typeof event.answer === 'string';
+        return Array.isArray(log) && log.every(isEvent) ? log.map(({ atMs, action, answer }) => ({ atMs, action, answer })) : undefined;
+    };
+    const readers = {
+        title: value => isMissing(value) ? '' : typeof value === 'string' ? value : undefined,
+        rollNumber: value => isMissing(value) ? '' : typeof value === 'string' ? value : undefined,
+        responses: byQuestion(readAnswer),
+        reviewFlags: value => {
+            if (isMissing(value)) return [];
+            return Array.isArray(value) && value.every(isQuestion) && new Set(value).size === value.length ? value.map(Number) : undefined;
+        },
+        confidenceTags: byQuestion(level => CONFIDENCE_LEVELS.includes(level) ? level : undefined),
+        questionTimings: byQuestion(readTiming),
+        answerLogs: byQuestion(readLog),
+        examDurationMs: value => isMissing(value) ? null : isTime(value) && value > 0 ? value : undefined,
+        warningThresholdsMs: value => {
+            if (isMissing(value)) return [];
+            return Array.isArray(value) && value.every(threshold => isTime(threshold) && threshold > 0) ? value : undefined;
+        },
+        elapsedMs: value => isMissing(value) ? 0 : isTime(value) ? value : undefined,
+        autoSubmitted: value => isMissing(value) ? false : typeof value === 'boolean' ? value : undefined,
+        exportedAt: value => isMissing(value) ? null : isTime(value) ? value : undefined,
+    };
+    const records = {};
+    const invalid = [];
+    Object.entries(readers).forEach(([field, read]) => {
+        const value = read(file[field]);
+        if (value === undefined) invalid.push(field);
+        else records[field] = value;
+    });
+    return { records, invalid };
+}
+
+// --- Answer Keys ---
+
+/**
+ * Validates a raw answer key entry for a question type and converts it to its canonical form:
+ * "BONUS", "DROPPED", an "any of" list such as "B|C" (also written "B/C" or "B OR C"; matrix keys use "|" only),
+ * or a single answer (see `normalizeAnswer`).
+ * @param {string|number} raw - The entry as typed or parsed (e.g., "ca", 12.5, "10 to 12", "pq/r/s/t", "b/c", "bonus").
+ * @param {Object} section - The section the question belongs to.
+ * @returns {string|null} The canonical key entry, or null if it is not valid for the section.
+ */
+export function normalizeKeyEntry(raw, section) {
+    const value = String(raw).trim().toUpperCase();
+    if (!value) return null;
+    if (value === BONUS_KEY) return BONUS_KEY;
+    if (value === DROPPED_KEY || value === 'DROP') return DROPPED_KEY;
+
+    const alternatives = value.split(section.type === 'matrix' ? /\s*(?:\||\bOR\b)\s*/ : /\s*(?:\||\/|\bOR\b)\s*/);
+    if (alternatives.length === 1) return normalizeAnswer(value, section);
+    const accepted = alternatives.map(alternative => normalizeAnswer(alternative, section));
+    if (accepted.some(answer => answer === null)) return null;
+    return [...new Set(accepted)].join(ALTERNATIVE_SEPARATOR);
+}
+
+/**
+ * Converts a single raw answer into the canonical format for a section's question type:
+ * "B" (single), "AC" (multiple), "12.5" or "10-12" (numerical) and "PQ/R/S/T" (matrix).
+ * @param {string} value - The upper-cased, trimmed answer.
+ * @param {Object} section - The section the question belongs to.
+ * @returns {string|null} The canonical answer, or null if it is not valid for the section.
+ */
+export function normalizeAnswer(value, section) {
+    if (!value) return null;
+
+    if (section.type === 'numerical') {
+        const match = value.match(NUMERIC_KEY_PATTERN);
+        if (!match) return null;
+        const bounds = [parseFloat(match[1]), match[2] !== undefined ? parseFloat(match[2]) : parseFloat(match[1])].sort((a, b) => a - b);
+        return bounds[0] === bounds[1] ? `${bounds[0]}` : `${bounds[0]}-${bounds[1]}`;
+    }
+
+    if (section.type === 'matrix') {
+        const columns = MATRIX_COLUMNS.slice(0, section.optionCount);
+        const groups = value.replace(/\s/g, '').split('/');
+        if (groups.length !== MATRIX_ROWS.length || groups.every(group => !group)) return null;
+        if (!groups.every(group => [...group].every(letter => columns.includes(letter)))) return null;
+        return groups.map(group => [...new Set(group)].sort().join('')).join('/');
+    }
+
+    const options = OPTION_LETTERS.slice(0, section.optionCount);
+    const letters = [...new Set(value.replace(/[\s,]/g, ''))].sort();
+    if (!letters.every(letter => options.includes(letter))) return null;
+    if (section.type === 'multiple') return letters.join('');
+    return letters.length === 1 ? letters[0] : null;
+}
+
+/**
+ * Formats a canonical key entry for display, e.g., "B|C" -> "B or C", "BONUS" -> "Bonus".
+ * @param {string} keyEntry - The canonical key entry.
+ * @returns {string} The readable key entry.
+ */
+export function formatKeyEntry(keyEntry) {
+    if (keyEntry === BONUS_KEY) return t('key.bonus');
+    if (keyEntry === DROPPED_KEY) return t('key.dropped');
+    return keyEntry.split(ALTERNATIVE_SEPARATOR).join(t('key.orSeparator'));
+}
+
+/**
+ * Splits a manually typed key into entries. Keys separated by commas, semicolons or spaces
+ * ("A, AC, 12.5, 10-12") are split on those; a plain string ("ABCD") is read one letter per question.
+ * @param {string} manualKey - The upper-cased manual key.
+ * @returns {Array<string>} The individual entries.
+ */
+export function splitManualKey(manualKey) {
+    if (/[\s,;]/.test(manualKey)) return manualKey.split(/[\s,;]+/).filter(Boolean);
+    return [...manualKey];
+}
+
+/**
+ * Parses a manually typed key (see `splitManualKey`) into a full answer key for the sheet.
+ * @param {string} manualKey - The manual key, e.g., "A, AC, 12.5, 10-12" or "ABCD".
+ * @param {Array<Object>} sheetSections - The sections of the sheet.
+ * @returns {{key: Object|null, error: string}} The answer key, or null with an error when the key does not fit the sheet.
+ */
+export function parseManualKey(manualKey, sheetSections) {
+    const totalQuestions = getQuestionCount(sheetSections);
+    const entries = splitManualKey(manualKey.trim().toUpperCase());
+    if (entries.length !== totalQuestions) {
+        return { key: null, error: t('key.manualCountMismatch', { count: entries.length, total: totalQuestions }) };
+    }
+    const key = {};
+    for (let i = 1; i <= totalQuestions; i++) {
+        const section = findSection(sheetSections, i);
+        const entry = normalizeKeyEntry(entries[i - 1], section);
+        if (entry === null) {
+            return { key: null, error: t('key.manualInvalidAnswer', { answer: entries[i - 1], question: i, type: t(`questionType.${section.type}`) }) };
+        }
+        key[i] = entry;
+    }
+    return { key, error: '' };
+}
+
+/**
+ * Parses an answer key from any supported source and checks it against the sheet.
+ * - A string is read as free text (a PDF's text, a .txt file or pasted text; see `readKeyText`).
+ * - An array of arrays is read as spreadsheet rows (Excel, CSV or TSV; see `readKeyRows`).
+ * - Any other array or object is read as JSON (see `readKeyJSON`).
+ * @param {string|Array|Object} input - The key source.
+ * @param {Array<Object>} sheetSections - The sections of the sheet.
+ * @returns {{key: Object, warnings: Array<string>, rows: Array<Object>, missing: Array<number>}} The usable key,
+ * readable warnings about entries that were skipped or are missing, and the details from `validateKeyEntries`.
+ */
+export function parseKey(input, sheetSections) {
+    let entries;
+    if (typeof input === 'string') entries = readKeyText(input, sheetSections);
+    else if (Array.isArray(input) && input.length > 0 && input.every(Array.isArray)) entries = readKeyRows(input);
+    else entries = readKeyJSON(input);
+
+    const { key, rows, missing } = validateKeyEntries(entries, sheetSections);
+    const countOf = status => rows.filter(row => row.status === status).length;
+    const warnings = [];
+    if (countOf('duplicate') > 0) warnings.push(t('key.warningDuplicate', { count: countOf('duplicate') }));
+    if (countOf('out-of-range') > 0) warnings.push(t('key.warningOutOfRange', { count: countOf('out-of-range') }));
+    if (countOf('invalid') > 0) warnings.push(t('key.warningInvalid', { count: countOf('invalid') }));
+    if (missing.length > 0) warnings.push(t('key.warningMissing', { questions: `Q${missing.join(', Q')}` }));
+    return { key, warnings, rows, missing };
+}
+
+/**
+ * Reads key entries from spreadsheet rows (Excel, CSV or TSV): question number, then answer.
+ * Rows without a question number (e.g., a header row) are skipped.
+ * @param {Array<Array<any>>} rows - The sheet data from SheetJS or `parseDelimitedText`.
+ * @returns {Array<{questionNumber: number, raw: any}>} The entries in file order.
+ */
+export function readKeyRows(rows) {
+    const entries = [];
+    rows.forEach(row => {
+        const qNum = parseInt(row[0], 10);
+        if (!isNaN(qNum) && row[1] !== undefined && String(row[1]).trim() !== '') {
+            entries.push({ questionNumber: qNum, raw: row[1] });
+        }
+    });
+    return entries;
+}
+
+/**
+ * Reads key entries from JSON. Accepted shapes:
+ * { "1": "A", "2": "C" }, ["A", "C"], [{ "q": 1, "answer": "A" }], optionally wrapped as { "answers": ... } or { "key": ... }.
+ * @param {any} json - The parsed JSON value.
+ * @returns {Array<{questionNumber: number, raw: any}>} The entries in file order.
+ */
+export function readKeyJSON(json) {
+    let data = json;
+    if (data && !Array.isArray(data) && typeof data === 'object' && (data.answers || data.key)) data = data.answers || data.key;
+
+    const entries = [];
+    if (Array.isArray(data)) {
+        data.forEach((item, index) => {
+            if (item !== null && typeof item === 'object') {
+                const questionNumber = item.q ?? item.question ?? item.questionNumber ?? item.number;
+                const answer = item.answer ?? item.key ?? item.correct ?? item.option;
+                if (questionNumber !== undefined && answer !== undefined) entries.push({ questionNumber: parseInt(questionNumber, 10), raw: answer });
+            } else if (item !== null && item !== undefined) {
+                entries.push({ questionNumber: index + 1, raw: item });
+            }
+        });
+    } else if (data && typeof data === 'object') {
+        Object.entries(data).forEach(([questionNumber, answer]) => {
+            if (!isNaN(parseInt(questionNumber, 10))) entries.push({ questionNumber: parseInt(questionNumber, 10), raw: answer });
+        });
+    }
+    return entries;
+}
+
+/**
+ * Reads key entries from text (a PDF, a .txt file or pasted text) using a regular expression,
+ * e.g., "1. A 2. C" or "1-A, 2-C" on one or many lines.
+ * @param {string} text - The text content.
+ * @param {Array<Object>} sheetSections - The sections of the sheet; numbers are only read as answers when it has numerical questions.
+ * @returns {Array<{questionNumber: number, raw: string}>} The entries in text order.
+ */
+export function readKeyText(text, sheetSections) {
+    // Bonus/dropped entries, matrix keys ("PQ/R/S/T") and option letters ("A", "AC", "B/C") are always recognised;
+    // numbers are only read as answers when the sheet has numerical questions. A number answer must be set apart
+    // from its question number by a separator or a space, so run-together digits ("112") are not split into one.
+    const answerPatterns = ['[Bb]onus|BONUS|[Dd]ropped|DROPPED|[Dd]rop|DROP', '[A-T]*(?:\\/[A-T]*){3}', '[A-E]{1,5}(?:\\s*(?:\\/|\\||or|OR)\\s*[A-E]{1,5})+', '[A-E]{1,5}'];
+    const entryPatterns = [`(?<!\\d)(\\d+)\\s*[:.)-]?\\s*(${answerPatterns.join('|')})`];
+    if (sheetSections.some(section => section.type === 'numerical')) {
+        entryPatterns.push(`(?<!\\d)(\\d+)(?:[ \\t]*[:.)-][ \\t]*|[ \\t]+)(${NUMERIC_KEY_SOURCE})`);
+    }
+    const regex = new RegExp(`(?:${entryPatterns.join('|')})(?![A-Za-z0-9])`, 'g');
+    let match;
+    const entries = [];
+    while ((match = regex.exec(text)) !== null) {
+        // The number answer's groups follow the other answers' two.
+        const [questionNumber, raw] = match[1] !== undefined ? [match[1], match[2]] : [match[3], match[4]];
+        entries.push({ questionNumber: parseInt(questionNumber, 10), raw });
+    }
+    return entries;
+}
+
+/**
+ * Splits CSV or TSV text into rows of cells, honouring double-quoted cells.
+ * @param {string} text - The file content.
+ * @param {string} delimiter - The cell separator (',' or '\t').
+ * @returns {Array<Array<string>>} The rows.
+ */
+export function parseDelimitedText(text, delimiter) {
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let inQuotes = false;
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (inQuotes) {
+            if (char === '"' && text[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                cell += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === delimiter) {
+            row.push(cell.trim());
+            cell = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(cell.trim());
+            rows.push(row);
+            row = [];
+            cell = '';
+        } else {
+            cell += char;
+        }
+    }
+    if (cell || row.length > 0) {
+        row.push(cell.trim());
+        rows.push(row);
+    }
+    return rows;
+}
+
+/**
+ * Checks parsed key entries against the sheet: flags duplicates (the first value is kept),
+ * question numbers outside the sheet, answers that are invalid for the question type, and
+ * questions with no answer.
+ * @param {Array<{questionNumber: number, raw: any}>} entries - The entries in file order.
+ * @param {Array<Object>} sheetSections - The sections of the sheet.
+ * @returns {{key: Object, rows: Array<Object>, missing: Array<number>}} The usable key, one row per entry and the missing question numbers.
+ */
+export function validateKeyEntries(entries, sheetSections) {
+    const key = {};
+    const rows = entries.map(({ questionNumber, raw }) => {
+        const row = { questionNumber, raw: String(raw).trim(), answer: null, status: 'ok' };
+        const section = findSection(sheetSections, questionNumber);
+        if (!section) {
+            row.status = 'out-of-range';
+        } else if (key[questionNumber] !== undefined) {
+            row.status = 'duplicate';
+        } else {
+            row.answer = normalizeKeyEntry(raw, section);
+            if (row.answer === null) row.status = 'invalid';
+            else key[questionNumber] = row.answer;
+        }
+        return row;
+    });
+    const missing = [];
+    for (let i = 1; i <= getQuestionCount(sheetSections); i++) {
+        if (key[i] === undefined) missing.push(i);
+    }
+    return { key, rows, missing };
+}
+
+// --- Scoring ---
+
+/**
+ * Scores a set of responses against an answer key, section by section, using each section's question
+ * type and marks. Used for the sheet on screen and for every candidate in a batch.
+ * @param {Object} responses - Answers by question number, in the canonical format (e.g., "B", "AC", "12.5",
+ * "PQ/R//T"); missing means unanswered.
+ * @param {Object} key - The answer key by question number (see `parseKey` and `normalizeKeyEntry`).
+ * @param {Array<Object>} sheetSections - The sections of the sheet, which carry the marking scheme (see `buildSection`).
+ * @param {Object} [paperSet=null] - The set the responses were answered on, after `toMasterResponses` moved them to
+ * the master numbering. In "attempt any N" sections, the first N are then counted in the set's question order.
+ * @returns {{sectionResults: Array<Object>, questionResults: Object, totals: Object, score: Object}} Per-section counts
+ * and marks, the evaluation of each question, the counts and marks for the whole sheet, and the score (see `describeScore`).
+ */
+export function grade(responses, key, sheetSections, paperSet = null) {
+    const evaluations = {};
+    const results = sheetSections.map(section => {
+        const result = { title: section.title, correct: 0, partial: 0, incorrect: 0, unanswered: 0, notEvaluated: 0, bonus: 0, dropped: 0, gained: 0, lost: 0, maxScore: 0 };
+        const positiveMarks = section.correctMarks !== null ? section.correctMarks : 1;
+        let scoredCount = 0;
+        for (let i = section.start; i <= section.end; i++) {
+            if (key[i] !== DROPPED_KEY) scoredCount++;
+        }
+        result.maxScore = (section.attemptLimit !== null ? Math.min(section.attemptLimit, scoredCount) : scoredCount) * positiveMarks;
+        let attempted = 0;
+
+        getAnswerOrder(section, paperSet).forEach(i => {
+            const response = responses[i] || '';
+            // Bonus and dropped questions are scored the same for everyone and do not use up the attempt limit.
+            const isRevisedKey = key[i] === BONUS_KEY || key[i] === DROPPED_KEY;
+
+            if (!response && !isRevisedKey) {
+                result.unanswered++;
+                evaluations[i] = { status: 'unanswered', marks: 0 };
+                return;
+            }
+            if (!isRevisedKey) attempted++;
+
+            if (!isRevisedKey && section.attemptLimit !== null && attempted > section.attemptLimit) {
+                // In "attempt any N" sections, only the first N attempted questions are evaluated.
+                result.notEvaluated++;
+                evaluations[i] = { status: 'not-evaluated', marks: 0 };
+                return;
+            }
+
+            const evaluation = evaluateResponse(section, response, key[i]);
+            evaluations[i] = evaluation;
+            result[evaluation.status]++;
+            if (evaluation.marks >= 0) result.gained += evaluation.marks;
+            else result.lost += evaluation.marks;
+        });
+        return result;
+    });
+
+    const totals = sumSectionResults(results);
+    return { sectionResults: results, questionResults: evaluations, totals, score: describeScore(totals, sheetSections) };
+}
+
+/**
+ * Lists a section's master question numbers in the order the candidate met them: the master order, or the
+ * order of their paper set, which keeps each question within its section (see `readPaperSets`).
+ * @param {Object} section - The section.
+ * @param {Object} [paperSet] - The set the candidate answered, if any.
+ * @returns {Array<number>} The section's master question numbers.
+ */
+function getAnswerOrder(section, paperSet) {
+    const questions = [];
+    for (let i = section.start; i <= section.end; i++) questions.push(i);
+    if (!paperSet) return questions;
+    const setQuestionOf = {};
+    Object.entries(paperSet.questionOrder).forEach(([setQuestion, masterQuestion]) => setQuestionOf[masterQuestion] = Number(setQuestion));
+    return questions.sort((a, b) => (setQuestionOf[a] ?? a) - (setQuestionOf[b] ?? b));
+}
+
+/**
+ * Scores a single response against its key entry using the section's question type and marks.
+ * - Bonus: full marks, whether or not the question was answered. Dropped: no marks either way.
+ * - "Any of" entries: the response is scored against each accepted answer and the best result counts.
+ * - Single correct: full marks for a match, wrong marks otherwise.
+ * - Multiple correct: full marks when every correct option is chosen; partial marks per correct
+ *   option when only some are chosen (if the section defines partial marks); wrong marks if any
+ *   incorrect option is chosen.
+ * - Numerical: full marks when the value is equal to, or within the range of, the key.
+ * - Matrix match: full marks when every row matches; partial marks per fully matched row (if
+ *   defined) when no wrong pairing is chosen; wrong marks otherwise.
+ * @param {Object} section - The section the question belongs to.
+ * @param {string} response - The candidate's answer (see `getResponse`).
+ * @param {string} [keyEntry] - The canonical key entry.
+ * @returns {{status: string, marks: number}} status is 'correct', 'partial', 'incorrect', 'unanswered', 'bonus' or 'dropped'.
+ */
+export function evaluateResponse(section, response, keyEntry) {
+    const correct = { status: 'correct', marks: section.correctMarks !== null ? section.correctMarks : 1 };
+    if (keyEntry === BONUS_KEY) return { status: 'bonus', marks: correct.marks };
+    if (keyEntry === DROPPED_KEY) return { status: 'dropped', marks: 0 };
+    if (!response) return { status: 'unanswered', marks: 0 };
+    if (keyEntry && keyEntry.includes(ALTERNATIVE_SEPARATOR)) {
+        return keyEntry.split(ALTERNATIVE_SEPARATOR)
+            .map(alternative => evaluateResponse(section, response, alternative))
+            .reduce((best, evaluation) => evaluation.marks > best.marks ? evaluation : best);
+    }
+    const incorrect = { status: 'incorrect', marks: section.wrongMarks || 0 };
+    const key = keyEntry || '';
+
+    if (section.type === 'numerical') {
+        return isWithinNumericKey(response, key) ? correct : incorrect;
+    }
+
+    if (section.type === 'multiple') {
+        const chosen = [...response];
+        if (chosen.some(option => !key.includes(option))) return incorrect;
+        if (chosen.length === key.length) return correct;
+        if (section.partialMarks === null) return incorrect;
+        return { status: 'partial', marks: chosen.length * section.partialMarks };
+    }
+
+    if (section.type === 'matrix') {
+        const chosenRows = response.split('/');
+        const keyRows = key.split('/');
+        if (chosenRows.every((group, index) => group === (keyRows[index] || ''))) return correct;
+        const hasWrongPair = chosenRows.some((group, index) => [...group].some(column => !(keyRows[index] || '').includes(column)));
+        const matchedRows = chosenRows.filter((group, index) => group && group === keyRows[index]).length;
+        if (hasWrongPair || matchedRows === 0 || section.partialMarks === null) return incorrect;
+        return { status: 'partial', marks: matchedRows * section.partialMarks };
+    }
+
+    return response === key ? correct : incorrect;
+}
+
+/**
+ * Checks whether a numerical response equals, or lies within the range of, a numerical key entry.
+ * @param {string} response - The typed answer.
+ * @param {string} keyEntry - A canonical numerical key, e.g., "12.5" or "10-12".
+ * @returns {boolean} True if the response is accepted.
+ */
+export function isWithinNumericKey(response, keyEntry) {
+    const value = Number(response);
+    const match = keyEntry.match(NUMERIC_KEY_PATTERN);
+    if (isNaN(value) || !match) return false;
+    const low = parseFloat(match[1]);
+    const high = match[2] !== undefined ? parseFloat(match[2]) : low;
+    const tolerance = 1e-9; // Guards against floating point noise such as 0.1 + 0.2.
+    return value >= low - tolerance && value <= high + tolerance;
+}
+
+/**
+ * Lists the input values that make up an answer or key entry, e.g., "AC" -> ["A", "C"], "P/QR//" -> ["AP", "BQ", "BR"].
+ * For an "any of" entry every accepted option is listed.
+ * @param {Object} section - The section the question belongs to.
+ * @param {string} answer - The canonical answer or key entry.
+ * @returns {Array<string>} The values of the inputs that should be marked.
+ */
+export function getOptionValues(section, answer) {
+    if (!answer || section.type === 'numerical' || answer === BONUS_KEY || answer === DROPPED_KEY) return [];
+    if (answer.includes(ALTERNATIVE_SEPARATOR)) {
+        return [...new Set(answer.split(ALTERNATIVE_SEPARATOR).flatMap(alternative => getOptionValues(section, alternative)))];
+    }
+    if (section.type === 'matrix') {
+        return answer.split('/').flatMap((group, index) => [...group].map(column => `${MATRIX_ROWS[index]}${column}`));
+    }
+    return [...answer];
+}
+
+/**
+ * Adds up per-section results into totals for the whole sheet.
+ * @param {Array<Object>} results - Entries of `sectionResults`.
+ * @returns {Object} The totals (same fields as a section result).
+ */
+export function sumSectionResults(results) {
+    return results.reduce((sum, result) => {
+        Object.keys(sum).forEach(field => sum[field] += result[field]);
+        return sum;
+    }, { correct: 0, partial: 0, incorrect: 0, unanswered: 0, notEvaluated: 0, bonus: 0, dropped: 0, gained: 0, lost: 0, maxScore: 0 });
+}
+
+/**
+ * Works out the score shown for a set of totals: net marks with a marking scheme, otherwise the number right.
+ * @param {Object} totals - The totals from `grade`.
+ * @param {Array<Object>} sheetSections - The sections of the sheet.
+ * @returns {{value: number, score: string, outOf: string}} The numeric score and its display texts,
+ * e.g., { value: 16, score: "16", outOf: "out of 20" } or { value: 7, score: "7 / 10", outOf: "" }.
+ */
+export function describeScore(totals, sheetSections) {
+    if (hasMarkingScheme(sheetSections)) {
+        const value = totals.gained + totals.lost;
+        return { value, score: `${value}`, outOf: t('score.outOf', { max: totals.maxScore }) };
+    }
+    const value = totals.correct + totals.bonus;
+    return { value, score: `${value} / ${totals.maxScore}`, outOf: '' };
+}
+
+// --- Confidence ---
+
+/**
+ * Adds up the graded answers at each confidence level the candidate tagged, and the answers left untagged.
+ * Only answers marked correct, partially correct or incorrect count; bonus, dropped and unevaluated ones are left out.
+ * @param {Object} questionResults - The evaluation of each question (see `grade`).
+ * @param {Object} confidence - Tags by question number: one of `CONFIDENCE_LEVELS`.
+ * @returns {Array<{level: string, attempted: number, correct: number, partial: number, incorrect: number, accuracy: number, net: number}>}
+ * One entry per level, in the order of `CONFIDENCE_LEVELS` and then 'untagged', leaving out levels without answers.
+ * accuracy is the percentage of the answers that were fully correct.
+ */
+export function summariseConfidence(questionResults, confidence) {
+    const summaries = {};
+    Object.entries(questionResults).forEach(([questionNumber, evaluation]) => {
+        if (!['correct', 'partial', 'incorrect'].includes(evaluation.status)) return;
+        const level = CONFIDENCE_LEVELS.includes(confidence[questionNumber]) ? confidence[questionNumber] : 'untagged';
+        if (!summaries[level]) summaries[level] = { level, attempted: 0, correct: 0, partial: 0, incorrect: 0, accuracy: 0, net: 0 };
+        const summary = summaries[level];
+        summary.attempted++;
+        summary[evaluation.status]++;
+        summary.net += evaluation.marks;
+    });
+    return [...CONFIDENCE_LEVELS, 'untagged'].filter(level => summaries[level]).map(level => {
+        const summary = summaries[level];
+        summary.accuracy = (summary.correct / summary.attempted) * 100;
+        return summary;
+    });
+}
+
+/**
+ * Leaves out the answers tagged with some confidence levels, e.g., to score the sheet as if every guess had been skipped.
+ * @param {Object} responses - Answers by question number.
+ * @param {Object} confidence - Tags by question number (see `summariseConfidence`).
+ * @param {Array<string>} levels - The levels to leave out.
+ * @returns {Object} The remaining answers.
+ */
+export function skipByConfidence(responses, confidence, levels) {
+    return Object.fromEntries(Object.entries(responses).filter(([questionNumber]) => !levels.includes(confidence[questionNumber])));
+}
+
+// --- Item Analysis ---
+
+/**
+ * Analyses each question across graded candidates (or attempts): how many got it right, how often each option
+ * was chosen, the most popular wrong answer, the point-biserial correlation between getting it right and the
+ * total score, and whether the key looks wrong. Questions without a key are left out; bonus and dropped ones are
+ * listed but not analysed.
+ * - Point-biserial: (mean score of those right - mean score of the rest) / SD of the scores * sqrt(p * q), where
+ *   p is the share who got it right; null when everyone or no one did, or all scores are equal.
+ * - Key flags, given from `MIN_CANDIDATES_FOR_KEY_FLAGS` candidates on: 'lower-scores' (negative point-biserial),
+ *   'popular-distractor' (a wrong answer chosen more often than the key) and 'top-scorers' (a wrong answer chosen
+ *   by more of the top group than the key).
+ * @param {Array<Object>} candidates - { score, responses, questionResults } for each candidate, by master question
+ * number (see `grade`).
+ * @param {Object} key - The answer key.
+ * @param {Array<Object>} sheetSections - The sections of the sheet.
+ * @returns {Array<Object>} One entry per question: { questionNumber, section, keyEntry, excluded, percentCorrect,
+ * blankPercent, choices: [{ option, percent }], topDistractor: { answer, count, percent } | null, pointBiserial,
+ * keyFlags: [{ reason, answer? }] }.
+ */
+export function analyseItems(candidates, key, sheetSections) {
+    const count = candidates.length;
+    if (count === 0) return [];
+    const meanScore = candidates.reduce((sum, candidate) => sum + candidate.score, 0) / count;
+    const scoreDeviation = Math.sqrt(candidates.reduce((sum, candidate) => sum + (candidate.score - meanScore) ** 2, 0) / count);
+    const topGroup = [...candidates].sort((a, b) => b.score - a.score).slice(0, Math.max(1, Math.round(count * TOP_GROUP_SHARE)));
+    const percentOf = value => (value / count) * 100;
+    // Tallies the wrong answers given by a group of candidates, most common first.
+    const tallyWrongAnswers = (group, questionNumber) => {
+        const tally = {};
+        group.forEach(candidate => {
+            if (candidate.questionResults[questionNumber]?.status !== 'incorrect') return;
+            const answer = candidate.responses[questionNumber];
+            tally[answer] = (tally[answer] || 0) + 1;
+        });
+        return Object.entries(tally).sort((a, b) => b[1] - a[1]);
+    };
+
+    const items = [];
+    sheetSections.forEach(section => {
+        for (let i = section.start; i <= section.end; i++) {
+            const keyEntry = key[i];
+            if (!keyEntry) continue; // Not evaluated, so there is nothing to analyse
+            const item = { questionNumber: i, section, keyEntry, excluded: keyEntry === BONUS_KEY || keyEntry === DROPPED_KEY, percentCorrect: null, blankPercent: null, choices: [], topDistractor: null, pointBiserial: null, keyFlags: [] };
+            items.push(item);
+            if (item.excluded) continue;
+
+            const isRight = candidate => candidate.questionResults[i]?.status === 'correct';
+            const right = candidates.filter(isRight);
+            item.percentCorrect = percentOf(right.length);
+            item.blankPercent = percentOf(candidates.filter(candidate => !candidate.responses[i]).length);
+            if (section.type === 'single' || section.type === 'multiple') {
+                item.choices = OPTION_LETTERS.slice(0, section.optionCount).map(option => ({
+                    option,
+                    percent: percentOf(candidates.filter(candidate => (candidate.responses[i] || '').includes(option)).length),
+                }));
+            }
+            const wrongAnswers = tallyWrongAnswers(candidates, i);
+            if (wrongAnswers.length > 0) {
+                item.topDistractor = { answer: wrongAnswers[0][0], count: wrongAnswers[0][1], percent: percentOf(wrongAnswers[0][1]) };
+            }
+
+            const p = right.length / count;
+            if (scoreDeviation > 0 && p > 0 && p < 1) {
+                const meanRight = right.reduce((sum, candidate) => sum + candidate.score, 0) / right.length;
+                const rest = candidates.filter(candidate => !isRight(candidate));
+                const meanRest = rest.reduce((sum, candidate) => sum + candidate.score, 0) / rest.length;
+                item.pointBiserial = ((meanRight - meanRest) / scoreDeviation) * Math.sqrt(p * (1 - p));
+            }
+
+            if (count < MIN_CANDIDATES_FOR_KEY_FLAGS) continue;
+            if (item.pointBiserial !== null && item.pointBiserial < 0) item.keyFlags.push({ reason: 'lower-scores' });
+            if (item.topDistractor && item.topDistractor.count > right.length) {
+                item.keyFlags.push({ reason: 'popular-distractor', answer: item.topDistractor.answer });
+            }
+            const topWrong = tallyWrongAnswers(topGroup, i)[0];
+            if (topWrong && topWrong[1] > topGroup.filter(isRight).length) item.keyFlags.push({ reason: 'top-scorers', answer: topWrong[0] });
+        }
+    });
+    return items;
+}
+
+// --- Paper Sets ---
+
+/**
+ * Checks whether spreadsheet rows describe paper sets rather than an answer key: the first non-empty row
+ * is a header whose first cell starts with "Set" and whose third cell mentions "Master".
+ * @param {Array<Array<any>>} rows - The sheet data from SheetJS or `parseDelimitedText`.
+ * @returns {boolean} True for a set mapping sheet.
+ */
+export function isPaperSetRows(rows) {
+    const header = rows.find(row => row.some(cell => String(cell ?? '').trim() !== ''));
+    return Boolean(header) && /^set\b/i.test(String(header[0] ?? '').trim()) && /master/i.test(String(header[2] ?? ''));
+}
+
+/**
+ * Reads paper sets from a mapping sheet with the columns Set | Question | Master Question | Option Order.
+ * Each row says that a question of a set is a question of the master paper; the optional option order
+ * lists, for the set's options A, B, C..., the master option each one is (e.g., "CABD": the set's A is the master's C).
+ * A set is only loaded when it maps every question of the sheet exactly once, within the same section.
+ * @param {Array<Array<any>>} rows - The sheet data, including its header row.
+ * @param {Array<Object>} sheetSections - The sections of the sheet.
+ * @returns {{sets: Object, errors: Array<string>}} The valid sets by code (see `toMasterResponses`) and readable
+ * reasons for each set that was rejected.
+ */
+export function readPaperSets(rows, sheetSections) {
+    const drafts = {};
+    rows.forEach(row => {
+        const code = String(row[0] ?? '').trim().toUpperCase();
+        const setQuestion = parseInt(row[1], 10);
+        const masterQuestion = parseInt(row[2], 10);
+        if (!code || isNaN(setQuestion) || isNaN(masterQuestion)) return; // The header and blank rows.
+        if (!drafts[code]) drafts[code] = { code, questionOrder: {}, optionOrders: {}, problems: [] };
+        const draft = drafts[code];
+        if (draft.questionOrder[setQuestion] !== undefined) {
+            draft.problems.push(t('paperSet.listedTwice', { question: setQuestion }));
+            return;
+        }
+        draft.questionOrder[setQuestion] = masterQuestion;
+        const optionOrder = String(row[3] ?? '').replace(/[^A-Za-z]/g, '').toUpperCase();
+        if (optionOrder) draft.optionOrders[setQuestion] = optionOrder;
+    });
+
+    const questionCount = getQuestionCount(sheetSections);
+    const sets = {};
+    const errors = [];
+    Object.values(drafts).forEach(draft => {
+        const { problems, questionOrder, optionOrders } = draft;
+        const usedMasters = new Set();
+        for (let i = 1; i <= questionCount; i++) {
+            const masterQuestion = questionOrder[i];
+            if (masterQuestion === undefined) {
+                problems.push(t('paperSet.notMapped', { question: i }));
+                continue;
+            }
+            const section = findSection(sheetSections, i);
+            if (usedMasters.has(masterQuestion)) problems.push(t('paperSet.masterUsedTwice', { master: masterQuestion }));
+            else if (findSection(sheetSections, masterQuestion) !== section) problems.push(t('paperSet.otherSection', { question: i, master: masterQuestion }));
+            usedMasters.add(masterQuestion);
+
+            const optionOrder = optionOrders[i];
+            if (!optionOrder) continue;
+            const letters = OPTION_LETTERS.slice(0, section.optionCount);
+            if (section.type !== 'single' && section.type !== 'multiple') problems.push(t('paperSet.optionOrderNotAllowed', { question: i }));
+            else if (optionOrder.length !== letters.length || [...optionOrder].sort().join('') !== letters.join('')) problems.push(t('paperSet.optionOrderLetters', { question: i, letters: letters.join('') }));
+        }
+        Object.keys(questionOrder).forEach(setQuestion => {
+            if (setQuestion > questionCount || setQuestion < 1) problems.push(t('paperSet.notOnSheet', { question: setQuestion }));
+        });
+
+        if (problems.length > 0) errors.push(t('paperSet.errors', { code: draft.code, problems: `${[...new Set(problems)].slice(0, 3).join('; ')}${problems.length > 3 ? '; ...' : ''}` }));
+        else sets[draft.code] = { code: draft.code, questionOrder, optionOrders };
+    });
+    return { sets, errors };
+}
+
+/**
+ * Checks paper sets read from a file (an exam package or a response file) the same way as a set
+ * mapping sheet (see `readPaperSets`), so only sets that fit the sheet are loaded.
+ * @param {any} storedSets - Sets by code, as saved by the app (see `readPaperSets`).
+ * @param {Array<Object>} sheetSections - The sections of the sheet.
+ * @returns {{sets: Object, errors: Array<string>}} The valid sets by code and readable reasons for each rejected set.
+ */
+export function readStoredPaperSets(storedSets, sheetSections) {
+    const rows = [];
+    Object.entries(storedSets && typeof storedSets === 'object' ? storedSets : {}).forEach(([code, paperSet]) => {
+        const questionOrder = paperSet && typeof paperSet.questionOrder === 'object' ? paperSet.questionOrder || {} : {};
+        const optionOrders = paperSet && typeof paperSet.optionOrders === 'object' ? paperSet.optionOrders || {} : {};
+        Object.entries(questionOrder).forEach(([setQuestion, masterQuestion]) => rows.push([code, setQuestion, masterQuestion, optionOrders[setQuestion] ?? '']));
+    });
+    return readPaperSets(rows, sheetSections);
+}
+
+/**
+ * Translates a set's answers to the master paper: each answer moves to its master question number, and
+ * option letters are swapped for the master's letters where the set shuffles the options.
+ * @param {Object} responses - Answers by the set's question numbers (see `grade`).
+ * @param {Object} paperSet - The set (see `readPaperSets`).
+ * @returns {Object} The answers by master question number, which can be scored against the master key.
+ */
+export function toMasterResponses(responses, paperSet) {
+    const masterResponses = {};
+    Object.entries(responses).forEach(([setQuestion, answer]) => {
+        const masterQuestion = paperSet.questionOrder[setQuestion];
+        if (masterQuestion === undefined) return;
+        const optionOrder = paperSet.optionOrders[setQuestion];
+        masterResponses[masterQuestion] = optionOrder && answer
+            ? [...answer].map(letter => optionOrder[OPTION_LETTERS.indexOf(letter)]).sort().join('')
+            : answer;
+    });
+    return masterResponses;
+}
+
+/**
+ * Translates the master key to a set's numbering and option letters, so it can be shown on the set's sheet.
+ * Bonus, dropped and numerical entries are moved unchanged.
+ * @param {Object} key - The master answer key.
+ * @param {Object} paperSet - The set (see `readPaperSets`).
+ * @returns {Object} The key by the set's question numbers.
+ */
+export function toSetKey(key, paperSet) {
+    const setKey = {};
+    Object.entries(paperSet.questionOrder).forEach(([setQuestion, masterQuestion]) => {
+        const keyEntry = key[masterQuestion];
+        if (keyEntry === undefined) return;
+        const optionOrder = paperSet.optionOrders[setQuestion];
+        if (!optionOrder || keyEntry === BONUS_KEY || keyEntry === DROPPED_KEY) {
+            setKey[setQuestion] = keyEntry;
+            return;
+        }
+        setKey[setQuestion] = keyEntry.split(ALTERNATIVE_SEPARATOR)
+            .map(alternative => [...alternative].map(letter => OPTION_LETTERS[optionOrder.indexOf(letter)]).sort().join(''))
+            .join(ALTERNATIVE_SEPARATOR);
+    });
+    return setKey;
+}
+
+/**
+ * Re-numbers values held by master question number (e.g., `questionResults` from `grade`) to a set's numbering.
+ * @param {Object} byMasterQuestion - Values by master question number.
+ * @param {Object} paperSet - The set (see `readPaperSets`).
+ * @returns {Object} The same values by the set's question numbers.
+ */
+export function toSetNumbering(byMasterQuestion, paperSet) {
+    const bySetQuestion = {};
+    Object.entries(paperSet.questionOrder).forEach(([setQuestion, masterQuestion]) => {
+        if (byMasterQuestion[masterQuestion] !== undefined) bySetQuestion[setQuestion] = byMasterQuestion[masterQuestion];
+    });
+    return bySetQuestion;
+}
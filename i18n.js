@@ -0,0 +1,66 @@
+/**
+ * @project Mock OMR Sheet - Translations
+ * @description Looks up user-facing text in the message catalogues under locales/, so the page, the
+ * messages and the PDF reports can be shown in the candidate's language. Like engine.js, it does not
+ * touch the page and runs under Node as well.
+ *
+ * Messages are looked up by key (e.g., "results.correct") and may contain {placeholders}, which are
+ * filled from the values passed to `t`. A message missing from a catalogue falls back to English.
+ */
+
+import { en } from './locales/en.js';
+import { hi } from './locales/hi.js';
+
+// --- Languages ---
+export const DEFAULT_LANGUAGE = 'en';
+export const LANGUAGES = {
+    en: { name: 'English', locale: 'en-GB', messages: en },
+    hi: { name: 'हिन्दी', locale: 'hi-IN', messages: hi },
+};
+
+// How the options of a question are labelled on the sheet and in reports. Answers and keys are
+// always stored with the Latin letters A-E; only what is shown changes.
+export const OPTION_LABEL_SETS = {
+    latin: ['A', 'B', 'C', 'D', 'E'],
+    numbers: ['1', '2', '3', '4', '5'],
+    devanagari: ['क', 'ख', 'ग', 'घ', 'ङ'],
+};
+
+let currentLanguage = DEFAULT_LANGUAGE;
+
+/**
+ * Switches the language used by `t`. Unknown languages fall back to English.
+ * @param {string} language - A key of `LANGUAGES`, e.g., "hi".
+ * @returns {string} The language now in use.
+ */
+export function setLanguage(language) {
+    currentLanguage = LANGUAGES[language] ? language : DEFAULT_LANGUAGE;
+    return currentLanguage;
+}
+
+/**
+ * Gets the language used by `t`.
+ * @returns {string} A key of `LANGUAGES`.
+ */
+export function getLanguage() {
+    return currentLanguage;
+}
+
+/**
+ * Gets the locale used to format dates and numbers in the current language.
+ * @returns {string} A BCP 47 locale, e.g., "hi-IN".
+ */
+export function getLocale() {
+    return LANGUAGES[currentLanguage].locale;
+}
+
+/**
+ * Translates a message into the current language.
+ * @param {string} key - The message key, e.g., "results.correct".
+ * @param {Object} [values={}] - Values for the message's placeholders, e.g., { count: 3 } for "Correct: {count}".
+ * @returns {string} The message, or the key itself if no catalogue has it.
+ */
+export function t(key, values = {}) {
+    const message = LANGUAGES[currentLanguage].messages[key] ?? en[key] ?? key;
+    return message.replace(/\{(\w+)\}/g, (placeholder, name) => (values[name] !== undefined ? String(values[name]) : placeholder));
+}
@@ -0,0 +1,432 @@
+/**
+ * @project Mock OMR Sheet - English Messages
+ * @description The English message catalogue, and the fallback for messages missing from other languages
+ * (see i18n.js). Keys are grouped by where the text appears; {names} in braces are filled in by `t`.
+ */
+
+export const en = {
+    // Page header, language and option label pickers
+    'page.title': 'Mock OMR Sheet by Ravi Raushan',
+    'page.heading': 'Mock OMR Sheet',
+    'page.tagline': 'Generate a custom OMR sheet, fill it out, and check your answers instantly.',
+    'page.language': 'Language',
+    'page.optionLabels': 'Option labels',
+    'common.example': 'e.g., {value}',
+    'common.close': 'Close',
+    'common.cancel': 'Cancel',
+    'common.yes': 'Yes',
+    'common.no': 'No',
+    'common.or': 'OR',
+    'common.score': 'Score',
+    'common.q': 'Q',
+    'common.ciu': 'C / I / U',
+    'common.rollNumber': 'Roll Number',
+    'common.listSeparator': ', ',
+
+    // Engine: question types, key entries and marking schemes
+    'questionType.single': 'Single Correct',
+    'questionType.multiple': 'Multiple Correct',
+    'questionType.numerical': 'Numerical',
+    'questionType.matrix': 'Matrix Match',
+    'section.partial': 'Partial +{marks}',
+    'section.attemptLimit': 'Attempt any {limit} of {count}',
+    'key.bonus': 'Bonus',
+    'key.dropped': 'Dropped',
+    'key.orSeparator': ' or ',
+    'key.manualCountMismatch': 'Manual key has {count} answers, but there are {total} questions.',
+    'key.manualInvalidAnswer': 'Answer "{answer}" for question {question} is not valid for a {type} question.',
+    'key.warningDuplicate': 'Duplicate entries: {count} (the first answer for each question is kept).',
+    'key.warningOutOfRange': 'Entries for questions not on this sheet: {count}.',
+    'key.warningInvalid': 'Entries with an answer that is not valid for the question: {count}.',
+    'key.warningMissing': 'Missing answers: {questions}.',
+    'score.outOf': 'out of {max}',
+    'confidence.sure': 'Sure',
+    'confidence.fifty-fifty': '50-50',
+    'confidence.guess': 'Guess',
+    'confidence.untagged': 'Not tagged',
+    'paperSet.errors': 'Set {code}: {problems}.',
+    'paperSet.listedTwice': 'question {question} is listed more than once',
+    'paperSet.notMapped': 'question {question} is not mapped',
+    'paperSet.masterUsedTwice': 'master question {master} is used more than once',
+    'paperSet.otherSection': 'question {question} maps to master question {master}, which is not in the same section',
+    'paperSet.optionOrderNotAllowed': 'question {question} has an option order, but only option questions can have one',
+    'paperSet.optionOrderLetters': 'the option order of question {question} must use each of {letters} once',
+    'paperSet.notOnSheet': 'question {question} is not on this sheet',
+
+    // Attempt history
+    'history.open': 'View Attempt History',
+    'history.heading': 'Attempt History',
+    'history.clear': 'Clear History',
+    'history.date': 'Date',
+    'history.test': 'Test',
+    'history.accuracy': 'Accuracy',
+    'history.time': 'Time',
+    'history.empty': 'No graded attempts yet.',
+    'history.review': 'Review',
+    'history.delete': 'Delete',
+    'history.defaultTitle': '{count} Questions',
+    'history.trimmed': 'Browser storage was full, so older attempts were removed from your history to save this one ({count} removed).',
+    'history.saveFailed': 'Could not save this attempt to your history (browser storage is full or disabled).',
+    'history.needTwo': 'Grade at least two attempts to see your trend.',
+    'history.chartLabel': 'Score and accuracy over time',
+    'history.point': 'Attempt {number}: {series} {value}%',
+    'history.scorePercent': 'Score %',
+    'history.accuracyPercent': 'Accuracy %',
+    'history.busy': 'Finish, resume or discard the current test before reviewing a past attempt.',
+    'history.reviewing': 'Reviewing the attempt graded on {date} (read-only). Click "Start New Test" to begin a new one.',
+
+    // Resuming an unfinished attempt
+    'resume.resume': 'Resume Attempt',
+    'resume.discard': 'Discard',
+    'resume.info': 'An unfinished attempt was found (saved {savedAt}): {answered} of {total} answered, {elapsed} elapsed.',
+
+    // Configuration panel
+    'config.questionCount': 'Number of Questions*',
+    'config.correctMarks': 'Marks for Correct (Optional)',
+    'config.wrongMarks': 'Marks for Wrong (Optional)',
+    'config.generate': 'Generate Sheet',
+    'config.title': 'Test Title (Optional)',
+    'config.duration': 'Exam Duration in Minutes (Optional)',
+    'config.warningTimes': 'Warn at Minutes Left',
+    'config.warningTimesPlaceholder': 'Default: 10, 1',
+    'config.timerHint': 'With a duration set, the timer counts down and the sheet is submitted automatically when time runs out.',
+    'config.errorQuestionCount': 'Please enter a number between 1 and {max}.',
+    'config.errorSectionCount': 'Please enter the number of questions for "{title}".',
+    'config.errorAttemptLimit': '"Attempt Any" for "{title}" must be between 1 and {count}.',
+    'config.errorTooMany': 'Sections add up to {count} questions, but the maximum is {max}.',
+    'config.errorDuration': 'Please enter an exam duration greater than 0 minutes.',
+    'config.errorWarnings': 'Warning times must be a list of minutes, e.g., 10, 1.',
+    'sections.heading': 'Sections (Optional)',
+    'sections.add': '+ Add Section',
+    'sections.hint': 'Split the paper into sections (e.g., Physics, Chemistry, Maths), each with its own marks. When sections are added, the question count and marks above are ignored.',
+    'sections.title': 'Title',
+    'sections.questions': 'Questions',
+    'sections.options': 'Options',
+    'sections.optionCount': '{count} ({first}-{last})',
+    'sections.type': 'Type',
+    'sections.correct': 'Correct',
+    'sections.wrong': 'Wrong',
+    'sections.partial': 'Partial (per option)',
+    'sections.partialPlaceholder': 'None',
+    'sections.limit': 'Attempt Any',
+    'sections.limitPlaceholder': 'All',
+    'sections.remove': 'Remove',
+    'sections.defaultTitle': 'Section {number}',
+    'examFile.label': 'Open an Exam Package or Response File (Optional)',
+    'examFile.hint': 'An exam package sets up the same test someone else configured. A response file shows a candidate\'s saved answers so they can be graded.',
+    'examFile.busy': 'Finish the current test, or click "Start New Test", before opening an exam file.',
+    'examFile.invalid': 'This file is not a Mock OMR exam package or response file.',
+    'examFile.invalidFields': 'This file was not opened because some of its values are not valid: {fields}.',
+    'examFile.hasKey': 'This test includes its answer key. Click "Finish & Check" to grade when you are done.',
+    'examFile.keyUnreadable': 'The answer key in this exam package could not be read.',
+    'examFile.responsesBanner': 'Showing imported responses{roll}{title}{exported} (read-only). Load the answer key and click "Finish & Check" to grade them.',
+    'examFile.responsesRoll': ' (roll number {roll})',
+    'examFile.responsesTitle': ' for "{title}"',
+    'examFile.responsesExported': ', exported on {date}',
+
+    // Printable blank sheet
+    'blankSheet.heading': 'Paper Sheet',
+    'blankSheet.print': 'Print Blank Sheet',
+    'blankSheet.hint': 'Saves a printable bubble sheet (with a roll number grid) for the configuration above. Scan or photograph it once filled and upload it below the sheet.',
+    'blankSheet.title': 'OMR Answer Sheet',
+    'blankSheet.candidateName': 'Candidate Name',
+    'blankSheet.test': 'Test',
+    'blankSheet.date': 'Date',
+    'blankSheet.fillInstructions': 'Fill bubbles completely with a dark pen or pencil. Do not mark near the corner squares.',
+    'blankSheet.numericalInstructions': 'Write numerical answers in the boxes; they are not read from scans.',
+    'blankSheet.page': 'Page {page} of {pages}',
+
+    // The sheet
+    'sheet.heading': 'OMR Sheet',
+    'sheet.label': 'Answer sheet',
+    'sheet.paperSet': 'Paper set',
+    'sheet.masterPaper': 'Master paper',
+    'sheet.setOption': 'Set {code}',
+    'sheet.timerLabel': 'Timer (press T to hear it)',
+    'sheet.goTo': 'Go to question',
+    'sheet.goToPlaceholder': 'No.',
+    'sheet.go': 'Go',
+    'sheet.keyboardHelp': 'Keyboard: A-D or 1-4 marks an answer and moves on (multiple correct: toggles), Backspace clears, arrow keys or J/K move between questions, G goes to a question number, T reads the timer.',
+    'sheet.questionLabel': 'Question {question}, {type}',
+    'sheet.answerLabel': 'Answer to question {question}',
+    'sheet.answerPlaceholder': 'Answer',
+    'sheet.matrixCell': 'Row {row} matches {column}',
+    'sheet.confidenceGroup': 'How sure are you of the answer to question {question}?',
+    'sheet.paperLink': 'Paper',
+    'sheet.paperLinkTitle': 'Show in the question paper',
+    'sheet.paperLinkLabel': 'Show question {question} in the question paper',
+    'sheet.review': 'Review',
+    'sheet.unmark': 'Unmark',
+    'sheet.reviewTitle': 'Mark for review',
+    'sheet.reviewLabel': 'Mark question {question} for review',
+    'sheet.clear': 'Clear',
+    'sheet.clearLabel': 'Clear the answer to question {question}',
+    'sheet.attempted': 'Attempted: {count}',
+    'sheet.attemptedOfLimit': 'Attempted: {count} / {limit}',
+    'sheet.keyHint': 'Key: {key}',
+    'palette.label': 'Question palette',
+    'palette.show': 'Show Question Palette',
+    'palette.hide': 'Hide Question Palette',
+    'palette.button': 'Question {question}: {state}',
+    'palette.answered': 'answered',
+    'palette.unanswered': 'unanswered',
+    'palette.markedSuffix': ', marked for review',
+    'palette.summary': 'Answered: {answered} | Unanswered: {unanswered} | Marked for Review: {marked}',
+
+    // Timer
+    'timer.taken': 'Time Taken: {time}',
+    'timer.takenOfAllowed': 'Time Taken: {time} of {allowed} allowed',
+    'timer.warningOne': 'Only 1 minute left! The sheet will be submitted automatically when time runs out.',
+    'timer.warningMany': 'Only {minutes} minutes left! The sheet will be submitted automatically when time runs out.',
+    'timer.timeUp': 'Time is up! Your sheet was submitted automatically.',
+
+    // Question paper viewer
+    'paper.open': 'Open Question Paper',
+    'paper.label': 'Question paper',
+    'paper.title': 'Question Paper',
+    'paper.unavailable': 'The PDF reader could not be loaded, so the question paper cannot be shown.',
+    'paper.loading': 'Loading the question paper...',
+    'paper.found': '{pages} page(s). {found} question number(s) found: click one to go to it on the sheet, or "Paper" on a question to find it here.',
+    'paper.noneFound': '{pages} page(s). No question numbers were found in the text (e.g., a scanned paper), so questions cannot be linked to the sheet.',
+    'paper.opened': 'Question paper opened. {found} questions linked to the sheet.',
+    'paper.failed': 'Failed to open the question paper. Please check that it is a valid PDF.',
+    'paper.page': 'Page {page}',
+    'paper.markerLabel': 'Go to question {question} on the sheet',
+
+    // Paper sets
+    'paperSet.answeringSet': 'Answering set {code}.',
+    'paperSet.answeringMaster': 'Answering the master paper.',
+    'paperSet.notLoaded': 'Some paper sets in the {source} were not loaded. {errors}',
+    'paperSet.loadedOne': 'Loaded paper set {codes} from the {source}. Pick the set being answered at the top of the sheet; the answer key stays in the master order.',
+    'paperSet.loadedMany': 'Loaded paper sets {codes} from the {source}. Pick the set being answered at the top of the sheet; the answer key stays in the master order.',
+
+    // Answer key input
+    'check.heading': 'Check Your Answers',
+    'check.upload': 'Upload Answer Key',
+    'check.accepts': 'Accepts .xlsx, .xls, .csv, .tsv, .json, .txt, .pdf.',
+    'check.formatInfo': 'See format info.',
+    'check.manual': 'Enter Key Manually',
+    'check.manualPlaceholder': 'e.g., ABCDABCDAB... or A, AC, 12.5, B/C, BONUS',
+    'check.paste': 'Or Paste a Numbered Key',
+    'check.pastePlaceholder': 'e.g., 1-A, 2-C\n3-B, 4-D',
+    'check.preview': 'Preview Key',
+    'check.noSheet': 'Generate the answer sheet first: the answer key is checked against its questions.',
+    'check.keyCountMismatch': 'Uploaded key has {count} answers, but there are {total} questions.',
+    'check.keyLoaded': '{count} answers loaded. Click "Finish & Check" to grade.',
+    'check.savePrompt': 'You can now save your marked sheet.',
+    'source.excel': 'Excel file',
+    'source.delimited': '{format} file',
+    'source.json': 'JSON file',
+    'source.text': 'text file',
+    'source.pdf': 'PDF',
+    'source.pasted': 'pasted text',
+    'source.examPackage': 'exam package',
+    'source.responseFile': 'response file',
+    'file.excelFailed': 'Failed to process Excel file.',
+    'file.jsonFailed': 'Failed to process JSON file. Please check that it is valid JSON.',
+    'file.pdfFailed': 'Failed to process PDF file.',
+    'file.unsupported': 'Unsupported file type. Please use .xlsx, .xls, .csv, .tsv, .json, .txt, or .pdf',
+    'keyPreview.title': 'Answer Key Preview',
+    'keyPreview.answer': 'Answer',
+    'keyPreview.status': 'Status',
+    'keyPreview.apply': 'Use This Key',
+    'keyPreview.noAnswers': 'Could not find valid answers in the {source}.',
+    'keyPreview.found': '{count} of {total} answers found in the {source}.',
+    'keyPreview.ok': 'OK',
+    'keyPreview.duplicate': 'Duplicate (ignored)',
+    'keyPreview.outOfRange': 'Not on sheet',
+    'keyPreview.invalid': 'Invalid answer',
+
+    // Results panel
+    'results.heading': 'Controls & Results',
+    'results.yourScore': 'Your Score:',
+    'results.finish': 'Finish & Check',
+    'results.saveMarked': 'Save Marked Sheet as PDF',
+    'results.savePdf': 'Save Full Report as PDF',
+    'results.startNew': 'Start New Test',
+    'results.correct': 'Correct: {count}',
+    'results.incorrect': 'Incorrect: {count}',
+    'results.unanswered': 'Unanswered: {count}',
+    'results.partial': 'Partial: {count}',
+    'results.notEvaluated': 'Not Evaluated: {count}',
+    'results.bonus': 'Bonus: {count}',
+    'results.dropped': 'Dropped: {count}',
+    'results.gained': 'Gained: {marks} marks',
+    'results.lost': 'Lost: {marks} marks',
+    'results.sectionLine': '{title}: {score} / {max} ({counts})',
+    'results.announce': 'Results: score {score}. {correct}, {incorrect}, {unanswered}.',
+    'status.correct': 'correct',
+    'status.partial': 'partial',
+    'status.incorrect': 'incorrect',
+    'status.unanswered': 'unanswered',
+    'status.not-evaluated': 'not evaluated',
+    'status.bonus': 'bonus',
+    'status.dropped': 'dropped',
+    'adjustments.heading': 'Answer key adjustments:',
+    'adjustments.bonus': 'Q{question}: Bonus - full marks awarded to everyone{marks}.',
+    'adjustments.dropped': 'Q{question}: Dropped - not scored and excluded from the maximum score.',
+    'adjustments.anyOf': 'Q{question}: Any of {key} accepted - {outcome}.',
+    'adjustments.notAnswered': 'not answered',
+    'adjustments.marked': 'the answer {answer} was marked {status}{marks}',
+    'changes.summary': 'Changed answers: correct -> wrong: {correctToWrong} | wrong -> correct: {wrongToCorrect} | wrong -> wrong: {wrongToWrong}',
+    'changes.flags': 'Marked for review: {count} ({correct} correct) - {questions}',
+    'time.average': 'Average time per question: {average} | Correct: {correct} | Incorrect: {incorrect}',
+    'time.slowest': 'Slowest: {questions}',
+    'time.slowestItem': 'Q{question} ({time}, {status})',
+    'time.slow': 'Over {minutes} min: {count} questions | Wrong answers after >{minutes} min: {wrong} | Correct after >{minutes} min: {correct}',
+    'time.changes': 'Answers changed: {count}',
+    'time.firstVisit': 'First visited at {time}, answer changed {changes} time(s)',
+    'time.selected': '{time} selected {answer}',
+    'time.cleared': '{time} cleared',
+    'confidence.line': '{level}: {attempted} answered, {correct} correct{partial}, {incorrect} incorrect (accuracy {accuracy}%) | Net: {net} marks',
+    'confidence.partial': ', {count} partial',
+    'confidence.whatIf': 'What if: actual score {actual} | skipping the guesses {withoutGuesses} | answering only the sure ones {sureOnly}',
+    'confidence.noDifference': 'Guessing made no difference to the score.',
+    'confidence.gained': 'Guessing gained {marks} marks.',
+    'confidence.cost': 'Guessing cost {marks} marks.',
+
+    // PDF report
+    'pdfOptions.heading': 'PDF Report',
+    'pdfOptions.candidateName': 'Candidate Name (Optional)',
+    'pdfOptions.columns': 'Bubble Grid Columns',
+    'pdfOptions.oneColumn': '1 (one question per row)',
+    'pdfOptions.threeColumns': '3 (most compact)',
+    'pdfOptions.charts': 'Include score charts',
+    'pdfOptions.keyAppendix': 'Append the answer key',
+    'pdfOptions.itemAnalysis': 'Add the item analysis of the class and the attempt history',
+    'pdfOptions.hint': 'The file is named after the test title, candidate and date.',
+    'report.generating': 'Generating PDF...',
+    'report.heading': 'OMR Test Report',
+    'report.candidate': 'Candidate: {name}',
+    'report.date': 'Date: {date}',
+    'report.rollNumber': 'Roll Number: {roll}',
+    'report.set': 'Set: {code}',
+    'report.score': 'Score: {score}',
+    'report.yourScore': 'Your Score: {score}',
+    'report.autoSubmitted': 'Submitted automatically when the time limit was reached.',
+    'report.correct': 'Correct',
+    'report.partial': 'Partial',
+    'report.incorrect': 'Incorrect',
+    'report.unanswered': 'Unanswered',
+    'report.gained': 'Gained',
+    'report.lost': 'Lost',
+    'report.net': 'Net',
+    'report.sectionBreakdown': 'Section-wise Breakdown',
+    'report.keyAdjustments': 'Answer Key Adjustments',
+    'report.changes': 'Answer Changes and Review Flags',
+    'report.timeAnalysis': 'Time Analysis',
+    'report.confidence': 'Confidence and Guessing',
+    'report.answer': 'Answer: {answer}',
+    'report.answerKey': 'Answer Key',
+
+    // Sharing
+    'share.heading': 'Share This Test',
+    'share.exportPackage': 'Export Exam Package',
+    'share.includeKey': 'Include the answer key (not shown on screen, but anyone with the file can read it)',
+    'share.packageHint': 'Saves the questions, marks, duration and title so another student can take the same test.',
+    'share.exportResponses': 'Export Responses',
+    'share.responsesHint': 'Saves the marked answers, to be graded later once the answer key is published.',
+    'share.keyMissing': 'Load or enter the answer key first, or untick "Include the answer key".',
+
+    // Scanned sheets
+    'scan.heading': 'Filled on Paper?',
+    'scan.upload': 'Upload Scanned Sheet',
+    'scan.hint': 'A photo or scan of a sheet from "Print Blank Sheet" (images or a PDF, pages in order). Keep all four corner squares in view.',
+    'scan.graded': 'This sheet has already been graded. Click "Start New Test" to scan another sheet.',
+    'scan.locked': 'The answers on this sheet are locked. Click "Start New Test" to scan another sheet.',
+    'scan.pdfUnavailable': 'The PDF reader could not be loaded, so scanned PDFs cannot be read. Upload the pages as images instead.',
+    'scan.reading': 'Reading the scanned sheet...',
+    'scan.failed': 'Could not read the scanned sheet.',
+    'scan.notImage': '"{name}" is not an image or a PDF.',
+    'scan.imageFailed': 'Could not open "{name}" as an image.',
+    'scan.noCorners': 'Could not find the four corner squares on page {page}. Make sure the whole sheet is visible, flat and evenly lit.',
+    'scan.read': 'Read {count} answers from the scanned sheet.{roll} Please check them before grading.',
+    'scan.roll': ' Roll number: {roll}.',
+    'scan.unclear': 'More than one bubble was filled for {questions}; these were left blank.',
+    'scan.missingPages': 'Only {read} of {pages} pages were uploaded; questions on the missing pages were left as they were.',
+    'scan.numerical': 'Numerical answers are not read from scans; please type them in.',
+
+    // Batch grading and item analysis
+    'batch.heading': 'Grade a Class',
+    'batch.upload': 'Upload Class Responses',
+    'batch.hint': 'One row per student: roll number, name, then the responses as one string (e.g., ABCD-BA, with - for blank; or A, AC, 12.5 separated by commas) or one answer per column. Graded with the answer key and marks above. For paper sets, head the third column "Set" and put each student\'s set code there, before the responses.',
+    'batch.results': 'Class Results',
+    'batch.downloadXlsx': 'Download XLSX',
+    'batch.downloadCsv': 'Download CSV',
+    'batch.rank': 'Rank',
+    'batch.rollNo': 'Roll No.',
+    'batch.name': 'Name',
+    'batch.maxScore': 'Max Score',
+    'batch.percentile': 'Percentile',
+    'batch.set': 'Set',
+    'batch.sectionScore': '{title} Score',
+    'batch.pdf': 'PDF',
+    'batch.keyMissing': 'Load the full answer key first ({count} of {total} answers loaded).',
+    'batch.failed': 'Failed to process the class spreadsheet.',
+    'batch.noRows': 'No candidate rows were found. Each row needs a roll number, a name and the responses.',
+    'batch.row': 'Row {row}',
+    'batch.unknownSet': '{label}: set {code} is not loaded, so this row was not graded. Upload the set mapping first.',
+    'batch.invalidAnswers': '{label}: {count} answer(s) not valid for their question were treated as unanswered.',
+    'batch.extraAnswers': '{label}: {count} extra answer(s) beyond question {total} were ignored.',
+    'batch.summary': '{count} candidates graded out of {max}. Highest: {highest} | Average: {average} | Median: {median} | Lowest: {lowest}',
+    'batch.setInMasterOrder': 'Set {code} (in master order)',
+    'batch.rankLine': 'Rank {rank} of {count} | Percentile {percentile}',
+    'items.heading': 'Item Analysis',
+    'items.reportHeading': 'Item Analysis Report',
+    'items.downloadPdf': 'Download Item Analysis PDF',
+    'items.hint': 'Point-biserial compares how candidates who got a question right scored overall against everyone else: higher means the question separates strong and weak candidates well, negative often means the key is wrong. Highlighted questions are worth checking.',
+    'items.scope': 'Covers {classCount} candidates from the class spreadsheet and {historyCount} attempts from the attempt history graded with the same answer key.',
+    'items.key': 'Key',
+    'items.correct': 'Correct',
+    'items.choices': 'Choices',
+    'items.topDistractor': 'Top Distractor',
+    'items.pointBiserial': 'Point-Biserial',
+    'items.flag': 'Flag',
+    'items.notAnalysed': 'Not analysed',
+    'items.label': 'Q{question} (key {key})',
+    'items.lineNotAnalysed': '{label}: not analysed.',
+    'items.lineCorrect': '{label}: {percent}% correct',
+    'items.blank': 'blank {percent}%',
+    'items.lineTopDistractor': 'Top distractor: {answer} ({percent}%)',
+    'items.linePointBiserial': 'Point-biserial: {value}',
+    'items.flagLowerScores': 'candidates who got it right scored lower overall',
+    'items.flagPopularDistractor': '{answer} was chosen more often than the key',
+    'items.flagTopScorers': 'most top scorers answered {answer}',
+    'items.checkKey': 'Check the key: {reasons}.',
+
+    // Modals
+    'format.title': 'Answer Key Format',
+    'format.excelTitle': 'Excel (.xlsx, .xls)',
+    'format.excel': 'Create a sheet with two columns: Column A for the question number, and Column B for the correct answer.',
+    'format.csvTitle': 'CSV / TSV (.csv, .tsv)',
+    'format.csv': 'Same layout as Excel: the question number in the first column and the answer in the second. A header row is ignored.',
+    'format.jsonTitle': 'JSON (.json)',
+    'format.json': 'An object such as {"1": "A", "2": "C"}, a list of answers in question order such as ["A", "C"], or a list such as [{"q": 1, "answer": "A"}].',
+    'format.textTitle': 'PDF / Text (.pdf, .txt) or Pasted Text',
+    'format.text': 'The text should contain a list of answers, like "1. A", "2. C" or "1-A, 2-C", etc.',
+    'format.manualTitle': 'Manual Entry',
+    'format.manual': 'Enter a single string of characters representing the answers (e.g., BCAD...). For other question types, separate the answers with commas or spaces (e.g., B, AC, 12.5, 10-12).',
+    'format.typesTitle': 'Answers by Question Type',
+    'format.types': 'Single correct: one letter (e.g., B). Multiple correct: all correct letters (e.g., AC). Numerical: a value or an inclusive range (e.g., 12.5 or 10-12). Matrix match: the columns for rows A-D separated by "/" (e.g., PQ/R/S/T).',
+    'format.revisedTitle': 'Revised Keys',
+    'format.revised': 'Any format can mark a question as BONUS (full marks for everyone) or DROP (not scored and left out of the maximum score), or accept any of several answers (e.g., B/C or B|C; use | for matrix match).',
+    'format.setsTitle': 'Paper Sets',
+    'format.sets': 'For shuffled sets (A, B, C...) of one paper, upload the key of the master paper and a sheet headed Set | Question | Master Question | Option Order, with one row per question of each set: e.g., "B, 1, 14, CABD" means Q1 of set B is master Q14, and its options A, B, C, D are the master\'s C, A, B, D. The option order is optional. In Excel, add it as another sheet of the key\'s workbook; as CSV/TSV, upload it as its own file. Candidates pick their set on the sheet, and their answers are graded in the master order.',
+    'format.keyLetters': 'Answer keys always use the letters A-E, whichever option labels are shown on the sheet.',
+    'format.gotIt': 'Got it!',
+    'confirm.title': 'No Answer Key Provided',
+    'confirm.text': 'Proceed without checking? You can save your marked sheet as a PDF.',
+
+    // Keyboard and screen reader announcements
+    'keyboard.cleared': 'Question {question} cleared.',
+    'keyboard.answer': 'Question {question}: {answer}.',
+    'keyboard.noAnswer': 'no answer',
+    'keyboard.timeElapsed': 'Time elapsed: {time}.',
+    'keyboard.timeLeft': 'Time left: {time}.',
+    'keyboard.goToRange': 'Enter a question number from 1 to {max}.',
+
+    // Assets that failed to load (see reportFailedAsset in index.html)
+    'asset.offlineCache': 'the offline cache (sw.js)',
+    'asset.interFont': 'the Inter font',
+    'asset.devanagariFont': 'the Devanagari font for PDF reports',
+};
@@ -0,0 +1,432 @@
+/**
+ * @project Mock OMR Sheet - Hindi Messages
+ * @description The Hindi (हिन्दी) message catalogue, with the same keys as locales/en.js. Question numbers
+ * keep the "Q12" form used on Indian answer sheets, and file formats and key letters stay in English.
+ */
+
+export const hi = {
+    // Page header, language and option label pickers
+    'page.title': 'मॉक OMR शीट - रवि रौशन',
+    'page.heading': 'मॉक OMR शीट',
+    'page.tagline': 'अपनी OMR शीट बनाइए, उसे भरिए और तुरंत अपने उत्तर जाँचिए।',
+    'page.language': 'भाषा',
+    'page.optionLabels': 'विकल्प चिह्न',
+    'common.example': 'उदा., {value}',
+    'common.close': 'बंद करें',
+    'common.cancel': 'रद्द करें',
+    'common.yes': 'हाँ',
+    'common.no': 'नहीं',
+    'common.or': 'या',
+    'common.score': 'अंक',
+    'common.q': 'प्र.',
+    'common.ciu': 'स / ग / अ',
+    'common.rollNumber': 'रोल नंबर',
+    'common.listSeparator': ', ',
+
+    // Engine: question types, key entries and marking schemes
+    'questionType.single': 'एक सही उत्तर',
+    'questionType.multiple': 'एक से अधिक सही उत्तर',
+    'questionType.numerical': 'संख्यात्मक',
+    'questionType.matrix': 'मैट्रिक्स मिलान',
+    'section.partial': 'आंशिक +{marks}',
+    'section.attemptLimit': '{count} में से कोई {limit} करें',
+    'key.bonus': 'बोनस',
+    'key.dropped': 'हटाया गया',
+    'key.orSeparator': ' या ',
+    'key.manualCountMismatch': 'हाथ से लिखी कुंजी में {count} उत्तर हैं, पर प्रश्न {total} हैं।',
+    'key.manualInvalidAnswer': 'प्रश्न {question} का उत्तर "{answer}" {type} प्रश्न के लिए मान्य नहीं है।',
+    'key.warningDuplicate': 'दोहराई गई प्रविष्टियाँ: {count} (हर प्रश्न का पहला उत्तर रखा गया है)।',
+    'key.warningOutOfRange': 'इस शीट पर न होने वाले प्रश्नों की प्रविष्टियाँ: {count}।',
+    'key.warningInvalid': 'प्रश्न के लिए अमान्य उत्तर वाली प्रविष्टियाँ: {count}।',
+    'key.warningMissing': 'छूटे हुए उत्तर: {questions}।',
+    'score.outOf': '{max} में से',
+    'confidence.sure': 'पक्का',
+    'confidence.fifty-fifty': '50-50',
+    'confidence.guess': 'अनुमान',
+    'confidence.untagged': 'बिना टैग',
+    'paperSet.errors': 'सेट {code}: {problems}।',
+    'paperSet.listedTwice': 'प्रश्न {question} एक से अधिक बार दिया गया है',
+    'paperSet.notMapped': 'प्रश्न {question} का मिलान नहीं दिया गया है',
+    'paperSet.masterUsedTwice': 'मास्टर प्रश्न {master} एक से अधिक बार उपयोग हुआ है',
+    'paperSet.otherSection': 'प्रश्न {question} मास्टर प्रश्न {master} से मिलाया गया है, जो उसी खंड में नहीं है',
+    'paperSet.optionOrderNotAllowed': 'प्रश्न {question} का विकल्प क्रम दिया गया है, पर विकल्प क्रम केवल विकल्प वाले प्रश्नों का हो सकता है',
+    'paperSet.optionOrderLetters': 'प्रश्न {question} के विकल्प क्रम में {letters} में से हर अक्षर एक बार होना चाहिए',
+    'paperSet.notOnSheet': 'प्रश्न {question} इस शीट पर नहीं है',
+
+    // Attempt history
+    'history.open': 'पिछले प्रयास देखें',
+    'history.heading': 'प्रयासों का इतिहास',
+    'history.clear': 'इतिहास मिटाएँ',
+    'history.date': 'तारीख',
+    'history.test': 'टेस्ट',
+    'history.accuracy': 'सटीकता',
+    'history.time': 'समय',
+    'history.empty': 'अभी तक कोई जाँचा गया प्रयास नहीं है।',
+    'history.review': 'देखें',
+    'history.delete': 'हटाएँ',
+    'history.defaultTitle': '{count} प्रश्न',
+    'history.trimmed': 'ब्राउज़र स्टोरेज भरा हुआ था, इसलिए यह प्रयास सहेजने के लिए इतिहास से सबसे पुराने {count} प्रयास हटा दिए गए।',
+    'history.saveFailed': 'यह प्रयास इतिहास में सहेजा नहीं जा सका (ब्राउज़र स्टोरेज भरा हुआ है या बंद है)।',
+    'history.needTwo': 'अपना रुझान देखने के लिए कम से कम दो प्रयास जाँचें।',
+    'history.chartLabel': 'समय के साथ अंक और सटीकता',
+    'history.point': 'प्रयास {number}: {series} {value}%',
+    'history.scorePercent': 'अंक %',
+    'history.accuracyPercent': 'सटीकता %',
+    'history.busy': 'पिछला प्रयास देखने से पहले मौजूदा टेस्ट पूरा करें, फिर से शुरू करें या छोड़ दें।',
+    'history.reviewing': '{date} को जाँचा गया प्रयास दिखाया जा रहा है (केवल देखने के लिए)। नया टेस्ट शुरू करने के लिए "नया टेस्ट शुरू करें" दबाएँ।',
+
+    // Resuming an unfinished attempt
+    'resume.resume': 'प्रयास जारी रखें',
+    'resume.discard': 'छोड़ दें',
+    'resume.info': 'एक अधूरा प्रयास मिला ({savedAt} को सहेजा गया): {total} में से {answered} उत्तर दिए गए, {elapsed} बीत चुके हैं।',
+
+    // Configuration panel
+    'config.questionCount': 'प्रश्नों की संख्या*',
+    'config.correctMarks': 'सही उत्तर के अंक (वैकल्पिक)',
+    'config.wrongMarks': 'गलत उत्तर के अंक (वैकल्पिक)',
+    'config.generate': 'शीट बनाएँ',
+    'config.title': 'टेस्ट का नाम (वैकल्पिक)',
+    'config.duration': 'परीक्षा की अवधि मिनटों में (वैकल्पिक)',
+    'config.warningTimes': 'कितने मिनट बचने पर चेतावनी दें',
+    'config.warningTimesPlaceholder': 'डिफ़ॉल्ट: 10, 1',
+    'config.timerHint': 'अवधि देने पर टाइमर उल्टी गिनती करता है और समय पूरा होते ही शीट अपने आप जमा हो जाती है।',
+    'config.errorQuestionCount': 'कृपया 1 से {max} के बीच की संख्या डालें।',
+    'config.errorSectionCount': 'कृपया "{title}" के प्रश्नों की संख्या डालें।',
+    'config.errorAttemptLimit': '"{title}" के लिए "कोई भी करें" 1 से {count} के बीच होना चाहिए।',
+    'config.errorTooMany': 'खंडों में कुल {count} प्रश्न हैं, पर अधिकतम {max} हो सकते हैं।',
+    'config.errorDuration': 'कृपया 0 मिनट से अधिक की परीक्षा अवधि डालें।',
+    'config.errorWarnings': 'चेतावनी के समय मिनटों की सूची होने चाहिए, उदा., 10, 1।',
+    'sections.heading': 'खंड (वैकल्पिक)',
+    'sections.add': '+ खंड जोड़ें',
+    'sections.hint': 'प्रश्नपत्र को खंडों में बाँटें (उदा., भौतिकी, रसायन, गणित), हर खंड की अपनी अंक योजना के साथ। खंड जोड़ने पर ऊपर दी गई प्रश्न संख्या और अंक अनदेखे किए जाते हैं।',
+    'sections.title': 'नाम',
+    'sections.questions': 'प्रश्न',
+    'sections.options': 'विकल्प',
+    'sections.optionCount': '{count} ({first}-{last})',
+    'sections.type': 'प्रकार',
+    'sections.correct': 'सही',
+    'sections.wrong': 'गलत',
+    'sections.partial': 'आंशिक (प्रति विकल्प)',
+    'sections.partialPlaceholder': 'कोई नहीं',
+    'sections.limit': 'कोई भी करें',
+    'sections.limitPlaceholder': 'सभी',
+    'sections.remove': 'हटाएँ',
+    'sections.defaultTitle': 'खंड {number}',
+    'examFile.label': 'परीक्षा पैकेज या उत्तर फ़ाइल खोलें (वैकल्पिक)',
+    'examFile.hint': 'परीक्षा पैकेज से वही टेस्ट तैयार होता है जो किसी और ने बनाया था। उत्तर फ़ाइल किसी परीक्षार्थी के सहेजे गए उत्तर दिखाती है, ताकि उन्हें जाँचा जा सके।',
+    'examFile.busy': 'परीक्षा फ़ाइल खोलने से पहले मौजूदा टेस्ट पूरा करें या "नया टेस्ट शुरू करें" दबाएँ।',
+    'examFile.invalid': 'यह फ़ाइल मॉक OMR परीक्षा पैकेज या उत्तर फ़ाइल नहीं है।',
+    'examFile.invalidFields': 'यह फ़ाइल नहीं खोली गई क्योंकि इसके कुछ मान मान्य नहीं हैं: {fields}।',
+    'examFile.hasKey': 'इस टेस्ट में उत्तर कुंजी शामिल है। पूरा होने पर जाँचने के लिए "पूरा करें और जाँचें" दबाएँ।',
+    'examFile.keyUnreadable': 'इस परीक्षा पैकेज की उत्तर कुंजी पढ़ी नहीं जा सकी।',
+    'examFile.responsesBanner': 'आयात किए गए उत्तर दिखाए जा रहे हैं{roll}{title}{exported} (केवल देखने के लिए)। जाँचने के लिए उत्तर कुंजी लोड करें और "पूरा करें और जाँचें" दबाएँ।',
+    'examFile.responsesRoll': ' (रोल नंबर {roll})',
+    'examFile.responsesTitle': ' - "{title}"',
+    'examFile.responsesExported': ', {date} को निर्यात किए गए',
+
+    // Printable blank sheet
+    'blankSheet.heading': 'कागज़ की शीट',
+    'blankSheet.print': 'खाली शीट प्रिंट करें',
+    'blankSheet.hint': 'ऊपर की सेटिंग के लिए प्रिंट करने योग्य बबल शीट (रोल नंबर ग्रिड के साथ) सहेजता है। भरने के बाद उसे स्कैन करें या फ़ोटो लें और शीट के नीचे अपलोड करें।',
+    'blankSheet.title': 'OMR उत्तर शीट',
+    'blankSheet.candidateName': 'परीक्षार्थी का नाम',
+    'blankSheet.test': 'टेस्ट',
+    'blankSheet.date': 'तारीख',
+    'blankSheet.fillInstructions': 'गोले गहरे पेन या पेंसिल से पूरे भरें। कोनों के चौकोर निशानों के पास कुछ न लिखें।',
+    'blankSheet.numericalInstructions': 'संख्यात्मक उत्तर खानों में लिखें; उन्हें स्कैन से नहीं पढ़ा जाता।',
+    'blankSheet.page': 'पृष्ठ {page} / {pages}',
+
+    // The sheet
+    'sheet.heading': 'OMR शीट',
+    'sheet.label': 'उत्तर शीट',
+    'sheet.paperSet': 'प्रश्नपत्र सेट',
+    'sheet.masterPaper': 'मास्टर प्रश्नपत्र',
+    'sheet.setOption': 'सेट {code}',
+    'sheet.timerLabel': 'टाइमर (सुनने के लिए T दबाएँ)',
+    'sheet.goTo': 'प्रश्न पर जाएँ',
+    'sheet.goToPlaceholder': 'क्र.',
+    'sheet.go': 'जाएँ',
+    'sheet.keyboardHelp': 'कीबोर्ड: A-D या 1-4 से उत्तर चुनें और अगले प्रश्न पर जाएँ (एक से अधिक सही उत्तर: चुनें/हटाएँ), Backspace से उत्तर मिटाएँ, तीर कुंजियों या J/K से प्रश्न बदलें, G से किसी प्रश्न संख्या पर जाएँ, T से टाइमर सुनें।',
+    'sheet.questionLabel': 'प्रश्न {question}, {type}',
+    'sheet.answerLabel': 'प्रश्न {question} का उत्तर',
+    'sheet.answerPlaceholder': 'उत्तर',
+    'sheet.matrixCell': 'पंक्ति {row} का मिलान {column} से',
+    'sheet.confidenceGroup': 'प्रश्न {question} के उत्तर को लेकर आप कितने पक्के हैं?',
+    'sheet.paperLink': 'प्रश्नपत्र',
+    'sheet.paperLinkTitle': 'प्रश्नपत्र में दिखाएँ',
+    'sheet.paperLinkLabel': 'प्रश्न {question} को प्रश्नपत्र में दिखाएँ',
+    'sheet.review': 'समीक्षा',
+    'sheet.unmark': 'निशान हटाएँ',
+    'sheet.reviewTitle': 'समीक्षा के लिए चिह्नित करें',
+    'sheet.reviewLabel': 'प्रश्न {question} को समीक्षा के लिए चिह्नित करें',
+    'sheet.clear': 'मिटाएँ',
+    'sheet.clearLabel': 'प्रश्न {question} का उत्तर मिटाएँ',
+    'sheet.attempted': 'हल किए: {count}',
+    'sheet.attemptedOfLimit': 'हल किए: {count} / {limit}',
+    'sheet.keyHint': 'कुंजी: {key}',
+    'palette.label': 'प्रश्न पैलेट',
+    'palette.show': 'प्रश्न पैलेट दिखाएँ',
+    'palette.hide': 'प्रश्न पैलेट छिपाएँ',
+    'palette.button': 'प्रश्न {question}: {state}',
+    'palette.answered': 'उत्तर दिया',
+    'palette.unanswered': 'उत्तर नहीं दिया',
+    'palette.markedSuffix': ', समीक्षा के लिए चिह्नित',
+    'palette.summary': 'उत्तर दिए: {answered} | उत्तर नहीं दिए: {unanswered} | समीक्षा के लिए चिह्नित: {marked}',
+
+    // Timer
+    'timer.taken': 'लगा समय: {time}',
+    'timer.takenOfAllowed': 'लगा समय: {allowed} में से {time}',
+    'timer.warningOne': 'केवल 1 मिनट बचा है! समय पूरा होते ही शीट अपने आप जमा हो जाएगी।',
+    'timer.warningMany': 'केवल {minutes} मिनट बचे हैं! समय पूरा होते ही शीट अपने आप जमा हो जाएगी।',
+    'timer.timeUp': 'समय पूरा हुआ! आपकी शीट अपने आप जमा हो गई।',
+
+    // Question paper viewer
+    'paper.open': 'प्रश्नपत्र खोलें',
+    'paper.label': 'प्रश्नपत्र',
+    'paper.title': 'प्रश्नपत्र',
+    'paper.unavailable': 'PDF रीडर लोड नहीं हो सका, इसलिए प्रश्नपत्र नहीं दिखाया जा सकता।',
+    'paper.loading': 'प्रश्नपत्र लोड हो रहा है...',
+    'paper.found': '{pages} पृष्ठ। {found} प्रश्न संख्याएँ मिलीं: शीट पर जाने के लिए किसी पर क्लिक करें, या यहाँ ढूँढने के लिए प्रश्न पर "प्रश्नपत्र" दबाएँ।',
+    'paper.noneFound': '{pages} पृष्ठ। पाठ में कोई प्रश्न संख्या नहीं मिली (उदा., स्कैन किया गया प्रश्नपत्र), इसलिए प्रश्नों को शीट से नहीं जोड़ा जा सकता।',
+    'paper.opened': 'प्रश्नपत्र खुल गया। {found} प्रश्न शीट से जुड़े।',
+    'paper.failed': 'प्रश्नपत्र नहीं खुल सका। कृपया जाँचें कि वह सही PDF है।',
+    'paper.page': 'पृष्ठ {page}',
+    'paper.markerLabel': 'शीट पर प्रश्न {question} पर जाएँ',
+
+    // Paper sets
+    'paperSet.answeringSet': 'सेट {code} हल किया जा रहा है।',
+    'paperSet.answeringMaster': 'मास्टर प्रश्नपत्र हल किया जा रहा है।',
+    'paperSet.notLoaded': '{source} के कुछ प्रश्नपत्र सेट लोड नहीं हुए। {errors}',
+    'paperSet.loadedOne': '{source} से प्रश्नपत्र सेट {codes} लोड हुआ। शीट के ऊपर हल किया जा रहा सेट चुनें; उत्तर कुंजी मास्टर क्रम में ही रहती है।',
+    'paperSet.loadedMany': '{source} से प्रश्नपत्र सेट {codes} लोड हुए। शीट के ऊपर हल किया जा रहा सेट चुनें; उत्तर कुंजी मास्टर क्रम में ही रहती है।',
+
+    // Answer key input
+    'check.heading': 'अपने उत्तर जाँचें',
+    'check.upload': 'उत्तर कुंजी अपलोड करें',
+    'check.accepts': '.xlsx, .xls, .csv, .tsv, .json, .txt, .pdf स्वीकार हैं।',
+    'check.formatInfo': 'फ़ॉर्मेट की जानकारी देखें।',
+    'check.manual': 'कुंजी हाथ से लिखें',
+    'check.manualPlaceholder': 'उदा., ABCDABCDAB... या A, AC, 12.5, B/C, BONUS',
+    'check.paste': 'या क्रमांकित कुंजी चिपकाएँ',
+    'check.pastePlaceholder': 'उदा., 1-A, 2-C\n3-B, 4-D',
+    'check.preview': 'कुंजी देखें',
+    'check.noSheet': 'पहले उत्तर शीट बनाएँ: उत्तर कुंजी उसी के प्रश्नों से मिलाई जाती है।',
+    'check.keyCountMismatch': 'अपलोड की गई कुंजी में {count} उत्तर हैं, पर प्रश्न {total} हैं।',
+    'check.keyLoaded': '{count} उत्तर लोड हुए। जाँचने के लिए "पूरा करें और जाँचें" दबाएँ।',
+    'check.savePrompt': 'अब आप अपनी भरी हुई शीट सहेज सकते हैं।',
+    'source.excel': 'Excel फ़ाइल',
+    'source.delimited': '{format} फ़ाइल',
+    'source.json': 'JSON फ़ाइल',
+    'source.text': 'टेक्स्ट फ़ाइल',
+    'source.pdf': 'PDF',
+    'source.pasted': 'चिपकाए गए पाठ',
+    'source.examPackage': 'परीक्षा पैकेज',
+    'source.responseFile': 'उत्तर फ़ाइल',
+    'file.excelFailed': 'Excel फ़ाइल पढ़ी नहीं जा सकी।',
+    'file.jsonFailed': 'JSON फ़ाइल पढ़ी नहीं जा सकी। कृपया जाँचें कि वह सही JSON है।',
+    'file.pdfFailed': 'PDF फ़ाइल पढ़ी नहीं जा सकी।',
+    'file.unsupported': 'यह फ़ाइल प्रकार समर्थित नहीं है। कृपया .xlsx, .xls, .csv, .tsv, .json, .txt या .pdf का उपयोग करें',
+    'keyPreview.title': 'उत्तर कुंजी की झलक',
+    'keyPreview.answer': 'उत्तर',
+    'keyPreview.status': 'स्थिति',
+    'keyPreview.apply': 'यह कुंजी इस्तेमाल करें',
+    'keyPreview.noAnswers': '{source} में मान्य उत्तर नहीं मिले।',
+    'keyPreview.found': '{source} में {total} में से {count} उत्तर मिले।',
+    'keyPreview.ok': 'ठीक',
+    'keyPreview.duplicate': 'दोहराया गया (अनदेखा)',
+    'keyPreview.outOfRange': 'शीट पर नहीं',
+    'keyPreview.invalid': 'अमान्य उत्तर',
+
+    // Results panel
+    'results.heading': 'नियंत्रण और परिणाम',
+    'results.yourScore': 'आपके अंक:',
+    'results.finish': 'पूरा करें और जाँचें',
+    'results.saveMarked': 'भरी हुई शीट PDF में सहेजें',
+    'results.savePdf': 'पूरी रिपोर्ट PDF में सहेजें',
+    'results.startNew': 'नया टेस्ट शुरू करें',
+    'results.correct': 'सही: {count}',
+    'results.incorrect': 'गलत: {count}',
+    'results.unanswered': 'अनुत्तरित: {count}',
+    'results.partial': 'आंशिक: {count}',
+    'results.notEvaluated': 'नहीं जाँचे गए: {count}',
+    'results.bonus': 'बोनस: {count}',
+    'results.dropped': 'हटाए गए: {count}',
+    'results.gained': 'मिले: {marks} अंक',
+    'results.lost': 'कटे: {marks} अंक',
+    'results.sectionLine': '{title}: {score} / {max} ({counts})',
+    'results.announce': 'परिणाम: अंक {score}। {correct}, {incorrect}, {unanswered}।',
+    'status.correct': 'सही',
+    'status.partial': 'आंशिक',
+    'status.incorrect': 'गलत',
+    'status.unanswered': 'अनुत्तरित',
+    'status.not-evaluated': 'नहीं जाँचा गया',
+    'status.bonus': 'बोनस',
+    'status.dropped': 'हटाया गया',
+    'adjustments.heading': 'उत्तर कुंजी में बदलाव:',
+    'adjustments.bonus': 'Q{question}: बोनस - सभी को पूरे अंक दिए गए{marks}।',
+    'adjustments.dropped': 'Q{question}: हटाया गया - अंक नहीं दिए गए और अधिकतम अंकों में नहीं गिना गया।',
+    'adjustments.anyOf': 'Q{question}: {key} में से कोई भी मान्य - {outcome}।',
+    'adjustments.notAnswered': 'उत्तर नहीं दिया',
+    'adjustments.marked': 'उत्तर {answer} को {status} माना गया{marks}',
+    'changes.summary': 'बदले गए उत्तर: सही -> गलत: {correctToWrong} | गलत -> सही: {wrongToCorrect} | गलत -> गलत: {wrongToWrong}',
+    'changes.flags': 'समीक्षा के लिए चिह्नित: {count} ({correct} सही) - {questions}',
+    'time.average': 'प्रति प्रश्न औसत समय: {average} | सही: {correct} | गलत: {incorrect}',
+    'time.slowest': 'सबसे धीमे: {questions}',
+    'time.slowestItem': 'Q{question} ({time}, {status})',
+    'time.slow': '{minutes} मिनट से अधिक: {count} प्रश्न | >{minutes} मिनट के बाद गलत उत्तर: {wrong} | >{minutes} मिनट के बाद सही उत्तर: {correct}',
+    'time.changes': 'बदले गए उत्तर: {count}',
+    'time.firstVisit': 'पहली बार {time} पर देखा, उत्तर {changes} बार बदला',
+    'time.selected': '{time} पर {answer} चुना',
+    'time.cleared': '{time} पर मिटाया',
+    'confidence.line': '{level}: {attempted} उत्तर दिए, {correct} सही{partial}, {incorrect} गलत (सटीकता {accuracy}%) | शुद्ध: {net} अंक',
+    'confidence.partial': ', {count} आंशिक',
+    'confidence.whatIf': 'अगर: असली अंक {actual} | अनुमान छोड़ने पर {withoutGuesses} | केवल पक्के उत्तर देने पर {sureOnly}',
+    'confidence.noDifference': 'अनुमान लगाने से अंकों में कोई फ़र्क नहीं पड़ा।',
+    'confidence.gained': 'अनुमान लगाने से {marks} अंक बढ़े।',
+    'confidence.cost': 'अनुमान लगाने से {marks} अंक घटे।',
+
+    // PDF report
+    'pdfOptions.heading': 'PDF रिपोर्ट',
+    'pdfOptions.candidateName': 'परीक्षार्थी का नाम (वैकल्पिक)',
+    'pdfOptions.columns': 'बबल ग्रिड के कॉलम',
+    'pdfOptions.oneColumn': '1 (हर पंक्ति में एक प्रश्न)',
+    'pdfOptions.threeColumns': '3 (सबसे छोटा)',
+    'pdfOptions.charts': 'अंकों के चार्ट शामिल करें',
+    'pdfOptions.keyAppendix': 'उत्तर कुंजी जोड़ें',
+    'pdfOptions.itemAnalysis': 'कक्षा और प्रयास इतिहास का प्रश्न विश्लेषण जोड़ें',
+    'pdfOptions.hint': 'फ़ाइल का नाम टेस्ट, परीक्षार्थी और तारीख से बनता है।',
+    'report.generating': 'PDF बन रही है...',
+    'report.heading': 'OMR टेस्ट रिपोर्ट',
+    'report.candidate': 'परीक्षार्थी: {name}',
+    'report.date': 'तारीख: {date}',
+    'report.rollNumber': 'रोल नंबर: {roll}',
+    'report.set': 'सेट: {code}',
+    'report.score': 'अंक: {score}',
+    'report.yourScore': 'आपके अंक: {score}',
+    'report.autoSubmitted': 'समय सीमा पूरी होने पर अपने आप जमा हुई।',
+    'report.correct': 'सही',
+    'report.partial': 'आंशिक',
+    'report.incorrect': 'गलत',
+    'report.unanswered': 'अनुत्तरित',
+    'report.gained': 'मिले',
+    'report.lost': 'कटे',
+    'report.net': 'शुद्ध',
+    'report.sectionBreakdown': 'खंड के अनुसार परिणाम',
+    'report.keyAdjustments': 'उत्तर कुंजी में बदलाव',
+    'report.changes': 'बदले गए उत्तर और समीक्षा चिह्न',
+    'report.timeAnalysis': 'समय विश्लेषण',
+    'report.confidence': 'आत्मविश्वास और अनुमान',
+    'report.answer': 'उत्तर: {answer}',
+    'report.answerKey': 'उत्तर कुंजी',
+
+    // Sharing
+    'share.heading': 'यह टेस्ट साझा करें',
+    'share.exportPackage': 'परीक्षा पैकेज निर्यात करें',
+    'share.includeKey': 'उत्तर कुंजी शामिल करें (स्क्रीन पर नहीं दिखेगी, पर फ़ाइल वाला कोई भी उसे पढ़ सकता है)',
+    'share.packageHint': 'प्रश्न, अंक, अवधि और नाम सहेजता है, ताकि कोई और विद्यार्थी वही टेस्ट दे सके।',
+    'share.exportResponses': 'उत्तर निर्यात करें',
+    'share.responsesHint': 'भरे हुए उत्तर सहेजता है, ताकि उत्तर कुंजी आने पर उन्हें बाद में जाँचा जा सके।',
+    'share.keyMissing': 'पहले उत्तर कुंजी लोड करें या लिखें, या "उत्तर कुंजी शामिल करें" का निशान हटाएँ।',
+
+    // Scanned sheets
+    'scan.heading': 'कागज़ पर भरी है?',
+    'scan.upload': 'स्कैन की गई शीट अपलोड करें',
+    'scan.hint': '"खाली शीट प्रिंट करें" से बनी शीट की फ़ोटो या स्कैन (चित्र या PDF, पृष्ठ क्रम से)। चारों कोनों के चौकोर निशान दिखने चाहिए।',
+    'scan.graded': 'यह शीट जाँची जा चुकी है। दूसरी शीट स्कैन करने के लिए "नया टेस्ट शुरू करें" दबाएँ।',
+    'scan.locked': 'इस शीट के उत्तर लॉक हैं। दूसरी शीट स्कैन करने के लिए "नया टेस्ट शुरू करें" दबाएँ।',
+    'scan.pdfUnavailable': 'PDF रीडर लोड नहीं हो सका, इसलिए स्कैन की गई PDF पढ़ी नहीं जा सकती। इसके बजाय पेज चित्रों के रूप में अपलोड करें।',
+    'scan.reading': 'स्कैन की गई शीट पढ़ी जा रही है...',
+    'scan.failed': 'स्कैन की गई शीट पढ़ी नहीं जा सकी।',
+    'scan.notImage': '"{name}" चित्र या PDF नहीं है।',
+    'scan.imageFailed': '"{name}" को चित्र के रूप में खोला नहीं जा सका।',
+    'scan.noCorners': 'पृष्ठ {page} पर कोनों के चारों चौकोर निशान नहीं मिले। ध्यान दें कि पूरी शीट दिखे, सपाट हो और उस पर रोशनी बराबर हो।',
+    'scan.read': 'स्कैन की गई शीट से {count} उत्तर पढ़े गए।{roll} जाँचने से पहले कृपया उन्हें देख लें।',
+    'scan.roll': ' रोल नंबर: {roll}।',
+    'scan.unclear': '{questions} में एक से अधिक गोले भरे थे; ये खाली छोड़े गए।',
+    'scan.missingPages': '{pages} में से केवल {read} पृष्ठ अपलोड हुए; बाकी पृष्ठों के प्रश्न जैसे थे वैसे छोड़े गए।',
+    'scan.numerical': 'संख्यात्मक उत्तर स्कैन से नहीं पढ़े जाते; कृपया उन्हें टाइप करें।',
+
+    // Batch grading and item analysis
+    'batch.heading': 'पूरी कक्षा जाँचें',
+    'batch.upload': 'कक्षा के उत्तर अपलोड करें',
+    'batch.hint': 'हर विद्यार्थी की एक पंक्ति: रोल नंबर, नाम, फिर उत्तर एक ही स्ट्रिंग में (उदा., ABCD-BA, खाली के लिए -; या कॉमा से अलग A, AC, 12.5) या हर कॉलम में एक उत्तर। ऊपर दी गई उत्तर कुंजी और अंकों से जाँचा जाता है। प्रश्नपत्र सेट के लिए तीसरे कॉलम का शीर्षक "Set" रखें और उत्तरों से पहले उसमें हर विद्यार्थी का सेट कोड लिखें।',
+    'batch.results': 'कक्षा के परिणाम',
+    'batch.downloadXlsx': 'XLSX डाउनलोड करें',
+    'batch.downloadCsv': 'CSV डाउनलोड करें',
+    'batch.rank': 'रैंक',
+    'batch.rollNo': 'रोल नं.',
+    'batch.name': 'नाम',
+    'batch.maxScore': 'अधिकतम अंक',
+    'batch.percentile': 'पर्सेंटाइल',
+    'batch.set': 'सेट',
+    'batch.sectionScore': '{title} अंक',
+    'batch.pdf': 'PDF',
+    'batch.keyMissing': 'पहले पूरी उत्तर कुंजी लोड करें ({total} में से {count} उत्तर लोड हुए)।',
+    'batch.failed': 'कक्षा की स्प्रेडशीट पढ़ी नहीं जा सकी।',
+    'batch.noRows': 'कोई परीक्षार्थी पंक्ति नहीं मिली। हर पंक्ति में रोल नंबर, नाम और उत्तर होने चाहिए।',
+    'batch.row': 'पंक्ति {row}',
+    'batch.unknownSet': '{label}: सेट {code} लोड नहीं है, इसलिए यह पंक्ति नहीं जाँची गई। पहले सेट मिलान अपलोड करें।',
+    'batch.invalidAnswers': '{label}: अपने प्रश्न के लिए अमान्य {count} उत्तर अनुत्तरित माने गए।',
+    'batch.extraAnswers': '{label}: प्रश्न {total} के बाद के {count} अतिरिक्त उत्तर अनदेखे किए गए।',
+    'batch.summary': '{count} परीक्षार्थी {max} में से जाँचे गए। सर्वाधिक: {highest} | औसत: {average} | माध्यिका: {median} | न्यूनतम: {lowest}',
+    'batch.setInMasterOrder': 'सेट {code} (मास्टर क्रम में)',
+    'batch.rankLine': '{count} में रैंक {rank} | पर्सेंटाइल {percentile}',
+    'items.heading': 'प्रश्न विश्लेषण',
+    'items.reportHeading': 'प्रश्न विश्लेषण रिपोर्ट',
+    'items.downloadPdf': 'प्रश्न विश्लेषण PDF डाउनलोड करें',
+    'items.hint': 'पॉइंट-बाइसीरियल बताता है कि किसी प्रश्न को सही करने वाले परीक्षार्थियों के कुल अंक बाकी सबकी तुलना में कैसे रहे: अधिक मान का अर्थ है कि प्रश्न तेज़ और कमज़ोर परीक्षार्थियों को अच्छी तरह अलग करता है, ऋणात्मक मान का अर्थ अक्सर गलत कुंजी होता है। चिह्नित प्रश्न जाँचने योग्य हैं।',
+    'items.scope': 'इसमें कक्षा स्प्रेडशीट के {classCount} उम्मीदवार और प्रयास इतिहास के वे {historyCount} प्रयास शामिल हैं जो इसी उत्तर कुंजी से जाँचे गए।',
+    'items.key': 'कुंजी',
+    'items.correct': 'सही',
+    'items.choices': 'चुने गए विकल्प',
+    'items.topDistractor': 'सबसे आम गलत उत्तर',
+    'items.pointBiserial': 'पॉइंट-बाइसीरियल',
+    'items.flag': 'चेतावनी',
+    'items.notAnalysed': 'विश्लेषण नहीं किया गया',
+    'items.label': 'Q{question} (कुंजी {key})',
+    'items.lineNotAnalysed': '{label}: विश्लेषण नहीं किया गया।',
+    'items.lineCorrect': '{label}: {percent}% सही',
+    'items.blank': 'खाली {percent}%',
+    'items.lineTopDistractor': 'सबसे आम गलत उत्तर: {answer} ({percent}%)',
+    'items.linePointBiserial': 'पॉइंट-बाइसीरियल: {value}',
+    'items.flagLowerScores': 'इसे सही करने वालों के कुल अंक कम रहे',
+    'items.flagPopularDistractor': '{answer} को कुंजी से अधिक बार चुना गया',
+    'items.flagTopScorers': 'ज़्यादातर शीर्ष परीक्षार्थियों ने {answer} चुना',
+    'items.checkKey': 'कुंजी जाँचें: {reasons}।',
+
+    // Modals
+    'format.title': 'उत्तर कुंजी का फ़ॉर्मेट',
+    'format.excelTitle': 'Excel (.xlsx, .xls)',
+    'format.excel': 'दो कॉलम वाली शीट बनाएँ: कॉलम A में प्रश्न संख्या और कॉलम B में सही उत्तर।',
+    'format.csvTitle': 'CSV / TSV (.csv, .tsv)',
+    'format.csv': 'Excel जैसा ही ढाँचा: पहले कॉलम में प्रश्न संख्या और दूसरे में उत्तर। शीर्षक पंक्ति अनदेखी की जाती है।',
+    'format.jsonTitle': 'JSON (.json)',
+    'format.json': '{"1": "A", "2": "C"} जैसा ऑब्जेक्ट, प्रश्नों के क्रम में उत्तरों की सूची जैसे ["A", "C"], या [{"q": 1, "answer": "A"}] जैसी सूची।',
+    'format.textTitle': 'PDF / टेक्स्ट (.pdf, .txt) या चिपकाया गया पाठ',
+    'format.text': 'पाठ में उत्तरों की सूची होनी चाहिए, जैसे "1. A", "2. C" या "1-A, 2-C" आदि।',
+    'format.manualTitle': 'हाथ से लिखना',
+    'format.manual': 'उत्तरों को अक्षरों की एक स्ट्रिंग में लिखें (उदा., BCAD...)। दूसरे प्रकार के प्रश्नों के लिए उत्तरों को कॉमा या स्पेस से अलग करें (उदा., B, AC, 12.5, 10-12)।',
+    'format.typesTitle': 'प्रश्न के प्रकार के अनुसार उत्तर',
+    'format.types': 'एक सही उत्तर: एक अक्षर (उदा., B)। एक से अधिक सही उत्तर: सभी सही अक्षर (उदा., AC)। संख्यात्मक: एक मान या सीमा (उदा., 12.5 या 10-12)। मैट्रिक्स मिलान: पंक्तियों A-D के कॉलम "/" से अलग (उदा., PQ/R/S/T)।',
+    'format.revisedTitle': 'संशोधित कुंजियाँ',
+    'format.revised': 'किसी भी फ़ॉर्मेट में प्रश्न को BONUS (सभी को पूरे अंक) या DROP (अंक नहीं और अधिकतम अंकों से बाहर) लिखा जा सकता है, या कई उत्तरों में से कोई भी मान्य किया जा सकता है (उदा., B/C या B|C; मैट्रिक्स मिलान के लिए | का उपयोग करें)।',
+    'format.setsTitle': 'प्रश्नपत्र सेट',
+    'format.sets': 'एक ही प्रश्नपत्र के फेरबदल किए गए सेट (A, B, C...) के लिए मास्टर प्रश्नपत्र की कुंजी और Set | Question | Master Question | Option Order शीर्षक वाली शीट अपलोड करें, जिसमें हर सेट के हर प्रश्न की एक पंक्ति हो: उदा., "B, 1, 14, CABD" का अर्थ है कि सेट B का Q1 मास्टर का Q14 है, और उसके विकल्प A, B, C, D मास्टर के C, A, B, D हैं। विकल्प क्रम वैकल्पिक है। Excel में इसे कुंजी वाली वर्कबुक की दूसरी शीट के रूप में जोड़ें; CSV/TSV में इसे अलग फ़ाइल के रूप में अपलोड करें। परीक्षार्थी शीट पर अपना सेट चुनते हैं, और उनके उत्तर मास्टर क्रम में जाँचे जाते हैं।',
+    'format.keyLetters': 'शीट पर कोई भी विकल्प चिह्न दिखें, उत्तर कुंजी में हमेशा A-E अक्षर ही लिखे जाते हैं।',
+    'format.gotIt': 'समझ गया!',
+    'confirm.title': 'उत्तर कुंजी नहीं दी गई',
+    'confirm.text': 'बिना जाँचे आगे बढ़ें? आप अपनी भरी हुई शीट PDF में सहेज सकते हैं।',
+
+    // Keyboard and screen reader announcements
+    'keyboard.cleared': 'प्रश्न {question} का उत्तर मिटाया गया।',
+    'keyboard.answer': 'प्रश्न {question}: {answer}।',
+    'keyboard.noAnswer': 'कोई उत्तर नहीं',
+    'keyboard.timeElapsed': 'बीता समय: {time}।',
+    'keyboard.timeLeft': 'बचा समय: {time}।',
+    'keyboard.goToRange': '1 से {max} तक की प्रश्न संख्या डालें।',
+
+    // Assets that failed to load (see reportFailedAsset in index.html)
+    'asset.offlineCache': 'ऑफ़लाइन कैश (sw.js)',
+    'asset.interFont': 'Inter फ़ॉन्ट',
+    'asset.devanagariFont': 'PDF रिपोर्ट के लिए देवनागरी फ़ॉन्ट',
+};
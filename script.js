@@ -3,12 +3,25 @@
  * @project Mock OMR Sheet - Main Application Logic
  * @date August 2025
  * @description This script powers the Mock OMR Sheet application. It handles UI interactions,
- * state management, file parsing, grading logic, and PDF report generation.
+ * state management, file reading, and PDF report generation. Parsing answer keys and scoring
+ * live in engine.js, which does not touch the page. User-facing text comes from the message
+ * catalogues in locales/ (see i18n.js).
  */
 
+import {
+    OPTION_LETTERS, MATRIX_ROWS, MATRIX_COLUMNS, QUESTION_TYPES, BONUS_KEY, DROPPED_KEY, ALTERNATIVE_SEPARATOR,
+    buildSection, readSheetSections, readFileRecords, describeSection, hasMarkingScheme, normalizeAnswer, formatKeyEntry, parseManualKey, parseKey,
+    parseDelimitedText, grade, evaluateResponse, getOptionValues, sumSectionResults, describeScore,
+    validateKeyEntries, isPaperSetRows, readPaperSets, readStoredPaperSets, analyseItems, toMasterResponses, toSetKey, toSetNumbering,
+    CONFIDENCE_LEVELS, summariseConfidence, skipByConfidence,
+} from './engine.js';
+import { LANGUAGES, OPTION_LABEL_SETS, t, setLanguage, getLanguage, getLocale } from './i18n.js';
+
 // --- Global Configuration for Libraries ---
 // Required configuration for PDF.js to specify its worker script location.
-pdfjsLib.GlobalWorkerOptions.workerSrc = `https://cdnjs.cloudflare.com/ajax/libs/pdf.js/2.14.305/pdf.worker.min.js`;
+// The worker is vendored alongside pdf.js so PDF answer keys can be read offline.
+// If pdf.js itself failed to load, the page already shows an error; the rest of the app still works.
+if (window.pdfjsLib) pdfjsLib.GlobalWorkerOptions.workerSrc = 'vendor/pdfjs/pdf.worker.min.js';
 
 // --- DOM Element References ---
 // A best practice to get all element references at the top for easy access and management.
@@ -16,13 +29,23 @@ const generateBtn = document.getElementById('generate-btn');
 const questionCountInput = document.getElementById('question-count');
 const correctMarksInput = document.getElementById('correct-marks');
 const wrongMarksInput = document.getElementById('wrong-marks');
+const examDurationInput = document.getElementById('exam-duration');
+const warningTimesInput = document.getElementById('warning-times');
+const examTitleInput = document.getElementById('exam-title');
+const examFileUpload = document.getElementById('exam-file-upload');
 const configError = document.getElementById('config-error');
 const omrContainer = document.getElementById('omr-container');
 const omrSheet = document.getElementById('omr-sheet');
 const timerDisplay = document.getElementById('timer-display');
+const timerWarningEl = document.getElementById('timer-warning');
 const checkBtn = document.getElementById('check-btn');
 const resetBtn = document.getElementById('reset-btn');
 const savePdfBtn = document.getElementById('save-pdf-btn');
+const candidateNameInput = document.getElementById('candidate-name');
+const pdfColumnsSelect = document.getElementById('pdf-columns');
+const pdfChartsCheckbox = document.getElementById('pdf-charts-checkbox');
+const pdfKeyAppendixCheckbox = document.getElementById('pdf-key-appendix-checkbox');
+const pdfItemAnalysisCheckbox = document.getElementById('pdf-item-analysis-checkbox');
 const fileUpload = document.getElementById('file-upload');
 const manualKeyInput = document.getElementById('manual-key');
 const checkError = document.getElementById('check-error');
@@ -34,23 +57,173 @@ const timeTakenInfoEl = document.getElementById('time-taken-info');
 const correctCountEl = document.getElementById('correct-count');
 const incorrectCountEl = document.getElementById('incorrect-count');
 const unansweredCountEl = document.getElementById('unanswered-count');
+const partialCountEl = document.getElementById('partial-count');
 const marksBreakdownEl = document.getElementById('marks-breakdown');
 const correctMarksTotalEl = document.getElementById('correct-marks-total');
 const incorrectMarksTotalEl = document.getElementById('incorrect-marks-total');
 const formatModal = document.getElementById('format-modal');
+const formatInfoLink = document.getElementById('format-info-link');
+const formatModalCloseBtn = document.getElementById('format-modal-close-btn');
+const srAnnouncer = document.getElementById('sr-announcer');
+const goToForm = document.getElementById('go-to-form');
+const goToInput = document.getElementById('go-to-input');
+const paperSetPicker = document.getElementById('paper-set-picker');
+const paperSetSelect = document.getElementById('paper-set-select');
 const confirmModal = document.getElementById('confirm-modal');
 const confirmYesBtn = document.getElementById('confirm-yes-btn');
 const confirmNoBtn = document.getElementById('confirm-no-btn');
+const keyPreviewModal = document.getElementById('key-preview-modal');
+const keyPreviewSummaryEl = document.getElementById('key-preview-summary');
+const keyPreviewBody = document.getElementById('key-preview-body');
+const keyPreviewApplyBtn = document.getElementById('key-preview-apply-btn');
+const keyPreviewCancelBtn = document.getElementById('key-preview-cancel-btn');
+const pasteKeyInput = document.getElementById('paste-key');
+const pasteKeyBtn = document.getElementById('paste-key-btn');
+const addSectionBtn = document.getElementById('add-section-btn');
+const sectionList = document.getElementById('section-list');
+const sectionBreakdownEl = document.getElementById('section-breakdown');
+const keyAdjustmentsEl = document.getElementById('key-adjustments');
+const timeAnalysisEl = document.getElementById('time-analysis');
+const confidenceAnalysisEl = document.getElementById('confidence-analysis');
+const changeAnalysisEl = document.getElementById('change-analysis');
+const paletteSummaryEl = document.getElementById('palette-summary');
+const paletteToggleBtn = document.getElementById('palette-toggle-btn');
+const paperUpload = document.getElementById('paper-upload');
+const paperError = document.getElementById('paper-error');
+const sheetLayout = document.getElementById('sheet-layout');
+const paperViewer = document.getElementById('paper-viewer');
+const paperTitleEl = document.getElementById('paper-title');
+const paperStatusEl = document.getElementById('paper-status');
+const paperPagesEl = document.getElementById('paper-pages');
+const closePaperBtn = document.getElementById('close-paper-btn');
+const questionPalette = document.getElementById('question-palette');
+const resumeBanner = document.getElementById('resume-banner');
+const resumeInfoEl = document.getElementById('resume-info');
+const resumeBtn = document.getElementById('resume-btn');
+const discardAttemptBtn = document.getElementById('discard-attempt-btn');
+const historyBtn = document.getElementById('history-btn');
+const historySection = document.getElementById('history-section');
+const historyChartEl = document.getElementById('history-chart');
+const historyTableBody = document.getElementById('history-table-body');
+const historyEmptyEl = document.getElementById('history-empty');
+const historyError = document.getElementById('history-error');
+const clearHistoryBtn = document.getElementById('clear-history-btn');
+const closeHistoryBtn = document.getElementById('close-history-btn');
+const reviewBanner = document.getElementById('review-banner');
+const exportPackageBtn = document.getElementById('export-package-btn');
+const includeKeyCheckbox = document.getElementById('include-key-checkbox');
+const exportResponsesBtn = document.getElementById('export-responses-btn');
+const shareError = document.getElementById('share-error');
+const printBlankBtn = document.getElementById('print-blank-btn');
+const scanUpload = document.getElementById('scan-upload');
+const scanError = document.getElementById('scan-error');
+const batchUpload = document.getElementById('batch-upload');
+const batchError = document.getElementById('batch-error');
+const batchSection = document.getElementById('batch-section');
+const batchSummaryEl = document.getElementById('batch-summary');
+const batchWarningsEl = document.getElementById('batch-warnings');
+const batchTableBody = document.getElementById('batch-table-body');
+const batchXlsxBtn = document.getElementById('batch-xlsx-btn');
+const batchCsvBtn = document.getElementById('batch-csv-btn');
+const closeBatchBtn = document.getElementById('close-batch-btn');
+const itemAnalysisBody = document.getElementById('item-analysis-body');
+const itemAnalysisPdfBtn = document.getElementById('item-analysis-pdf-btn');
+const itemAnalysisScopeEl = document.getElementById('item-analysis-scope');
+const languageSelect = document.getElementById('language-select');
+const optionLabelsSelect = document.getElementById('option-labels-select');
+
+// --- Constants ---
+const MAX_QUESTIONS = 200;
+const SAVED_ATTEMPT_STORAGE_KEY = 'mock-omr-saved-attempt';
+const HISTORY_STORAGE_KEY = 'mock-omr-attempt-history';
+const LANGUAGE_STORAGE_KEY = 'mock-omr-language';
+const OPTION_LABELS_STORAGE_KEY = 'mock-omr-option-labels';
+const MAX_HISTORY_ENTRIES = 200;
+const DEFAULT_WARNING_MINUTES = [10, 1];
+const SLOW_QUESTION_MS = 2 * 60000; // Questions that took longer than this are called out in the time analysis
+const SLOWEST_QUESTIONS_LISTED = 5;
+// Identify the JSON files written by "Export Exam Package" and "Export Responses".
+const EXAM_PACKAGE_FORMAT = 'mock-omr-exam-package';
+const RESPONSE_FILE_FORMAT = 'mock-omr-responses';
+const FILE_FORMAT_VERSION = 1;
+// Geometry of the printable blank sheet, in millimetres on an A4 page. The scanner reads bubbles
+// at the same positions, so a sheet must be scanned against the configuration it was printed from.
+const BLANK_SHEET = {
+    pageWidth: 210,
+    pageHeight: 297,
+    margin: 10,
+    markerSize: 8, // Solid squares in the four corners, used to line up a scan
+    columns: 3,
+    rowHeight: 7,
+    bubbleRadius: 2.2,
+    bubbleSpacing: 6,
+    rollDigits: 8,
+    firstPageTop: 98, // Where questions start below the header and roll number grid
+};
+const FILLED_BUBBLE_THRESHOLD = 0.45; // Share of dark pixels above which a scanned bubble counts as filled
+const MAX_SCAN_DIMENSION = 1800; // Scans are scaled down to this many pixels on their longer side
+const PAPER_RENDER_WIDTH = 1200; // Question paper pages are drawn at most this many pixels wide, then scaled to fit the viewer
+const PAPER_RENDER_MARGIN = '150%'; // Pages within this much of the viewer's height are drawn; pages further away free their canvas
+const MAX_QUESTION_NUMBER_GAP = 10; // A number further than this past the last question found in the paper is not taken as a question
+// TrueType files embedded in PDF reports that contain Hindi text or Devanagari option labels; jsPDF's
+// built-in fonts only cover Latin script.
+const PDF_DEVANAGARI_FONT = {
+    family: 'NotoSansDevanagari',
+    files: {
+        normal: 'vendor/noto-sans-devanagari/NotoSansDevanagari_400Regular.ttf',
+        bold: 'vendor/noto-sans-devanagari/NotoSansDevanagari_700Bold.ttf',
+    },
+};
+const DEVANAGARI_PATTERN = /[\u0900-\u097F]/;
+// Devanagari signs jsPDF cannot place without the font's shaping rules: the virama (conjuncts), the short i
+// (drawn before its consonant) and the signs drawn above or below a letter. Text with any of them is drawn by
+// the browser as an image instead (see `drawPdfText`).
+const DEVANAGARI_SHAPING_PATTERN = /[\u0900-\u0902\u093A-\u093C\u093F\u0941-\u094F\u0951-\u0957\u0962\u0963]/;
+const PDF_SHAPED_TEXT_FONT = "'Noto Sans Devanagari', Helvetica, Arial, sans-serif";
+const PDF_SHAPED_TEXT_SCALE = 4; // Image pixels per point of font size: sharp when printed (about 290 dpi)
+const PDF_SHAPED_TEXT_ASCENT = 1.1; // Room above the baseline for the headline and vowel signs, in ems
+const PDF_SHAPED_TEXT_DESCENT = 0.5; // Room below the baseline for vowel signs and conjuncts, in ems
 
 // --- State Variables ---
 // Variables to hold the application's current state.
 let totalQuestions = 0;
-let correctMarks = null;
-let wrongMarks = null;
-let answerKey = {};
+let sections = []; // Each section: { title, start, end, type, optionCount, correctMarks, wrongMarks, partialMarks, attemptLimit }
+let sectionResults = []; // Per-section score breakdown from the last grading
+let questionResults = {}; // Per-question evaluation ({ status, marks }) from the last grading
+let answerKey = {}; // Always in the master paper's order when paper sets are loaded
+let paperSets = {}; // Question and option mappings by set code (see `readPaperSets`)
+let selectedSetCode = ''; // The set the candidate is answering; '' for the master paper
+let pendingKey = null; // A parsed key shown in the preview, waiting for confirmation
 let timerInterval = null;
 let startTime = 0;
 let isGraded = false; // Flag to track if the sheet has been graded
+let pendingAttempt = null; // A saved, unfinished attempt found on load, waiting to be resumed
+let currentAttemptId = null; // Identifies the current attempt in the history, so re-grading updates its entry
+let examDurationMs = null; // Time allowed in exam mode; null when the timer simply counts up
+let warningThresholdsMs = []; // Remaining-time marks at which a warning is shown
+let shownWarningsMs = []; // Thresholds whose warning has already been shown
+let warningTimeout = null;
+let isAutoSubmitted = false; // Flag to track if the sheet was submitted because time ran out
+let questionTimings = {}; // Per-question timing: { firstVisitMs, dwellMs, changes, lastAnswer }, relative to the attempt start
+let activeQuestion = null; // The question the candidate is currently working on
+let openModalState = null; // The open modal, what Escape does in it, and where focus returns when it closes
+let activeSince = 0; // When time on the active question was last added up
+let reviewFlags = []; // Question numbers marked for review
+let confidenceTags = {}; // How sure the candidate was of each answer, by question number (see `CONFIDENCE_LEVELS`)
+let answerLogs = {}; // Per-question list of { atMs, action: 'select'|'clear', answer } events, relative to the attempt start
+let examTitle = ''; // Optional name of the test, shown in the history and used for exported file names
+let importedElapsedMs = null; // Time taken recorded in an imported response file; null for a live attempt
+let rollNumber = ''; // Read from a scanned sheet's roll number grid, if any
+let batchResults = []; // Graded candidates from the last class spreadsheet, best score first
+let paperMarkers = {}; // Clickable question numbers in the open question paper, by question number
+let paperLoadId = 0; // Counts question paper loads, so a paper that was closed or replaced stops rendering
+let paperDocument = null; // The open question paper (a pdf.js document)
+let paperPageViews = new Map(); // Each page element of the open question paper: { page, pageNumber, canvas, renderTask }
+let paperObserver = null; // Draws question paper pages as they come near the viewer (see `handlePaperPageVisibility`)
+let optionLabels = 'latin'; // How options are labelled on the sheet and in reports (see `OPTION_LABEL_SETS`)
+let timeTakenMs = null; // Time taken by the graded attempt, kept to re-word the results when the language changes
+let pdfFontFiles = null; // The Devanagari font files as base64, loaded once when a report first needs them
+let pdfTextImages = new WeakMap(); // Devanagari text already drawn into each PDF, so repeated labels are drawn once
 
 // --- Event Listeners ---
 // Centralized event listener setup for all user interactions.
@@ -58,10 +231,61 @@ generateBtn.addEventListener('click', generateOMRSheet);
 questionCountInput.addEventListener('keydown', (e) => { if (e.key === 'Enter') generateOMRSheet(); });
 checkBtn.addEventListener('click', handleCheckAnswers);
 resetBtn.addEventListener('click', resetEverything);
-savePdfBtn.addEventListener('click', saveResultAsPDF);
+savePdfBtn.addEventListener('click', () => saveResultAsPDF());
 fileUpload.addEventListener('change', handleFileUpload);
+formatInfoLink.addEventListener('click', showFormatInfo);
+formatModalCloseBtn.addEventListener('click', hideFormatInfo);
 confirmYesBtn.addEventListener('click', handleConfirmProceed);
-confirmNoBtn.addEventListener('click', () => confirmModal.classList.add('hidden'));
+confirmNoBtn.addEventListener('click', () => closeModal(confirmModal));
+keyPreviewApplyBtn.addEventListener('click', applyPendingKey);
+keyPreviewCancelBtn.addEventListener('click', cancelPendingKey);
+pasteKeyBtn.addEventListener('click', () => {
+    if (pasteKeyInput.value.trim() && hasSheetForKey()) previewAnswerKey(parseKey(pasteKeyInput.value, sections), t('source.pasted'));
+});
+addSectionBtn.addEventListener('click', () => addSectionConfigRow());
+examFileUpload.addEventListener('change', handleExamFileUpload);
+exportPackageBtn.addEventListener('click', exportExamPackage);
+exportResponsesBtn.addEventListener('click', exportResponses);
+printBlankBtn.addEventListener('click', printBlankSheet);
+scanUpload.addEventListener('change', handleScanUpload);
+batchUpload.addEventListener('change', handleBatchUpload);
+batchXlsxBtn.addEventListener('click', () => downloadBatchResults('xlsx'));
+batchCsvBtn.addEventListener('click', () => downloadBatchResults('csv'));
+closeBatchBtn.addEventListener('click', () => batchSection.classList.add('hidden'));
+itemAnalysisPdfBtn.addEventListener('click', () => saveResultAsPDF(buildItemAnalysisReport()));
+resumeBtn.addEventListener('click', resumeSavedAttempt);
+historyBtn.addEventListener('click', showHistory);
+paletteToggleBtn.addEventListener('click', () => {
+    const isHidden = questionPalette.classList.toggle('hidden');
+    setTranslatedText(paletteToggleBtn, isHidden ? 'palette.show' : 'palette.hide');
+    paletteToggleBtn.setAttribute('aria-expanded', String(!isHidden));
+});
+closeHistoryBtn.addEventListener('click', () => historySection.classList.add('hidden'));
+clearHistoryBtn.addEventListener('click', () => {
+    saveHistory([]);
+    renderHistory();
+});
+omrSheet.addEventListener('keydown', handleSheetKeydown);
+document.addEventListener('keydown', handleGlobalKeydown);
+paperUpload.addEventListener('change', handlePaperUpload);
+closePaperBtn.addEventListener('click', closeQuestionPaper);
+paperSetSelect.addEventListener('change', () => selectPaperSet(paperSetSelect.value));
+goToForm.addEventListener('submit', (e) => {
+    e.preventDefault();
+    goToQuestion(goToInput.value);
+});
+discardAttemptBtn.addEventListener('click', () => {
+    clearSavedAttempt();
+    resumeBanner.classList.add('hidden');
+});
+languageSelect.addEventListener('change', () => changeLanguage(languageSelect.value));
+optionLabelsSelect.addEventListener('change', () => changeOptionLabels(optionLabelsSelect.value));
+
+// --- Initialisation ---
+initLanguage();
+checkForSavedAttempt();
+registerServiceWorker();
+checkBundledFont();
 
 // --- Core Application Logic ---
 
@@ -69,79 +293,216 @@ confirmNoBtn.addEventListener('click', () => confirmModal.classList.add('hidden'
  * Generates the OMR sheet based on user input and starts the timer.
  */
 function generateOMRSheet() {
-    const count = parseInt(questionCountInput.value, 10);
-    if (isNaN(count) || count < 1 || count > 200) {
-        showError(configError, 'Please enter a number between 1 and 200.');
-        return;
-    }
+    const configuredSections = readSectionConfig();
+    if (!configuredSections) return;
+    const timing = readExamTiming();
+    if (!timing) return;
     hideError(configError);
-    totalQuestions = count;
+    // Starting a new sheet replaces any unfinished attempt that was offered for resuming.
+    resumeBanner.classList.add('hidden');
+    pendingAttempt = null;
+    renderOMRSheet(configuredSections);
+    resetOMRState();
+    examTitle = examTitleInput.value.trim();
+    currentAttemptId = createAttemptId();
+    examDurationMs = timing.durationMs;
+    warningThresholdsMs = timing.warningsMs;
+    startTimer();
+}
 
-    // Parse and store the marking scheme, ensuring wrong marks are negative.
-    correctMarks = correctMarksInput.value ? parseFloat(correctMarksInput.value) : null;
-    wrongMarks = wrongMarksInput.value ? parseFloat(wrongMarksInput.value) : null;
-    if (wrongMarks !== null && wrongMarks > 0) wrongMarks = -wrongMarks;
+/**
+ * Builds the section headers and question rows for a list of sections and shows the sheet.
+ * @param {Array<Object>} sheetSections - The sections to render.
+ */
+function renderOMRSheet(sheetSections) {
+    sections = sheetSections;
+    totalQuestions = sections[sections.length - 1].end;
 
-    // Dynamically create and append question rows.
+    // Dynamically create and append section headers and question rows.
     omrSheet.innerHTML = '';
-    for (let i = 1; i <= totalQuestions; i++) {
-        const questionRow = createQuestionRow(i);
-        omrSheet.appendChild(questionRow);
-        const clearButton = questionRow.querySelector('.clear-btn');
-        
-        // Add event listener to the clear button.
-        clearButton.addEventListener('click', () => clearSelection(i));
-        
-        // Show the clear button only when a radio button is selected.
-        questionRow.addEventListener('change', () => {
-            const isChecked = questionRow.querySelector(`input[name="question-${i}"]:checked`);
-            clearButton.classList.toggle('hidden', !isChecked);
-        });
-    }
+    sections.forEach((section, sectionIndex) => {
+        if (section.title) omrSheet.appendChild(createSectionHeader(section, sectionIndex));
+
+        for (let i = section.start; i <= section.end; i++) {
+            const questionRow = createQuestionRow(i, section);
+            omrSheet.appendChild(questionRow);
+            const clearButton = questionRow.querySelector('.clear-btn');
 
-    // Display the OMR container and start the test.
+            // Add event listener to the clear button.
+            clearButton.addEventListener('click', () => clearSelection(i));
+            questionRow.querySelector('.review-btn').addEventListener('click', () => toggleReviewFlag(i));
+            questionRow.querySelector('.paper-link-btn').addEventListener('click', () => showQuestionInPaper(i));
+            questionRow.querySelectorAll('.confidence-btn').forEach(button => button.addEventListener('click', () => setConfidence(i, button.dataset.level)));
+
+            // Show the clear button and the confidence tags only when the question has an answer.
+            const handleAnswerChange = () => {
+                clearButton.classList.toggle('hidden', !getResponse(i));
+                questionRow.querySelector('.confidence-group').classList.toggle('hidden', !getResponse(i));
+                if (!getResponse(i)) clearConfidence(i);
+                updateAttemptCount(sectionIndex);
+                updatePalette();
+                saveAttempt();
+            };
+            // Choices report a click once, through "change"; the numerical box reports each keystroke through "input".
+            questionRow.addEventListener('change', event => { if (!event.target.classList.contains('numeric-answer')) handleAnswerChange(); });
+            const numericInput = questionRow.querySelector('.numeric-answer');
+            if (numericInput) numericInput.addEventListener('input', handleAnswerChange);
+
+            // Time spent on a question runs from when the candidate starts working on it until they move on.
+            questionRow.addEventListener('focusin', () => setActiveQuestion(i));
+            questionRow.addEventListener('pointerdown', () => setActiveQuestion(i));
+            // The open question paper follows the question being answered.
+            questionRow.addEventListener('focusin', () => showQuestionInPaper(i));
+            questionRow.addEventListener('change', () => recordAnswerChange(i));
+        }
+    });
+
+    renderPalette();
+    updatePaperLinks();
+
+    // Display the OMR container.
     omrContainer.classList.remove('hidden');
     omrContainer.classList.add('fade-in');
-    resetOMRState();
-    startTimer();
 }
 
 /**
- * Creates a single question row element with radio buttons and a clear button.
+ * Creates a single question row element with the answer inputs for its type and a clear button.
  * @param {number} i - The question number.
+ * @param {Object} section - The section the question belongs to (defines its type and options).
  * @returns {HTMLElement} The created div element for the question row.
  */
-function createQuestionRow(i) {
+function createQuestionRow(i, section) {
     const questionRow = document.createElement('div');
     questionRow.className = 'question-row flex items-center justify-between p-3 rounded-lg transition-colors duration-300';
     questionRow.id = `q-row-${i}`;
-    const optionsHTML = ['A', 'B', 'C', 'D'].map(option => `
-        <div class="flex items-center space-x-2">
-            <input type="radio" name="question-${i}" id="q${i}-opt${option}" value="${option}" class="omr-radio">
-            <label for="q${i}-opt${option}" class="font-semibold cursor-pointer">${option}</label>
-        </div>`).join('');
+    // Single-correct rows are radio groups; the row itself takes focus when keyboard navigation lands on a locked question.
+    questionRow.setAttribute('role', section.type === 'single' ? 'radiogroup' : 'group');
+    questionRow.dataset.i18nAriaLabel = 'sheet.questionLabel';
+    questionRow.dataset.i18nArgs = JSON.stringify({ question: i, type: { key: `questionType.${section.type}` } });
+    questionRow.tabIndex = -1;
     questionRow.innerHTML = `
         <div class="flex items-center">
-            <span class="font-bold text-slate-700 w-10 text-right mr-4">${i}.</span>
+            <span class="font-bold text-slate-700 w-10 text-right mr-4" aria-hidden="true">${i}.</span>
+            <span class="time-spent hidden text-xs text-slate-500"></span>
         </div>
         <div class="flex items-center space-x-4 md:space-x-6">
-            ${optionsHTML}
-            <button class="text-sm font-medium text-red-500 hover:text-red-700 hidden clear-btn">Clear</button>
+            ${createAnswerInputsHTML(i, section)}
+            <span class="answer-hint hidden text-sm font-semibold text-green-700"></span>
+            <div class="confidence-group hidden flex items-center gap-1" role="group" data-i18n-aria-label="sheet.confidenceGroup" data-i18n-args='{"question":${i}}'>
+                ${CONFIDENCE_LEVELS.map(level => `<button class="confidence-btn text-xs font-medium px-1.5 py-0.5 rounded border border-slate-300 text-slate-500" data-level="${level}" data-i18n="confidence.${level}" aria-pressed="false"></button>`).join('')}
+            </div>
+            <button class="paper-link-btn hidden text-sm font-medium text-blue-500 hover:text-blue-700" data-i18n="sheet.paperLink" data-i18n-title="sheet.paperLinkTitle" data-i18n-aria-label="sheet.paperLinkLabel" data-i18n-args='{"question":${i}}'></button>
+            <button class="review-btn text-sm font-medium text-purple-500 hover:text-purple-700" data-i18n="sheet.review" data-i18n-title="sheet.reviewTitle" data-i18n-aria-label="sheet.reviewLabel" data-i18n-args='{"question":${i}}' aria-pressed="false"></button>
+            <button class="text-sm font-medium text-red-500 hover:text-red-700 hidden clear-btn" data-i18n="sheet.clear" data-i18n-aria-label="sheet.clearLabel" data-i18n-args='{"question":${i}}'></button>
         </div>`;
+    applyTranslations(questionRow);
     return questionRow;
 }
 
 /**
- * Clears the selected radio button for a specific question.
+ * Builds the answer inputs for a question: radio bubbles (single correct), checkbox bubbles
+ * (multiple correct), a text box (numerical) or a row/column bubble grid (matrix match).
+ * @param {number} i - The question number.
+ * @param {Object} section - The section the question belongs to.
+ * @returns {string} The HTML for the inputs.
+ */
+function createAnswerInputsHTML(i, section) {
+    if (section.type === 'numerical') {
+        return `<input type="text" inputmode="decimal" name="question-${i}" id="q${i}-numeric" data-i18n-aria-label="sheet.answerLabel" data-i18n-placeholder="sheet.answerPlaceholder" data-i18n-args='{"question":${i}}' class="numeric-answer w-32 p-2 border border-slate-300 rounded-lg text-center focus:ring-2 focus:ring-blue-500" autocomplete="off">`;
+    }
+
+    if (section.type === 'matrix') {
+        const columns = MATRIX_COLUMNS.slice(0, section.optionCount);
+        const headerHTML = columns.map(column => `<span class="w-6 text-center text-xs font-semibold text-slate-500">${column}</span>`).join('');
+        const rowsHTML = MATRIX_ROWS.map(rowLetter => `
+            <div class="flex items-center space-x-2">
+                <span class="w-4 font-semibold">${rowLetter}</span>
+                ${columns.map(column => `<input type="checkbox" name="question-${i}" id="q${i}-opt${rowLetter}${column}" value="${rowLetter}${column}" class="omr-radio omr-check" title="${rowLetter} - ${column}" data-i18n-aria-label="sheet.matrixCell" data-i18n-args='{"row":"${rowLetter}","column":"${column}"}'>`).join('')}
+            </div>`).join('');
+        return `
+            <div class="matrix-grid space-y-1">
+                <div class="flex items-center space-x-2"><span class="w-4"></span>${headerHTML}</div>
+                ${rowsHTML}
+            </div>`;
+    }
+
+    const inputType = section.type === 'multiple' ? 'checkbox' : 'radio';
+    const inputClass = section.type === 'multiple' ? 'omr-radio omr-check' : 'omr-radio';
+    return OPTION_LETTERS.slice(0, section.optionCount).map(option => `
+        <div class="flex items-center space-x-2">
+            <input type="${inputType}" name="question-${i}" id="q${i}-opt${option}" value="${option}" class="${inputClass}">
+            <label for="q${i}-opt${option}" class="font-semibold cursor-pointer" data-option-label="${option}"></label>
+        </div>`).join('');
+}
+
+/**
+ * Creates the header shown above the questions of a titled section.
+ * @param {Object} section - The section being rendered.
+ * @param {number} sectionIndex - The position of the section in the `sections` list.
+ * @returns {HTMLElement} The created header element.
+ */
+function createSectionHeader(section, sectionIndex) {
+    const header = document.createElement('div');
+    header.className = 'section-header flex flex-wrap justify-between items-baseline gap-2 border-b-2 border-slate-200 pt-4 pb-2';
+    header.id = `section-header-${sectionIndex}`;
+    header.innerHTML = `
+        <h3 class="font-bold text-lg text-slate-800"></h3>
+        <div class="text-sm text-slate-500">
+            <span class="section-meta"></span>
+            <span class="attempt-count font-semibold ml-2"></span>
+        </div>`;
+    header.querySelector('h3').textContent = section.title;
+    header.querySelector('.section-meta').textContent = describeSection(section);
+    return header;
+}
+
+/**
+ * Updates the "Attempted" counter in a section header and flags sections that exceed their attempt limit.
+ * @param {number} sectionIndex - The position of the section in the `sections` list.
+ */
+function updateAttemptCount(sectionIndex) {
+    const section = sections[sectionIndex];
+    const counterEl = document.querySelector(`#section-header-${sectionIndex} .attempt-count`);
+    if (!section || !counterEl) return;
+    const attempted = countAttempted(section);
+    counterEl.textContent = section.attemptLimit !== null
+        ? t('sheet.attemptedOfLimit', { count: attempted, limit: section.attemptLimit })
+        : t('sheet.attempted', { count: attempted });
+    const overLimit = section.attemptLimit !== null && attempted > section.attemptLimit;
+    counterEl.classList.toggle('text-red-600', overLimit);
+}
+
+/**
+ * Counts the answered questions within a section.
+ * @param {Object} section - The section to inspect.
+ * @returns {number} The number of questions with an answer.
+ */
+function countAttempted(section) {
+    let attempted = 0;
+    for (let i = section.start; i <= section.end; i++) {
+        if (getResponse(i)) attempted++;
+    }
+    return attempted;
+}
+
+/**
+ * Clears the answer for a specific question.
  * @param {number} questionNumber - The number of the question to clear.
  */
 function clearSelection(questionNumber) {
     const row = document.getElementById(`q-row-${questionNumber}`);
-    document.querySelectorAll(`input[name="question-${questionNumber}"]`).forEach(radio => {
-        radio.checked = false;
+    document.querySelectorAll(`input[name="question-${questionNumber}"]`).forEach(input => {
+        if (input.type === 'text') input.value = '';
+        else input.checked = false;
     });
-    // Hide the clear button after clearing the selection.
+    // Hide the clear button and the confidence tags after clearing the selection.
     row.querySelector('.clear-btn').classList.add('hidden');
+    row.querySelector('.confidence-group').classList.add('hidden');
+    clearConfidence(questionNumber);
+    updateAttemptCount(getSectionIndex(questionNumber));
+    recordAnswerChange(questionNumber);
+    updatePalette();
+    saveAttempt();
 }
 
 /**
@@ -154,77 +515,426 @@ function handleCheckAnswers() {
 
     if (hasAnswerKey) {
         if (manualKey) {
-            if (manualKey.length !== totalQuestions) {
-                showError(checkError, `Manual key has ${manualKey.length} answers, but there are ${totalQuestions} questions.`);
-                return;
-            }
-            answerKey = {};
-            for (let i = 0; i < manualKey.length; i++) answerKey[i + 1] = manualKey[i];
+            const newKey = readManualKey(manualKey);
+            if (!newKey) return;
+            answerKey = newKey;
         } else if (Object.keys(answerKey).length !== totalQuestions) {
-            showError(checkError, `Uploaded key has ${Object.keys(answerKey).length} answers, but there are ${totalQuestions} questions.`);
+            showError(checkError, t('check.keyCountMismatch', { count: Object.keys(answerKey).length, total: totalQuestions }));
             return;
         }
         gradeSheet();
     } else {
-        confirmModal.classList.remove('hidden');
+        openModal(confirmModal, () => closeModal(confirmModal));
     }
 }
 
+/**
+ * Parses a manually typed key into a full answer key, showing an error if it does not fit the sheet.
+ * @param {string} manualKey - The upper-cased manual key.
+ * @param {HTMLElement} [errorEl=checkError] - Where to show an error.
+ * @returns {Object|null} The answer key, or null if the key is invalid.
+ */
+function readManualKey(manualKey, errorEl = checkError) {
+    const { key, error } = parseManualKey(manualKey, sections);
+    if (!key) showError(errorEl, error);
+    return key;
+}
+
 /**
  * Grades the sheet, calculates the score, stops the timer, and updates the UI.
+ * When the candidate answered a paper set, the answers are first moved back to the master order and scored
+ * against the master key, then the results are shown in the set's own numbering.
+ * @param {Object} [options={}] - Pass `{ isReview: true }` when re-displaying a past attempt, so it is not recorded again.
  */
-function gradeSheet() {
+function gradeSheet(options = {}) {
     stopTimer();
+    stopQuestionTracking();
+    clearSavedAttempt();
     hideError(checkError);
     isGraded = true;
-    let correct = 0, incorrect = 0, unanswered = 0;
+    paperSetSelect.disabled = true;
 
-    // Iterate through each question to check the answer.
-    for (let i = 1; i <= totalQuestions; i++) {
-        const row = document.getElementById(`q-row-${i}`);
-        row.classList.remove('correct', 'incorrect');
-        const selectedOption = document.querySelector(`input[name="question-${i}"]:checked`);
-        const correctAnswer = answerKey[i];
-
-        // Disable radio buttons and hide clear button after grading.
-        document.querySelectorAll(`input[name="question-${i}"]`).forEach(radio => radio.disabled = true);
-        row.querySelector('.clear-btn').classList.add('hidden');
-
-        if (!selectedOption) unanswered++;
-        else if (selectedOption.value === correctAnswer) {
-            correct++;
-            row.classList.add('correct');
-        } else {
-            incorrect++;
-            row.classList.add('incorrect');
-            // Highlight the correct answer if the user was wrong.
-            const correctLabel = row.querySelector(`label[for="q${i}-opt${correctAnswer}"]`);
-            if (correctLabel) correctLabel.classList.add('ring-2', 'ring-green-500', 'rounded-md', 'p-1');
+    const paperSet = getSelectedPaperSet();
+    const responses = collectResponses();
+    const scored = grade(paperSet ? toMasterResponses(responses, paperSet) : responses, answerKey, sections, paperSet);
+    sectionResults = scored.sectionResults;
+    questionResults = paperSet ? toSetNumbering(scored.questionResults, paperSet) : scored.questionResults;
+    const sheetKey = getSheetKey();
+
+    sections.forEach(section => {
+        for (let i = section.start; i <= section.end; i++) {
+            const row = document.getElementById(`q-row-${i}`);
+            row.classList.remove('correct', 'partial', 'incorrect', 'not-evaluated', 'bonus', 'dropped');
+
+            // Disable the answer inputs and hide clear button after grading.
+            row.querySelectorAll('input, .review-btn, .confidence-btn').forEach(input => input.disabled = true);
+            row.querySelector('.clear-btn').classList.add('hidden');
+
+            const status = questionResults[i].status;
+            if (status === 'unanswered') continue;
+            row.classList.add(status);
+            // Highlight the correct answer if the user was not fully right.
+            if (status !== 'correct' && status !== 'not-evaluated') showKeyHint(i, section, sheetKey[i]);
         }
-    }
+    });
+
+    renderResults();
+    updatePalette();
+    resultsDisplay.classList.remove('hidden');
+    resultsDisplay.classList.add('fade-in');
+    savePdfBtn.classList.remove('hidden');
+    announce(t('results.announce', {
+        score: `${scoreEl.textContent} ${totalMarksInfoEl.textContent}`.trim(),
+        correct: correctCountEl.textContent,
+        incorrect: incorrectCountEl.textContent,
+        unanswered: unansweredCountEl.textContent,
+    }));
+    if (!options.isReview) recordAttemptInHistory(scored.totals);
+}
+
+/**
+ * Fills the results panel from the last grading: the score, the counts and the analysis below them.
+ * Called again when the language changes, so the panel is re-worded without grading again.
+ */
+function renderResults() {
+    const totals = sumSectionResults(sectionResults);
+    const score = describeScore(totals, sections);
 
-    // Calculate and display the score based on the marking scheme.
-    if (correctMarks !== null) {
-        const totalScore = (correct * correctMarks) + (incorrect * (wrongMarks || 0));
-        const maxScore = totalQuestions * correctMarks;
-        scoreEl.textContent = `${totalScore}`;
-        totalMarksInfoEl.textContent = `out of ${maxScore}`;
-        correctMarksTotalEl.textContent = `Gained: ${correct * correctMarks} marks`;
-        incorrectMarksTotalEl.textContent = `| Lost: ${incorrect * (wrongMarks || 0)} marks`;
+    // Display the score based on the marking scheme.
+    scoreEl.textContent = score.score;
+    totalMarksInfoEl.textContent = score.outOf;
+    if (hasMarkingScheme(sections)) {
+        correctMarksTotalEl.textContent = t('results.gained', { marks: totals.gained });
+        incorrectMarksTotalEl.textContent = `| ${t('results.lost', { marks: totals.lost })}`;
         marksBreakdownEl.classList.remove('hidden');
     } else {
-        scoreEl.textContent = `${correct} / ${totalQuestions}`;
-        totalMarksInfoEl.textContent = ``;
         marksBreakdownEl.classList.add('hidden');
     }
 
-    // Update the result counts and show the results panel.
-    correctCountEl.textContent = `Correct: ${correct}`;
-    incorrectCountEl.textContent = `Incorrect: ${incorrect}`;
-    unansweredCountEl.textContent = `Unanswered: ${unanswered}`;
-    resultsDisplay.classList.remove('hidden');
-    resultsDisplay.classList.add('fade-in');
-    savePdfBtn.classList.remove('hidden');
+    // Update the result counts.
+    correctCountEl.textContent = t('results.correct', { count: totals.correct });
+    incorrectCountEl.textContent = t('results.incorrect', { count: totals.incorrect });
+    unansweredCountEl.textContent = t('results.unanswered', { count: totals.unanswered });
+    partialCountEl.textContent = `| ${t('results.partial', { count: totals.partial })}`;
+    partialCountEl.classList.toggle('hidden', totals.partial === 0);
+    showTimeTaken();
+    renderSectionBreakdown();
+    renderKeyAdjustments();
+    renderChangeAnalysis();
+    renderTimeAnalysis();
+    renderConfidenceAnalysis();
+}
+
+/**
+ * Reads every answered question on the sheet.
+ * @returns {Object} Answers by question number (see `getResponse`); unanswered questions are left out.
+ */
+function collectResponses() {
+    const responses = {};
+    for (let i = 1; i <= totalQuestions; i++) {
+        const response = getResponse(i);
+        if (response) responses[i] = response;
+    }
+    return responses;
+}
+
+/**
+ * Renders the per-section score lines in the results panel (only for sectioned sheets).
+ */
+function renderSectionBreakdown() {
+    sectionBreakdownEl.innerHTML = '';
+    const isSectioned = sections.some(section => section.title);
+    sectionBreakdownEl.classList.toggle('hidden', !isSectioned);
+    if (!isSectioned) return;
+    sectionResults.forEach(result => {
+        const line = document.createElement('p');
+        line.textContent = formatSectionResult(result);
+        sectionBreakdownEl.appendChild(line);
+    });
+}
+
+/**
+ * Lists how bonus, dropped and "any of" questions were scored, shared by the results panel and the PDF.
+ * @param {Object} [evaluations=questionResults] - The evaluation of each question.
+ * @param {Object} [responses] - The answers by question number; read from the sheet when omitted.
+ * @param {Object} [key] - The answer key in the same numbering; the key for the sheet on screen when omitted.
+ * @returns {Array<string>} One line per adjusted question (empty when the key has none).
+ */
+function buildKeyAdjustmentLines(evaluations = questionResults, responses = collectResponses(), key = getSheetKey()) {
+    const lines = [];
+    for (let i = 1; i <= totalQuestions; i++) {
+        const keyEntry = key[i];
+        const evaluation = evaluations[i];
+        if (!keyEntry || !evaluation) continue;
+        const marksText = hasMarkingScheme(sections) ? ` (${evaluation.marks > 0 ? '+' : ''}${evaluation.marks})` : '';
+        const section = sections[getSectionIndex(i)];
+        if (keyEntry === BONUS_KEY) {
+            lines.push(t('adjustments.bonus', { question: i, marks: marksText }));
+        } else if (keyEntry === DROPPED_KEY) {
+            lines.push(t('adjustments.dropped', { question: i }));
+        } else if (keyEntry.includes(ALTERNATIVE_SEPARATOR)) {
+            const outcome = evaluation.status === 'unanswered'
+                ? t('adjustments.notAnswered')
+                : t('adjustments.marked', { answer: formatAnswerLabels(responses[i], section), status: t(`status.${evaluation.status}`), marks: marksText });
+            lines.push(t('adjustments.anyOf', { question: i, key: formatKeyEntryLabels(keyEntry, section), outcome }));
+        }
+    }
+    return lines;
+}
+
+/**
+ * Renders the answer key adjustments in the results panel.
+ */
+function renderKeyAdjustments() {
+    const lines = buildKeyAdjustmentLines();
+    keyAdjustmentsEl.innerHTML = '';
+    keyAdjustmentsEl.classList.toggle('hidden', lines.length === 0);
+    if (lines.length === 0) return;
+    const heading = document.createElement('p');
+    heading.className = 'font-semibold';
+    heading.textContent = t('adjustments.heading');
+    keyAdjustmentsEl.appendChild(heading);
+    lines.forEach(text => {
+        const line = document.createElement('p');
+        line.textContent = text;
+        keyAdjustmentsEl.appendChild(line);
+    });
+}
+
+/**
+ * Formats a section's score as a single line of text, shared by the results panel and the PDF.
+ * @param {Object} result - An entry of `sectionResults`.
+ * @returns {string} e.g., "Physics: 36 / 100 (Correct: 10, Incorrect: 4, Unanswered: 11)".
+ */
+function formatSectionResult(result) {
+    const score = hasMarkingScheme(sections) ? result.gained + result.lost : result.correct + result.bonus;
+    const counts = [
+        t('results.correct', { count: result.correct }),
+        t('results.incorrect', { count: result.incorrect }),
+        t('results.unanswered', { count: result.unanswered }),
+    ];
+    if (result.partial > 0) counts.push(t('results.partial', { count: result.partial }));
+    if (result.notEvaluated > 0) counts.push(t('results.notEvaluated', { count: result.notEvaluated }));
+    if (result.bonus > 0) counts.push(t('results.bonus', { count: result.bonus }));
+    if (result.dropped > 0) counts.push(t('results.dropped', { count: result.dropped }));
+    return t('results.sectionLine', { title: result.title, score, max: result.maxScore, counts: counts.join(t('common.listSeparator')) });
+}
+
+// --- Section Configuration ---
+
+/**
+ * Adds an editable row to the section builder in the configuration panel.
+ * @param {Object} [data={}] - Optional initial values for the row's fields.
+ */
+function addSectionConfigRow(data = {}) {
+    const row = document.createElement('div');
+    row.className = 'section-config-row grid grid-cols-2 md:grid-cols-5 gap-2 items-end bg-slate-50 p-3 rounded-lg';
+    const inputClass = 'w-full p-2 border border-slate-300 rounded-lg text-sm focus:ring-2 focus:ring-blue-500';
+    row.innerHTML = `
+        <div class="col-span-2">
+            <label class="text-xs text-slate-500 block mb-1" data-i18n="sections.title"></label>
+            <input type="text" class="section-title ${inputClass}" data-i18n-placeholder="common.example" data-i18n-args='{"value":"Physics"}'>
+        </div>
+        <div>
+            <label class="text-xs text-slate-500 block mb-1" data-i18n="sections.questions"></label>
+            <input type="number" class="section-count ${inputClass}" data-i18n-placeholder="common.example" data-i18n-args='{"value":25}' min="1" max="${MAX_QUESTIONS}">
+        </div>
+        <div>
+            <label class="text-xs text-slate-500 block mb-1" data-i18n="sections.options"></label>
+            <select class="section-options ${inputClass}">
+                <option value="4" data-i18n="sections.optionCount" data-i18n-args='{"count":4,"first":{"option":"A"},"last":{"option":"D"}}'></option>
+                <option value="5" data-i18n="sections.optionCount" data-i18n-args='{"count":5,"first":{"option":"A"},"last":{"option":"E"}}'></option>
+            </select>
+        </div>
+        <div>
+            <label class="text-xs text-slate-500 block mb-1" data-i18n="sections.type"></label>
+            <select class="section-type ${inputClass}">
+                ${QUESTION_TYPES.map(type => `<option value="${type}" data-i18n="questionType.${type}"></option>`).join('')}
+            </select>
+        </div>
+        <div>
+            <label class="text-xs text-slate-500 block mb-1" data-i18n="sections.correct"></label>
+            <input type="number" class="section-correct ${inputClass}" data-i18n-placeholder="common.example" data-i18n-args='{"value":4}'>
+        </div>
+        <div>
+            <label class="text-xs text-slate-500 block mb-1" data-i18n="sections.wrong"></label>
+            <input type="number" class="section-wrong ${inputClass}" data-i18n-placeholder="common.example" data-i18n-args='{"value":-1}'>
+        </div>
+        <div>
+            <label class="text-xs text-slate-500 block mb-1" data-i18n="sections.partial"></label>
+            <input type="number" class="section-partial ${inputClass}" data-i18n-placeholder="sections.partialPlaceholder">
+        </div>
+        <div>
+            <label class="text-xs text-slate-500 block mb-1" data-i18n="sections.limit"></label>
+            <input type="number" class="section-limit ${inputClass}" data-i18n-placeholder="sections.limitPlaceholder" min="1">
+        </div>
+        <button class="remove-section-btn text-sm font-medium text-red-500 hover:text-red-700 p-2" data-i18n="sections.remove"></button>`;
+    applyTranslations(row);
+
+    // Fill values programmatically so user-provided titles are never interpreted as HTML.
+    row.querySelector('.section-title').value = data.title || '';
+    row.querySelector('.section-count').value = data.count || '';
+    row.querySelector('.section-options').value = String(data.optionCount || 4);
+    row.querySelector('.section-type').value = data.type || 'single';
+    row.querySelector('.section-correct').value = data.correctMarks != null ? data.correctMarks : '';
+    row.querySelector('.section-wrong').value = data.wrongMarks != null ? data.wrongMarks : '';
+    row.querySelector('.section-partial').value = data.partialMarks != null ? data.partialMarks : '';
+    row.querySelector('.section-limit').value = data.attemptLimit || '';
+    row.querySelector('.remove-section-btn').addEventListener('click', () => row.remove());
+    sectionList.appendChild(row);
+}
+
+/**
+ * Reads the section builder, or the single question count and marks inputs when no sections are defined.
+ * Question numbers run continuously across sections.
+ * @returns {Array<Object>|null} The configured sections, or null if the input is invalid (an error is shown).
+ */
+function readSectionConfig() {
+    const rows = sectionList.querySelectorAll('.section-config-row');
+    if (rows.length === 0) {
+        const count = parseInt(questionCountInput.value, 10);
+        if (isNaN(count) || count < 1 || count > MAX_QUESTIONS) {
+            showError(configError, t('config.errorQuestionCount', { max: MAX_QUESTIONS }));
+            return null;
+        }
+        return [buildSection({ title: '', start: 1, count, correct: correctMarksInput.value, wrong: wrongMarksInput.value })];
+    }
+
+    const configured = [];
+    let start = 1;
+    for (let index = 0; index < rows.length; index++) {
+        const row = rows[index];
+        const title = row.querySelector('.section-title').value.trim() || t('sections.defaultTitle', { number: index + 1 });
+        const count = parseInt(row.querySelector('.section-count').value, 10);
+        const limit = row.querySelector('.section-limit').value;
+        if (isNaN(count) || count < 1) {
+            showError(configError, t('config.errorSectionCount', { title }));
+            return null;
+        }
+        if (limit && (parseInt(limit, 10) < 1 || parseInt(limit, 10) > count)) {
+            showError(configError, t('config.errorAttemptLimit', { title, count }));
+            return null;
+        }
+        configured.push(buildSection({
+            title,
+            start,
+            count,
+            type: row.querySelector('.section-type').value,
+            optionCount: parseInt(row.querySelector('.section-options').value, 10),
+            correct: row.querySelector('.section-correct').value,
+            wrong: row.querySelector('.section-wrong').value,
+            partial: row.querySelector('.section-partial').value,
+            limit,
+        }));
+        start += count;
+    }
+    if (start - 1 > MAX_QUESTIONS) {
+        showError(configError, t('config.errorTooMany', { count: start - 1, max: MAX_QUESTIONS }));
+        return null;
+    }
+    return configured;
+}
+
+/**
+ * Reads the optional exam duration and warning times from the configuration panel.
+ * @returns {{durationMs: number|null, warningsMs: Array<number>}|null} The timing, or null if the input is invalid (an error is shown).
+ */
+function readExamTiming() {
+    if (!examDurationInput.value) return { durationMs: null, warningsMs: [] };
+    const minutes = parseFloat(examDurationInput.value);
+    if (isNaN(minutes) || minutes <= 0) {
+        showError(configError, t('config.errorDuration'));
+        return null;
+    }
+
+    const warningText = warningTimesInput.value.trim();
+    const warningMinutes = warningText ? warningText.split(/[\s,;]+/).filter(Boolean).map(Number) : DEFAULT_WARNING_MINUTES;
+    if (warningMinutes.some(value => isNaN(value) || value <= 0)) {
+        showError(configError, t('config.errorWarnings'));
+        return null;
+    }
+    return {
+        durationMs: minutes * 60000,
+        // Warnings at or beyond the full duration would fire immediately, so they are ignored.
+        warningsMs: warningMinutes.filter(value => value < minutes).map(value => value * 60000).sort((a, b) => b - a),
+    };
+}
+
+/**
+ * Finds the index of the section that contains a question.
+ * @param {number} questionNumber - The question number.
+ * @returns {number} The index into `sections`, or -1 if not found.
+ */
+function getSectionIndex(questionNumber) {
+    return sections.findIndex(section => questionNumber >= section.start && questionNumber <= section.end);
+}
+
+// --- Question Types ---
+
+/**
+ * Reads a question's current answer from the sheet in the same format as its key entry:
+ * "B" (single), "AC" (multiple), "12.5" (numerical) or "PQ/R//T" (matrix, one group per row A-D).
+ * @param {number} questionNumber - The question number.
+ * @returns {string} The answer, or an empty string if unanswered.
+ */
+function getResponse(questionNumber) {
+    const section = sections[getSectionIndex(questionNumber)];
+    if (!section) return '';
+    if (section.type === 'numerical') {
+        const input = document.getElementById(`q${questionNumber}-numeric`);
+        return input ? input.value.trim() : '';
+    }
+
+    const selected = Array.from(document.querySelectorAll(`input[name="question-${questionNumber}"]:checked`)).map(input => input.value);
+    if (section.type === 'matrix') {
+        if (selected.length === 0) return '';
+        return MATRIX_ROWS.map(rowLetter => selected.filter(value => value[0] === rowLetter).map(value => value[1]).sort().join('')).join('/');
+    }
+    return selected.sort().join('');
+}
+
+/**
+ * Fills in a question's answer on the sheet; the inverse of `getResponse`.
+ * @param {number} questionNumber - The question number.
+ * @param {string} answer - The answer in the format returned by `getResponse`.
+ */
+function setResponse(questionNumber, answer) {
+    const section = sections[getSectionIndex(questionNumber)];
+    const row = document.getElementById(`q-row-${questionNumber}`);
+    if (!section || !row) return;
+    if (section.type === 'numerical') {
+        document.getElementById(`q${questionNumber}-numeric`).value = answer || '';
+    } else {
+        const values = getOptionValues(section, answer);
+        row.querySelectorAll('input').forEach(input => input.checked = values.includes(input.value));
+    }
+    row.querySelector('.clear-btn').classList.toggle('hidden', !answer);
+    row.querySelector('.confidence-group').classList.toggle('hidden', !answer);
+    if (!answer) clearConfidence(questionNumber);
+}
+
+/**
+ * Highlights the correct answer on a graded question row.
+ * @param {number} questionNumber - The question number.
+ * @param {Object} section - The section the question belongs to.
+ * @param {string} [keyEntry] - The canonical key entry.
+ */
+function showKeyHint(questionNumber, section, keyEntry) {
+    if (!keyEntry) return;
+    const row = document.getElementById(`q-row-${questionNumber}`);
+    if (section.type === 'numerical' || keyEntry === BONUS_KEY || keyEntry === DROPPED_KEY) {
+        const hintEl = row.querySelector('.answer-hint');
+        if (keyEntry === BONUS_KEY) setTranslatedText(hintEl, 'key.bonus');
+        else if (keyEntry === DROPPED_KEY) setTranslatedText(hintEl, 'key.dropped');
+        else setTranslatedText(hintEl, 'sheet.keyHint', { key: formatKeyEntry(keyEntry) });
+        hintEl.classList.remove('hidden');
+        return;
+    }
+    getOptionValues(section, keyEntry).forEach(value => {
+        const label = row.querySelector(`label[for="q${questionNumber}-opt${value}"]`);
+        if (label) label.classList.add('ring-2', 'ring-green-500', 'rounded-md', 'p-1');
+        else document.getElementById(`q${questionNumber}-opt${value}`).classList.add('ring-2', 'ring-green-500', 'ring-offset-1');
+    });
 }
 
 // --- PDF Generation and User Confirmation ---
@@ -234,97 +944,525 @@ function gradeSheet() {
  * It prepares the UI for saving the marked (but ungraded) sheet.
  */
 function handleConfirmProceed() {
-    confirmModal.classList.add('hidden');
+    closeModal(confirmModal);
     stopTimer();
+    stopQuestionTracking();
+    clearSavedAttempt();
     isGraded = false;
-    document.querySelectorAll('input[type="radio"]').forEach(radio => radio.disabled = true);
+    document.querySelectorAll('.question-row input, .review-btn').forEach(input => input.disabled = true);
     document.querySelectorAll('.clear-btn').forEach(btn => btn.classList.add('hidden'));
-    showStatusMessage('You can now save your marked sheet.', 'success');
+    showStatusMessage(t('check.savePrompt'), 'success');
     // Change the "Finish & Check" button to a save button.
-    checkBtn.textContent = 'Save Marked Sheet as PDF';
+    setTranslatedText(checkBtn, 'results.saveMarked');
     checkBtn.classList.remove('bg-green-600', 'hover:bg-green-700');
     checkBtn.classList.add('bg-indigo-600', 'hover:bg-indigo-700');
     checkBtn.onclick = () => saveResultAsPDF();
 }
 
+/**
+ * Collects what the PDF report shows for the sheet on screen.
+ * @returns {Object} The report (see `saveResultAsPDF`).
+ */
+function buildCurrentReport() {
+    const responses = collectResponses();
+    const candidateName = candidateNameInput.value.trim();
+    const date = new Date();
+    return {
+        fileName: buildReportFileName(candidateName || rollNumber, date),
+        title: examTitle,
+        candidateName,
+        date,
+        layout: getReportLayout(),
+        candidate: [rollNumber ? t('report.rollNumber', { roll: rollNumber }) : '', selectedSetCode ? t('report.set', { code: selectedSetCode }) : ''].filter(Boolean).join(' | '),
+        isGraded,
+        key: getSheetKey(),
+        totals: isGraded ? sumSectionResults(sectionResults) : null,
+        sectionResults,
+        questionResults,
+        responses,
+        timeTakenText: timeTakenInfoEl.textContent.trim(),
+        isAutoSubmitted,
+        keyAdjustmentLines: isGraded ? buildKeyAdjustmentLines(questionResults, responses) : [],
+        changeAnalysisLines: isGraded ? buildChangeAnalysisLines() : [],
+        timeAnalysisLines: isGraded ? buildTimeAnalysisLines() : [],
+        confidenceAnalysisLines: isGraded ? buildConfidenceAnalysisLines(responses) : [],
+        itemAnalysisLines: isGraded && pdfItemAnalysisCheckbox.checked ? buildItemAnalysisLines() : [],
+        questionTimings,
+    };
+}
+
+/**
+ * Reads the PDF report options chosen under "PDF Report".
+ * @returns {Object} { columns, charts, keyAppendix } (see `saveResultAsPDF`).
+ */
+function getReportLayout() {
+    return {
+        columns: parseInt(pdfColumnsSelect.value, 10),
+        charts: pdfChartsCheckbox.checked,
+        keyAppendix: pdfKeyAppendixCheckbox.checked,
+    };
+}
+
+/**
+ * Picks the font a PDF is written in. Reports in Hindi, with Devanagari option labels, or with Devanagari in
+ * the test, candidate or section names embed Noto Sans Devanagari, and the page's copy of it is loaded for
+ * the text `drawPdfText` draws as images; the rest keep jsPDF's built-in Helvetica. If the font files cannot
+ * be loaded, the failure is reported and the report is written in Helvetica, with all Devanagari drawn as images.
+ * @param {Object} pdf - The jsPDF document.
+ * @param {Array<string>} texts - User-entered text the PDF will show.
+ * @returns {Promise<string>} The font family to pass to `pdf.setFont`.
+ */
+async function preparePdfFont(pdf, texts) {
+    const needsDevanagari = getLanguage() !== 'en' || optionLabels === 'devanagari'
+        || texts.some(text => DEVANAGARI_PATTERN.test(text || ''));
+    if (!needsDevanagari) return 'helvetica';
+    const [files, pageFontLoaded] = await Promise.all([
+        loadPdfFontFiles().catch(() => null),
+        loadPageDevanagariFont(),
+    ]);
+    if (!files || !pageFontLoaded) reportFailedAsset(t('asset.devanagariFont'));
+    if (!files) return 'helvetica';
+    files.forEach(({ style, fileName, data }) => {
+        pdf.addFileToVFS(fileName, data);
+        pdf.addFont(fileName, PDF_DEVANAGARI_FONT.family, style);
+    });
+    return PDF_DEVANAGARI_FONT.family;
+}
+
+/**
+ * Fetches the Devanagari font files for `preparePdfFont` (once; later reports reuse them).
+ * @returns {Promise<Array<Object>>} { style, fileName, data } for each file, with the data as base64.
+ */
+function loadPdfFontFiles() {
+    if (!pdfFontFiles) {
+        pdfFontFiles = Promise.all(Object.entries(PDF_DEVANAGARI_FONT.files).map(async ([style, path]) => {
+            const response = await fetch(path);
+            if (!response.ok) throw new Error(`${path}: HTTP ${response.status}`);
+            const bytes = new Uint8Array(await response.arrayBuffer());
+            // Encode in chunks: spreading a whole font into String.fromCharCode overflows the call stack.
+            let binary = '';
+            for (let i = 0; i < bytes.length; i += 0x8000) binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+            return { style, fileName: path.split('/').pop(), data: btoa(binary) };
+        }));
+        // Let a later report try again, e.g., once the connection is back.
+        pdfFontFiles.catch(() => { pdfFontFiles = null; });
+    }
+    return pdfFontFiles;
+}
+
+/**
+ * Loads the page's Noto Sans Devanagari (see style.css), which `drawPdfText` draws shaped text in.
+ * @returns {Promise<boolean>} Whether both weights loaded.
+ */
+async function loadPageDevanagariFont() {
+    if (!document.fonts) return false;
+    try {
+        const faces = await Promise.all([400, 700].map(weight => document.fonts.load(`${weight} 16px 'Noto Sans Devanagari'`, 'क')));
+        return faces.every(loaded => loaded.length > 0);
+    } catch (err) {
+        return false;
+    }
+}
+
+/**
+ * Writes a line of text into a PDF in the current font, size and colour, like `pdf.text`. jsPDF places
+ * glyphs one after another and cannot shape Devanagari, so text that needs shaping (see
+ * `DEVANAGARI_SHAPING_PATTERN`), or any Devanagari when the embedded font is missing, is drawn by the
+ * browser onto a canvas and placed as an image. Such text cannot be selected or searched in the PDF.
+ * @param {Object} pdf - The jsPDF document.
+ * @param {string} text - The text.
+ * @param {number} x - Where the text starts (or its centre or right edge, see `options.align`).
+ * @param {number} y - The baseline.
+ * @param {Object} [options={}] - { align: 'left' | 'center' | 'right' }.
+ */
+function drawPdfText(pdf, text, x, y, options = {}) {
+    if (!needsPdfTextImage(pdf, text)) {
+        pdf.text(text, x, y, options);
+        return;
+    }
+    const image = getPdfTextImage(pdf, text);
+    const left = options.align === 'center' ? x - image.width / 2 : options.align === 'right' ? x - image.width : x;
+    pdf.addImage(image.canvas, 'PNG', left, y - image.ascent, image.width, image.height, image.alias);
+}
+
+/**
+ * Tells whether `drawPdfText` has to draw text as an image rather than as PDF text.
+ * @param {Object} pdf - The jsPDF document.
+ * @param {string} text - The text.
+ * @returns {boolean} True for Devanagari that needs shaping, or any Devanagari without the embedded font.
+ */
+function needsPdfTextImage(pdf, text) {
+    if (!DEVANAGARI_PATTERN.test(text)) return false;
+    return DEVANAGARI_SHAPING_PATTERN.test(text) || pdf.getFont().fontName !== PDF_DEVANAGARI_FONT.family;
+}
+
+/**
+ * Draws text for `drawPdfText` onto a canvas, once per PDF for each text, font, size and colour.
+ * @param {Object} pdf - The jsPDF document.
+ * @param {string} text - The text.
+ * @returns {{canvas: HTMLCanvasElement, width: number, height: number, ascent: number, alias: string}} The image
+ * and its size and the height above the baseline, in the PDF's units.
+ */
+function getPdfTextImage(pdf, text) {
+    const fontSize = pdf.getFontSize();
+    const color = pdf.getTextColor();
+    const font = getPdfCanvasFont(pdf, fontSize * PDF_SHAPED_TEXT_SCALE);
+    const alias = `text|${font}|${color}|${text}`;
+    if (!pdfTextImages.has(pdf)) pdfTextImages.set(pdf, new Map());
+    const images = pdfTextImages.get(pdf);
+    if (images.has(alias)) return images.get(alias);
+
+    const emPixels = fontSize * PDF_SHAPED_TEXT_SCALE;
+    const canvas = document.createElement('canvas');
+    const context = canvas.getContext('2d');
+    context.font = font;
+    canvas.width = Math.ceil(context.measureText(text).width) + 2;
+    canvas.height = Math.ceil(emPixels * (PDF_SHAPED_TEXT_ASCENT + PDF_SHAPED_TEXT_DESCENT));
+    // Resizing a canvas resets its drawing state.
+    context.font = font;
+    context.fillStyle = color;
+    context.textBaseline = 'alphabetic';
+    context.fillText(text, 1, emPixels * PDF_SHAPED_TEXT_ASCENT);
+
+    const unitsPerPixel = 1 / (PDF_SHAPED_TEXT_SCALE * pdf.internal.scaleFactor);
+    const image = {
+        canvas,
+        width: canvas.width * unitsPerPixel,
+        height: canvas.height * unitsPerPixel,
+        ascent: emPixels * PDF_SHAPED_TEXT_ASCENT * unitsPerPixel,
+        alias,
+    };
+    images.set(alias, image);
+    return image;
+}
+
+/**
+ * Measures a line of PDF text in the current font and size, in the PDF's units.
+ * @param {Object} pdf - The jsPDF document.
+ * @param {string} text - The text.
+ * @returns {number} The width.
+ */
+function measurePdfText(pdf, text) {
+    if (!needsPdfTextImage(pdf, text)) return pdf.getTextWidth(text);
+    const context = document.createElement('canvas').getContext('2d');
+    context.font = getPdfCanvasFont(pdf, pdf.getFontSize() * PDF_SHAPED_TEXT_SCALE);
+    return context.measureText(text).width / (PDF_SHAPED_TEXT_SCALE * pdf.internal.scaleFactor);
+}
+
+/**
+ * Splits text into lines that fit a width, like `pdf.splitTextToSize`, measuring Devanagari as the
+ * browser draws it (see `drawPdfText`).
+ * @param {Object} pdf - The jsPDF document.
+ * @param {string} text - The text.
+ * @param {number} maxWidth - The width available, in the PDF's units.
+ * @returns {Array<string>} The lines.
+ */
+function splitPdfText(pdf, text, maxWidth) {
+    if (!needsPdfTextImage(pdf, text)) return pdf.splitTextToSize(text, maxWidth);
+    const lines = [];
+    let line = '';
+    text.split(' ').forEach(word => {
+        const candidate = line ? `${line} ${word}` : word;
+        if (line && measurePdfText(pdf, candidate) > maxWidth) {
+            lines.push(line);
+            line = word;
+        } else {
+            line = candidate;
+        }
+    });
+    if (line) lines.push(line);
+    return lines;
+}
+
+/**
+ * Gives the canvas font matching the PDF's current font style, at a size in pixels.
+ * @param {Object} pdf - The jsPDF document.
+ * @param {number} sizePixels - The font size in canvas pixels.
+ * @returns {string} A CSS font, e.g., "700 40px 'Noto Sans Devanagari', ...".
+ */
+function getPdfCanvasFont(pdf, sizePixels) {
+    return `${pdf.getFont().fontStyle === 'bold' ? 700 : 400} ${sizePixels}px ${PDF_SHAPED_TEXT_FONT}`;
+}
+
+/**
+ * Draws a pie chart with a legend to its right. Slices are polygons, so the chart stays vector.
+ * @param {Object} pdf - The jsPDF document.
+ * @param {number} x - Left edge of the chart.
+ * @param {number} y - Top edge of the chart.
+ * @param {number} radius - Pie radius in mm.
+ * @param {Array<Object>} slices - { label, value, color: [r, g, b] }; empty slices are skipped.
+ */
+function drawPieChart(pdf, x, y, radius, slices) {
+    const centerX = x + radius;
+    const centerY = y + radius;
+    const shown = slices.filter(slice => slice.value > 0);
+    const total = shown.reduce((sum, slice) => sum + slice.value, 0);
+    let angle = -Math.PI / 2; // Start at 12 o'clock
+
+    pdf.setDrawColor(255, 255, 255);
+    shown.forEach(slice => {
+        pdf.setFillColor(...slice.color);
+        const sweep = (slice.value / total) * 2 * Math.PI;
+        if (shown.length === 1) {
+            pdf.circle(centerX, centerY, radius, 'F');
+        } else {
+            // Walk the arc in small steps; jsPDF's `lines` takes each point relative to the previous one.
+            const points = [[centerX, centerY]];
+            const steps = Math.max(2, Math.ceil(sweep / (Math.PI / 36)));
+            for (let step = 0; step <= steps; step++) {
+                const pointAngle = angle + (sweep * step) / steps;
+                points.push([centerX + radius * Math.cos(pointAngle), centerY + radius * Math.sin(pointAngle)]);
+            }
+            const segments = points.slice(1).map((point, index) => [point[0] - points[index][0], point[1] - points[index][1]]);
+            pdf.lines(segments, centerX, centerY, [1, 1], 'F', true);
+        }
+        angle += sweep;
+    });
+
+    // Legend
+    pdf.setFont(pdf.getFont().fontName, "normal"); // Keep the report's font (see `preparePdfFont`)
+    pdf.setFontSize(9);
+    shown.forEach((slice, index) => {
+        const legendY = y + 4 + index * 6;
+        pdf.setFillColor(...slice.color);
+        pdf.rect(x + 2 * radius + 5, legendY - 3, 3, 3, 'F');
+        drawPdfText(pdf, `${slice.label}: ${slice.value} (${Math.round((slice.value / total) * 100)}%)`, x + 2 * radius + 10, legendY);
+    });
+    pdf.setDrawColor(0);
+}
+
+/**
+ * Draws a horizontal bar chart, one labelled bar per value, scaled to `maxValue`.
+ * @param {Object} pdf - The jsPDF document.
+ * @param {number} x - Left edge of the chart.
+ * @param {number} y - Top edge of the chart.
+ * @param {number} width - Width available for the labels and bars.
+ * @param {Array<Object>} bars - { label, value, color: [r, g, b] }; negative values are drawn as empty bars.
+ * @param {number} maxValue - The value of a full-width bar.
+ */
+function drawBarChart(pdf, x, y, width, bars, maxValue) {
+    const labelWidth = 18;
+    const barWidth = width - labelWidth - 14; // Leaves room for the value after the bar
+    pdf.setFont(pdf.getFont().fontName, "normal"); // Keep the report's font (see `preparePdfFont`)
+    pdf.setFontSize(9);
+    bars.forEach((bar, index) => {
+        const barY = y + index * 8;
+        pdf.setTextColor(0);
+        drawPdfText(pdf, bar.label, x, barY + 4);
+        const length = Math.max(0, (bar.value / maxValue) * barWidth);
+        pdf.setFillColor(...bar.color);
+        if (length > 0) pdf.rect(x + labelWidth, barY, length, 5, 'F');
+        drawPdfText(pdf, `${bar.value}`, x + labelWidth + length + 2, barY + 4);
+    });
+}
+
 /**
  * Generates a high-quality, vector-based PDF of the test report.
  * This function builds the PDF natively to avoid blurriness and large file sizes.
+ * @param {Object} [report] - What to print: { fileName, title, candidateName, date, candidate, isGraded, totals,
+ * sectionResults, questionResults, responses, key, timeTakenText, isAutoSubmitted, keyAdjustmentLines, changeAnalysisLines,
+ * timeAnalysisLines, confidenceAnalysisLines, questionTimings }, optionally with a `heading`, `itemAnalysisLines`, `includeSheet: false` to leave
+ * out the drawn sheet, and a `layout` of { columns, charts, keyAppendix } (bubble grid columns, score charts, and an
+ * answer key appendix). Defaults to the sheet on screen; batch grading passes one per candidate.
  */
-async function saveResultAsPDF() {
-    showStatusMessage('Generating PDF...', 'success');
+async function saveResultAsPDF(report = buildCurrentReport()) {
+    showStatusMessage(t('report.generating'), 'success');
     const { jsPDF } = window.jspdf;
     const pdf = new jsPDF({ orientation: 'p', unit: 'mm', format: 'a4' });
+    const font = await preparePdfFont(pdf, [report.title, report.candidateName, report.candidate, ...sections.map(section => section.title)]);
 
     const margin = 15;
     const pdfWidth = pdf.internal.pageSize.getWidth();
     const pageHeight = pdf.internal.pageSize.getHeight();
+    const layout = { columns: 1, charts: false, keyAppendix: false, ...report.layout };
+    const key = report.key || answerKey;
     let yPos = 20;
 
+    // Writes a bold heading followed by lines of text, breaking onto a new page when needed.
+    const writeTextBlock = (heading, lines) => {
+        if (yPos > pageHeight - margin - 14) {
+            pdf.addPage();
+            yPos = margin;
+        }
+        pdf.setFont(font, "bold");
+        drawPdfText(pdf, heading, margin, yPos);
+        yPos += 7;
+        pdf.setFont(font, "normal");
+        lines.flatMap(line => splitPdfText(pdf, line, pdfWidth - 2 * margin)).forEach(line => {
+            if (yPos > pageHeight - margin) {
+                pdf.addPage();
+                yPos = margin;
+            }
+            drawPdfText(pdf, line, margin, yPos);
+            yPos += 7;
+        });
+        yPos += 3;
+    };
+
     // --- Draw Header and Results as Text ---
-    pdf.setFont("helvetica", "bold");
+    pdf.setFont(font, "bold");
     pdf.setFontSize(16);
-    pdf.text("OMR Test Report", pdfWidth / 2, yPos, { align: 'center' });
-    yPos += 12;
+    drawPdfText(pdf, report.heading || t('report.heading'), pdfWidth / 2, yPos, { align: 'center' });
+    yPos += 8;
+    if (report.title) {
+        pdf.setFontSize(13);
+        drawPdfText(pdf, report.title, pdfWidth / 2, yPos, { align: 'center' });
+        yPos += 7;
+    }
+    yPos += 4;
 
-    pdf.setFont("helvetica", "normal");
+    pdf.setFont(font, "normal");
     pdf.setFontSize(11);
 
-    if (isGraded) {
-        pdf.text(`Your Score: ${scoreEl.textContent.trim()} ${totalMarksInfoEl.textContent.trim()}`, margin, yPos);
+    if (report.candidateName) drawPdfText(pdf, t('report.candidate', { name: report.candidateName }), margin, yPos);
+    if (report.date) {
+        const dateText = report.date.toLocaleDateString(getLocale(), { day: 'numeric', month: 'short', year: 'numeric' });
+        drawPdfText(pdf, t('report.date', { date: dateText }), pdfWidth - margin, yPos, { align: 'right' });
+    }
+    if (report.candidateName || report.date) yPos += 7;
+
+    if (report.candidate) {
+        drawPdfText(pdf, report.candidate, margin, yPos);
         yPos += 7;
-        pdf.text(timeTakenInfoEl.textContent.trim(), margin, yPos);
-        yPos += 10;
-        pdf.text(`${correctCountEl.textContent.trim()} | ${incorrectCountEl.textContent.trim()} | ${unansweredCountEl.textContent.trim()}`, margin, yPos);
+    }
+
+    if (report.isGraded) {
+        const { totals } = report;
+        const score = describeScore(totals, sections);
+        const scoreText = `${score.score} ${score.outOf}`.trim();
+        drawPdfText(pdf, report.candidate || report.candidateName ? t('report.score', { score: scoreText }) : t('report.yourScore', { score: scoreText }), margin, yPos);
+        yPos += 7;
+        if (report.timeTakenText) {
+            drawPdfText(pdf, report.timeTakenText, margin, yPos);
+            yPos += 7;
+        }
+        if (report.isAutoSubmitted) {
+            drawPdfText(pdf, t('report.autoSubmitted'), margin, yPos);
+            yPos += 7;
+        }
+        yPos += 3;
+        const counts = [
+            t('results.correct', { count: totals.correct }),
+            t('results.incorrect', { count: totals.incorrect }),
+            t('results.unanswered', { count: totals.unanswered }),
+        ];
+        if (totals.partial > 0) counts.push(t('results.partial', { count: totals.partial }));
+        drawPdfText(pdf, counts.join(' | '), margin, yPos);
         yPos += 7;
-        if (correctMarks !== null) {
-            pdf.text(`${correctMarksTotalEl.textContent.trim()} | ${incorrectMarksTotalEl.textContent.trim().substring(2)}`, margin, yPos);
+        if (hasMarkingScheme(sections)) {
+            drawPdfText(pdf, `${t('results.gained', { marks: totals.gained })} | ${t('results.lost', { marks: totals.lost })}`, margin, yPos);
             yPos += 10;
         }
+        if (layout.charts) {
+            const chartTop = yPos;
+            drawPieChart(pdf, margin, chartTop, 16, [
+                { label: t('report.correct'), value: totals.correct + totals.bonus, color: [22, 163, 74] },
+                { label: t('report.partial'), value: totals.partial, color: [217, 119, 6] },
+                { label: t('report.incorrect'), value: totals.incorrect, color: [220, 38, 38] },
+                { label: t('report.unanswered'), value: totals.unanswered, color: [203, 213, 225] },
+            ]);
+            if (hasMarkingScheme(sections)) {
+                const net = totals.gained + totals.lost;
+                drawBarChart(pdf, pdfWidth / 2 + 5, chartTop + 4, pdfWidth / 2 - margin - 5, [
+                    { label: t('report.gained'), value: totals.gained, color: [22, 163, 74] },
+                    { label: t('report.lost'), value: -totals.lost, color: [220, 38, 38] },
+                    { label: t('report.net'), value: net, color: [37, 99, 235] },
+                ], Math.max(totals.maxScore, totals.gained, -totals.lost, 1));
+            }
+            pdf.setFontSize(11);
+            yPos = chartTop + 32 + 8;
+        }
+        if (sections.some(section => section.title)) {
+            writeTextBlock(t('report.sectionBreakdown'), report.sectionResults.map(formatSectionResult));
+        }
+        if (report.keyAdjustmentLines.length > 0) writeTextBlock(t('report.keyAdjustments'), report.keyAdjustmentLines);
+        if (report.changeAnalysisLines.length > 0) writeTextBlock(t('report.changes'), report.changeAnalysisLines);
+        if (report.timeAnalysisLines.length > 0) writeTextBlock(t('report.timeAnalysis'), report.timeAnalysisLines);
+        if (report.confidenceAnalysisLines.length > 0) writeTextBlock(t('report.confidence'), report.confidenceAnalysisLines);
     } else {
-        pdf.text(timeTakenInfoEl.textContent.trim(), margin, yPos);
-        yPos += 10;
+        if (report.timeTakenText) {
+            drawPdfText(pdf, report.timeTakenText, margin, yPos);
+            yPos += 7;
+        }
+        if (report.isAutoSubmitted) {
+            drawPdfText(pdf, t('report.autoSubmitted'), margin, yPos);
+            yPos += 7;
+        }
+        yPos += 3;
     }
+    if (report.itemAnalysisLines && report.itemAnalysisLines.length > 0) writeTextBlock(t('items.heading'), report.itemAnalysisLines);
 
-    pdf.setLineWidth(0.2);
+    if (report.includeSheet === false) {
+        pdf.save(report.fileName);
+        hideStatusMessage();
+        return;
+    }
+
+    pdf.setLineWidth(0.2);
     pdf.line(margin, yPos, pdfWidth - margin, yPos);
     yPos += 10;
 
     // --- Draw OMR Sheet Natively (Vector-based) ---
-    const questionSpacing = 10;
-    const optionSpacing = 25;
-    const circleRadius = 3;
+    // Questions run down each column, then across, like a printed OMR sheet.
+    const questionSpacing = layout.columns > 1 ? 8 : 10;
+    const columnWidth = (pdfWidth - 2 * margin) / layout.columns;
+    const fontSize = layout.columns > 1 ? 8 : 10;
 
-    for (let i = 1; i <= totalQuestions; i++) {
-        // Check for page break to handle long lists of questions.
-        if (yPos > pageHeight - margin) {
-            pdf.addPage();
-            yPos = margin;
-        }
+    // Draws one question's row: its number, bubbles (or written answer) and the time spent on it.
+    const drawQuestion = (section, i, x, y) => {
+        const userAnswer = report.responses[i] || '';
+        const correctAnswer = key[i];
+        const status = report.isGraded && report.questionResults[i] ? report.questionResults[i].status : null;
+        const timingWidth = layout.columns > 1 ? 9 : 15;
+        const answerX = x + (layout.columns > 1 ? 9 : 20);
 
-        const selectedOption = document.querySelector(`input[name="question-${i}"]:checked`);
-        const userAnswer = selectedOption ? selectedOption.value : null;
-        const correctAnswer = answerKey[i];
+        pdf.setFont(font, "bold");
+        pdf.setFontSize(fontSize);
+        drawPdfText(pdf, `${i}.`, x, y + 3);
 
-        pdf.setFont("helvetica", "bold");
-        pdf.setFontSize(10);
-        pdf.text(`${i}.`, margin, yPos + circleRadius);
+        // Time spent on the question, right-aligned at the end of the row.
+        const timing = report.questionTimings[i];
+        if (timing && timing.dwellMs > 0) {
+            pdf.setFont(font, "normal");
+            pdf.setTextColor(100, 116, 139);
+            drawPdfText(pdf, formatTime(timing.dwellMs), x + columnWidth - 3, y + 3, { align: 'right' });
+            pdf.setTextColor(0);
+        }
+
+        // Numerical and matrix answers are written out rather than drawn as bubbles.
+        if (section.type === 'numerical' || section.type === 'matrix') {
+            if (status === 'correct' || status === 'bonus') pdf.setTextColor(22, 163, 74);
+            else if (status === 'incorrect') pdf.setTextColor(220, 38, 38);
+            else if (status === 'partial') pdf.setTextColor(217, 119, 6);
+            else if (status === 'dropped') pdf.setTextColor(100, 116, 139);
+            pdf.setFont(font, "normal");
+            let answerText = layout.columns > 1 ? userAnswer || '-' : t('report.answer', { answer: userAnswer || '-' });
+            if (report.isGraded && correctAnswer) answerText += `    ${t('sheet.keyHint', { key: formatKeyEntry(correctAnswer) })}`;
+            drawPdfText(pdf, answerText, answerX, y + 3);
+            pdf.setTextColor(0);
+            return;
+        }
 
-        let xPos = margin + 20;
-        ['A', 'B', 'C', 'D'].forEach(option => {
-            pdf.setFont("helvetica", "normal");
-            pdf.text(option, xPos, yPos + circleRadius);
+        const chosenOptions = [...userAnswer];
+        const keyOptions = getOptionValues(section, correctAnswer);
+        const optionSpacing = Math.min(25, (columnWidth - (answerX - x) - timingWidth) / section.optionCount);
+        const circleRadius = Math.min(3, optionSpacing / 4);
+        let xPos = answerX;
+        OPTION_LETTERS.slice(0, section.optionCount).forEach(option => {
+            pdf.setFont(font, "normal");
+            drawPdfText(pdf, formatOptionLabel(option), xPos, y + 3);
 
-            const circleX = xPos + 5;
-            const circleY = yPos + circleRadius - 1;
+            const circleX = xPos + 2 + circleRadius;
+            const circleY = y + 2;
 
             pdf.setDrawColor(0);
             pdf.setFillColor(255, 255, 255);
             let drawStyle = 'D'; // Default: Draw outline
 
-            if (userAnswer === option) {
-                if (isGraded) {
-                    if (userAnswer === correctAnswer) pdf.setFillColor(22, 163, 74); // Correct: Green
+            if (chosenOptions.includes(option)) {
+                if (report.isGraded) {
+                    if (status === 'dropped') pdf.setFillColor(148, 163, 184); // Dropped question: Grey
+                    else if (keyOptions.includes(option) || status === 'bonus') pdf.setFillColor(22, 163, 74); // Correct: Green
                     else pdf.setFillColor(220, 38, 38); // Incorrect: Red
                 } else {
                     pdf.setFillColor(37, 99, 235); // Marked but ungraded: Blue
@@ -334,7 +1472,7 @@ async function saveResultAsPDF() {
 
             pdf.circle(circleX, circleY, circleRadius, drawStyle);
 
-            if (isGraded && userAnswer !== correctAnswer && option === correctAnswer) {
+            if (report.isGraded && !chosenOptions.includes(option) && keyOptions.includes(option)) {
                 pdf.setDrawColor(22, 163, 74); // Green ring for correct answer
                 pdf.setLineWidth(0.5);
                 pdf.circle(circleX, circleY, circleRadius + 0.5, 'D');
@@ -342,27 +1480,179 @@ async function saveResultAsPDF() {
             }
             xPos += optionSpacing;
         });
-        yPos += questionSpacing;
+    };
+
+    sections.forEach(section => {
+        // Draw the section title above its questions.
+        if (section.title) {
+            if (yPos > pageHeight - margin - questionSpacing) {
+                pdf.addPage();
+                yPos = margin;
+            }
+            pdf.setFont(font, "bold");
+            pdf.setFontSize(12);
+            drawPdfText(pdf, `${section.title} (${describeSection(section)})`, margin, yPos + 3);
+            yPos += questionSpacing;
+        }
+
+        const questionNumbers = [];
+        for (let i = section.start; i <= section.end; i++) questionNumbers.push(i);
+        while (questionNumbers.length > 0) {
+            // Fill what is left of the page, then carry on with a new one.
+            let rowsLeft = Math.floor((pageHeight - margin - yPos) / questionSpacing) + 1;
+            if (rowsLeft < 1) {
+                pdf.addPage();
+                yPos = margin;
+                rowsLeft = Math.floor((pageHeight - 2 * margin) / questionSpacing) + 1;
+            }
+            const block = questionNumbers.splice(0, rowsLeft * layout.columns);
+            const rows = Math.ceil(block.length / layout.columns);
+            block.forEach((questionNumber, index) => {
+                const column = Math.floor(index / rows);
+                drawQuestion(section, questionNumber, margin + column * columnWidth, yPos + (index % rows) * questionSpacing);
+            });
+            yPos += rows * questionSpacing;
+        }
+    });
+
+    // --- Answer Key Appendix ---
+    if (layout.keyAppendix && Object.keys(key).length > 0) {
+        pdf.addPage();
+        yPos = margin;
+        pdf.setFont(font, "bold");
+        pdf.setFontSize(14);
+        drawPdfText(pdf, t('report.answerKey'), margin, yPos);
+        yPos += 10;
+        const keyColumns = 5;
+        const keyColumnWidth = (pdfWidth - 2 * margin) / keyColumns;
+        sections.forEach(section => {
+            if (section.title) {
+                if (yPos > pageHeight - margin - 6) {
+                    pdf.addPage();
+                    yPos = margin;
+                }
+                pdf.setFont(font, "bold");
+                pdf.setFontSize(11);
+                drawPdfText(pdf, section.title, margin, yPos);
+                yPos += 7;
+            }
+            pdf.setFont(font, "normal");
+            pdf.setFontSize(10);
+            for (let i = section.start; i <= section.end; i += keyColumns) {
+                if (yPos > pageHeight - margin) {
+                    pdf.addPage();
+                    yPos = margin;
+                }
+                for (let column = 0; column < keyColumns && i + column <= section.end; column++) {
+                    const entry = key[i + column];
+                    drawPdfText(pdf, `${i + column}. ${entry ? formatKeyEntryLabels(entry, section) : '-'}`, margin + column * keyColumnWidth, yPos);
+                }
+                yPos += 6;
+            }
+            yPos += 3;
+        });
     }
 
-    pdf.save('omr_report.pdf');
+    pdf.save(report.fileName);
     hideStatusMessage();
 }
 
 
         // --- Timer Functions ---
         
-        function startTimer() {
+        /**
+         * Starts (or resumes) the timer and autosaves the attempt on every tick.
+         * @param {number} [elapsedMs=0] - Time already spent, when resuming a saved attempt.
+         */
+        function startTimer(elapsedMs = 0) {
             clearInterval(timerInterval);
-            startTime = Date.now();
+            startTime = Date.now() - elapsedMs;
             timerInterval = setInterval(() => {
-                timerDisplay.textContent = formatTime(Date.now() - startTime);
+                updateTimerDisplay();
+                saveAttempt();
             }, 1000);
+            updateTimerDisplay();
+        }
+
+        /**
+         * Shows the elapsed time, or in exam mode the remaining time; raises warnings at the
+         * configured thresholds and submits the sheet automatically when time runs out.
+         */
+        function updateTimerDisplay() {
+            const elapsed = Date.now() - startTime;
+            if (examDurationMs === null) {
+                timerDisplay.textContent = formatTime(elapsed);
+                return;
+            }
+
+            const remaining = Math.max(0, examDurationMs - elapsed);
+            // Round up so a countdown starts at the full duration and only shows 00:00 when time is up.
+            timerDisplay.textContent = formatTime(Math.ceil(remaining / 1000) * 1000);
+            warningThresholdsMs.forEach(threshold => {
+                if (remaining <= threshold && !shownWarningsMs.includes(threshold)) {
+                    shownWarningsMs.push(threshold);
+                    showTimerWarning(remaining);
+                }
+            });
+            if (remaining === 0) autoSubmitExam();
         }
 
         function stopTimer() {
             clearInterval(timerInterval);
-            timeTakenInfoEl.textContent = `Time Taken: ${formatTime(Date.now() - startTime)}`;
+            timerInterval = null;
+            timeTakenMs = getElapsedMs();
+            showTimeTaken();
+        }
+
+        /**
+         * Shows the time taken by the finished attempt, out of the time allowed in exam mode.
+         */
+        function showTimeTaken() {
+            if (timeTakenMs === null) return;
+            timeTakenInfoEl.textContent = examDurationMs === null
+                ? t('timer.taken', { time: formatTime(timeTakenMs) })
+                : t('timer.takenOfAllowed', { time: formatTime(Math.min(timeTakenMs, examDurationMs)), allowed: formatTime(examDurationMs) });
+        }
+
+        /**
+         * Returns the time spent on the attempt: live from the timer, or as recorded in an imported response file.
+         * @returns {number} The elapsed time in milliseconds.
+         */
+        function getElapsedMs() {
+            return importedElapsedMs !== null ? importedElapsedMs : Date.now() - startTime;
+        }
+
+        /**
+         * Shows a countdown warning above the sheet and turns the timer red.
+         * @param {number} remainingMs - The time left.
+         */
+        function showTimerWarning(remainingMs) {
+            const minutesLeft = Math.ceil(remainingMs / 60000);
+            timerWarningEl.textContent = minutesLeft === 1 ? t('timer.warningOne') : t('timer.warningMany', { minutes: minutesLeft });
+            timerWarningEl.classList.remove('hidden');
+            announce(timerWarningEl.textContent);
+            timerDisplay.classList.remove('bg-slate-200', 'text-slate-800');
+            timerDisplay.classList.add('bg-red-100', 'text-red-700');
+            clearTimeout(warningTimeout);
+            warningTimeout = setTimeout(() => timerWarningEl.classList.add('hidden'), 10000);
+        }
+
+        /**
+         * Ends an exam when its time runs out: locks the sheet and grades it, or, without a usable
+         * answer key, prepares the marked sheet for saving.
+         */
+        function autoSubmitExam() {
+            isAutoSubmitted = true;
+            document.querySelectorAll('.question-row input').forEach(input => input.disabled = true);
+            document.querySelectorAll('.clear-btn').forEach(btn => btn.classList.add('hidden'));
+            const hasAnswerKey = manualKeyInput.value.trim() || Object.keys(answerKey).length > 0;
+            if (hasAnswerKey) handleCheckAnswers();
+            // Fall back to saving the marked sheet if there was no key or the key could not be used.
+            if (!isGraded) handleConfirmProceed();
+            clearTimeout(warningTimeout);
+            timerWarningEl.textContent = t('timer.timeUp');
+            timerWarningEl.classList.remove('hidden');
+            announce(timerWarningEl.textContent);
         }
 
         function formatTime(ms) {
@@ -381,13 +1671,19 @@ async function saveResultAsPDF() {
             questionCountInput.value = '';
             correctMarksInput.value = '';
             wrongMarksInput.value = '';
+            examDurationInput.value = '';
+            warningTimesInput.value = '';
+            examDurationMs = null;
+            warningThresholdsMs = [];
             omrContainer.classList.add('hidden');
+            sectionList.innerHTML = '';
             omrSheet.innerHTML = '';
+            questionPalette.innerHTML = '';
             totalQuestions = 0;
-            correctMarks = null;
-            wrongMarks = null;
+            sections = [];
             resetOMRState();
             clearInterval(timerInterval);
+            timerInterval = null;
             timerDisplay.textContent = '00:00';
         }
         
@@ -395,130 +1691,2799 @@ async function saveResultAsPDF() {
          * Resets only the OMR sheet state (answers, results, etc.).
          */
         function resetOMRState() {
+            clearSavedAttempt();
             answerKey = {};
+            pendingKey = null;
+            setPaperSets({});
+            paperSetSelect.disabled = false;
             fileUpload.value = '';
             manualKeyInput.value = '';
+            pasteKeyInput.value = '';
             resultsDisplay.classList.add('hidden');
             marksBreakdownEl.classList.add('hidden');
             savePdfBtn.classList.add('hidden');
+            reviewBanner.classList.add('hidden');
+            checkBtn.classList.remove('hidden');
+            isAutoSubmitted = false;
+            importedElapsedMs = null;
+            timeTakenMs = null;
+            rollNumber = '';
+            shownWarningsMs = [];
+            clearTimeout(warningTimeout);
+            timerWarningEl.classList.add('hidden');
+            timerDisplay.classList.add('bg-slate-200', 'text-slate-800');
+            timerDisplay.classList.remove('bg-red-100', 'text-red-700');
+            sectionBreakdownEl.classList.add('hidden');
+            keyAdjustmentsEl.classList.add('hidden');
+            timeAnalysisEl.classList.add('hidden');
+            confidenceAnalysisEl.classList.add('hidden');
+            hideError(shareError);
+            hideError(scanError);
+            hideError(batchError);
+            batchSection.classList.add('hidden');
+            batchResults = [];
+            partialCountEl.classList.add('hidden');
+            questionTimings = {};
+            activeQuestion = null;
+            reviewFlags = [];
+            confidenceTags = {};
+            answerLogs = {};
+            changeAnalysisEl.classList.add('hidden');
+            sectionResults = [];
+            questionResults = {};
             hideError(checkError);
             hideStatusMessage();
             isGraded = false;
             
             // Restore the "Finish & Check" button to its original state.
-            checkBtn.textContent = 'Finish & Check';
+            setTranslatedText(checkBtn, 'results.finish');
             checkBtn.classList.add('bg-green-600', 'hover:bg-green-700');
             checkBtn.classList.remove('bg-indigo-600', 'hover:bg-indigo-700');
             checkBtn.onclick = handleCheckAnswers;
             
-            // Clear all radio buttons and result styling.
+            // Clear all answers and result styling.
             document.querySelectorAll('.question-row').forEach(row => {
-                row.classList.remove('correct', 'incorrect');
-                row.querySelectorAll('input[type="radio"]').forEach(radio => {
-                    radio.disabled = false;
-                    radio.checked = false;
+                row.classList.remove('correct', 'partial', 'incorrect', 'not-evaluated', 'bonus', 'dropped', 'marked-review');
+                row.querySelector('.review-btn').disabled = false;
+                setTranslatedText(row.querySelector('.review-btn'), 'sheet.review');
+                row.querySelector('.review-btn').setAttribute('aria-pressed', 'false');
+                row.querySelectorAll('input').forEach(input => {
+                    input.disabled = false;
+                    if (input.type === 'text') input.value = '';
+                    else input.checked = false;
                 });
-                const hintLabel = row.querySelector('.ring-2');
-                if(hintLabel) hintLabel.classList.remove('ring-2', 'ring-green-500', 'rounded-md', 'p-1');
+                row.querySelectorAll('.ring-2').forEach(hint => hint.classList.remove('ring-2', 'ring-green-500', 'rounded-md', 'p-1', 'ring-offset-1'));
+                row.querySelector('.answer-hint').classList.add('hidden');
+                row.querySelector('.time-spent').classList.add('hidden');
             });
+            sections.forEach((section, sectionIndex) => updateAttemptCount(sectionIndex));
+            updatePalette();
         }
         
-        // --- File Handling and Parsing ---
+        // --- Per-Question Time Tracking ---
 
         /**
-         * Handles the file upload event and directs the file to the correct parser.
-         * @param {Event} event - The file input change event.
+         * Gets (creating if needed) the timing record for a question.
+         * @param {number} questionNumber - The question number.
+         * @returns {Object} The record: { firstVisitMs, dwellMs, changes, lastAnswer }.
          */
-        function handleFileUpload(event) {
-            const file = event.target.files[0];
-            if (!file) return;
-            const reader = new FileReader();
-            const extension = file.name.split('.').pop().toLowerCase();
+        function getQuestionTiming(questionNumber) {
+            if (!questionTimings[questionNumber]) {
+                questionTimings[questionNumber] = { firstVisitMs: null, dwellMs: 0, changes: 0, lastAnswer: '' };
+            }
+            return questionTimings[questionNumber];
+        }
 
-            if (extension === 'xlsx' || extension === 'xls') {
-                reader.onload = (e) => {
-                    try {
-                        const data = new Uint8Array(e.target.result);
-                        const workbook = XLSX.read(data, { type: 'array' });
-                        const worksheet = workbook.Sheets[workbook.SheetNames[0]];
-                        const json = XLSX.utils.sheet_to_json(worksheet, { header: 1 });
-                        parseAnswerKeyFromExcel(json);
-                    } catch (err) {
-                        showError(checkError, 'Failed to process Excel file.');
-                    }
-                };
-                reader.readAsArrayBuffer(file);
-            } else if (extension === 'pdf') {
-                reader.onload = (e) => {
-                    const typedarray = new Uint8Array(e.target.result);
-                    pdfjsLib.getDocument(typedarray).promise.then(pdf => {
-                        let pagesPromises = [];
-                        for (let i = 1; i <= pdf.numPages; i++) {
-                            pagesPromises.push(pdf.getPage(i).then(page => page.getTextContent()));
-                        }
-                        return Promise.all(pagesPromises);
-                    }).then(textContents => {
-                        let fullText = '';
-                        textContents.forEach(content => {
-                            content.items.forEach(item => { fullText += item.str + ' '; });
-                            fullText += '\n';
-                        });
-                        parseAnswerKeyFromText(fullText);
-                    }).catch(() => showError(checkError, 'Failed to process PDF file.'));
-                };
-                reader.readAsArrayBuffer(file);
-            } else {
-                showError(checkError, 'Unsupported file type. Please use .xlsx, .xls, or .pdf');
+        /**
+         * Makes a question the one being worked on, adding the time spent so far to the previous one.
+         * @param {number} questionNumber - The question the candidate focused or interacted with.
+         */
+        function setActiveQuestion(questionNumber) {
+            if (!timerInterval || isGraded || activeQuestion === questionNumber) return;
+            flushActiveQuestionTime();
+            activeQuestion = questionNumber;
+            const timing = getQuestionTiming(questionNumber);
+            if (timing.firstVisitMs === null) timing.firstVisitMs = Date.now() - startTime;
+        }
+
+        /**
+         * Adds the time since the last update to the active question's dwell time.
+         */
+        function flushActiveQuestionTime() {
+            if (activeQuestion !== null) getQuestionTiming(activeQuestion).dwellMs += Date.now() - activeSince;
+            activeSince = Date.now();
+        }
+
+        /**
+         * Stops timing questions when the attempt ends.
+         */
+        function stopQuestionTracking() {
+            flushActiveQuestionTime();
+            activeQuestion = null;
+        }
+
+        /**
+         * Logs a select or clear event for a question and counts a change whenever an existing
+         * answer is replaced or cleared.
+         * @param {number} questionNumber - The question whose answer was updated.
+         */
+        function recordAnswerChange(questionNumber) {
+            if (!timerInterval || isGraded) return;
+            setActiveQuestion(questionNumber);
+            const timing = getQuestionTiming(questionNumber);
+            const response = getResponse(questionNumber);
+            if (response === timing.lastAnswer) return;
+            if (timing.lastAnswer) timing.changes++;
+            timing.lastAnswer = response;
+            if (!answerLogs[questionNumber]) answerLogs[questionNumber] = [];
+            answerLogs[questionNumber].push({ atMs: Date.now() - startTime, action: response ? 'select' : 'clear', answer: response });
+        }
+
+        /**
+         * Summarises where the time went and how it relates to correctness, for the results panel and the PDF.
+         * @returns {Array<string>} Lines of text (empty if no question was timed).
+         */
+        function buildTimeAnalysisLines() {
+            const timed = Object.keys(questionTimings)
+                .map(questionNumber => parseInt(questionNumber, 10))
+                .filter(questionNumber => questionTimings[questionNumber].dwellMs > 0 && questionNumber <= totalQuestions);
+            if (timed.length === 0) return [];
+
+            const statusOf = questionNumber => questionResults[questionNumber] ? questionResults[questionNumber].status : 'unanswered';
+            const dwellOf = questionNumber => questionTimings[questionNumber].dwellMs;
+            const averageFor = status => {
+                const matching = timed.filter(questionNumber => statusOf(questionNumber) === status);
+                return matching.length > 0 ? formatTime(matching.reduce((sum, questionNumber) => sum + dwellOf(questionNumber), 0) / matching.length) : '-';
+            };
+            const slow = timed.filter(questionNumber => dwellOf(questionNumber) > SLOW_QUESTION_MS);
+            const slowest = timed.slice().sort((a, b) => dwellOf(b) - dwellOf(a)).slice(0, SLOWEST_QUESTIONS_LISTED);
+            const totalChanges = timed.reduce((sum, questionNumber) => sum + questionTimings[questionNumber].changes, 0);
+            const slowMinutes = SLOW_QUESTION_MS / 60000;
+
+            return [
+                t('time.average', {
+                    average: formatTime(timed.reduce((sum, questionNumber) => sum + dwellOf(questionNumber), 0) / timed.length),
+                    correct: averageFor('correct'),
+                    incorrect: averageFor('incorrect'),
+                }),
+                t('time.slowest', {
+                    questions: slowest.map(questionNumber => t('time.slowestItem', {
+                        question: questionNumber,
+                        time: formatTime(dwellOf(questionNumber)),
+                        status: t(`status.${statusOf(questionNumber)}`),
+                    })).join(t('common.listSeparator')),
+                }),
+                t('time.slow', {
+                    minutes: slowMinutes,
+                    count: slow.length,
+                    wrong: slow.filter(questionNumber => statusOf(questionNumber) === 'incorrect').length,
+                    correct: slow.filter(questionNumber => statusOf(questionNumber) === 'correct').length,
+                }),
+                t('time.changes', { count: totalChanges }),
+            ];
+        }
+
+        /**
+         * Shows the time analysis in the results panel and the time spent on each question row.
+         */
+        function renderTimeAnalysis() {
+            const lines = buildTimeAnalysisLines();
+            timeAnalysisEl.innerHTML = '';
+            timeAnalysisEl.classList.toggle('hidden', lines.length === 0);
+            lines.forEach(text => {
+                const line = document.createElement('p');
+                line.textContent = text;
+                timeAnalysisEl.appendChild(line);
+            });
+
+            Object.entries(questionTimings).forEach(([questionNumber, timing]) => {
+                const badge = document.querySelector(`#q-row-${questionNumber} .time-spent`);
+                if (!badge || timing.dwellMs <= 0) return;
+                badge.textContent = formatTime(timing.dwellMs);
+                const section = sections[getSectionIndex(parseInt(questionNumber, 10))];
+                const logLines = (answerLogs[questionNumber] || []).map(event => event.action === 'clear'
+                    ? t('time.cleared', { time: formatTime(event.atMs) })
+                    : t('time.selected', { time: formatTime(event.atMs), answer: formatAnswerLabels(event.answer, section) }));
+                badge.title = [t('time.firstVisit', { time: formatTime(timing.firstVisitMs || 0), changes: timing.changes }), ...logLines].join('\n');
+                badge.classList.remove('hidden');
+            });
+        }
+
+        // --- Review Flags, Palette and Answer Changes ---
+
+        /**
+         * Marks or unmarks a question for review.
+         * @param {number} questionNumber - The question to flag.
+         */
+        function toggleReviewFlag(questionNumber) {
+            const row = document.getElementById(`q-row-${questionNumber}`);
+            if (!row) return;
+            const isMarked = !reviewFlags.includes(questionNumber);
+            reviewFlags = isMarked ? [...reviewFlags, questionNumber] : reviewFlags.filter(flagged => flagged !== questionNumber);
+            row.classList.toggle('marked-review', isMarked);
+            setTranslatedText(row.querySelector('.review-btn'), isMarked ? 'sheet.unmark' : 'sheet.review');
+            row.querySelector('.review-btn').setAttribute('aria-pressed', String(isMarked));
+            updatePalette();
+            saveAttempt();
+        }
+
+        /**
+         * Builds one palette button per question; clicking a button jumps to that question.
+         */
+        function renderPalette() {
+            questionPalette.innerHTML = '';
+            for (let i = 1; i <= totalQuestions; i++) {
+                const button = document.createElement('button');
+                button.className = 'palette-btn text-xs font-semibold py-1 rounded';
+                button.dataset.question = i;
+                button.textContent = i;
+                button.addEventListener('click', () => jumpToQuestion(i));
+                questionPalette.appendChild(button);
             }
+            updatePalette();
         }
 
         /**
-         * Parses an answer key from data extracted from an Excel file.
-         * @param {Array<Array<any>>} data - The sheet data from SheetJS.
+         * Refreshes the palette colours and the answered / unanswered / marked-for-review counts.
+         * Once graded, the palette shows each question's result instead.
          */
-        function parseAnswerKeyFromExcel(data) {
-            const newKey = {};
-            let parsedCount = 0;
-            data.forEach(row => {
-                const qNum = parseInt(row[0], 10);
-                const answer = String(row[1]).trim().toUpperCase();
-                if (!isNaN(qNum) && ['A', 'B', 'C', 'D'].includes(answer)) {
-                    newKey[qNum] = answer;
-                    parsedCount++;
+        function updatePalette() {
+            let answered = 0;
+            questionPalette.querySelectorAll('.palette-btn').forEach(button => {
+                const questionNumber = parseInt(button.dataset.question, 10);
+                const isAnswered = Boolean(getResponse(questionNumber));
+                const isMarked = reviewFlags.includes(questionNumber);
+                if (isAnswered) answered++;
+
+                let stateClasses = isAnswered ? 'bg-blue-600 text-white' : 'bg-slate-100 text-slate-700';
+                if (isMarked) stateClasses = 'bg-purple-500 text-white';
+                if (isGraded && questionResults[questionNumber]) {
+                    const status = questionResults[questionNumber].status;
+                    stateClasses = { correct: 'bg-green-600 text-white', bonus: 'bg-green-600 text-white', partial: 'bg-amber-500 text-white', incorrect: 'bg-red-600 text-white', dropped: 'bg-slate-300 text-slate-600' }[status] || 'bg-slate-100 text-slate-700';
                 }
+                button.className = `palette-btn text-xs font-semibold py-1 rounded ${stateClasses} ${isMarked && isAnswered ? 'ring-2 ring-blue-600' : ''}`;
+                button.title = t('palette.button', {
+                    question: questionNumber,
+                    state: `${t(isAnswered ? 'palette.answered' : 'palette.unanswered')}${isMarked ? t('palette.markedSuffix') : ''}`,
+                });
+                button.setAttribute('aria-label', button.title);
             });
-            if(parsedCount > 0) {
-                answerKey = newKey;
-                manualKeyInput.value = '';
-                hideError(checkError);
-                showStatusMessage(`${parsedCount} answers loaded. Click "Finish & Check" to grade.`, 'success');
-            } else {
-                showError(checkError, 'Could not find valid answers in the Excel file.');
+            paletteSummaryEl.textContent = t('palette.summary', { answered, unanswered: totalQuestions - answered, marked: reviewFlags.length });
+        }
+
+        /**
+         * Scrolls to a question and focuses its first input.
+         * @param {number} questionNumber - The question to show.
+         */
+        function jumpToQuestion(questionNumber) {
+            const row = document.getElementById(`q-row-${questionNumber}`);
+            if (!row) return;
+            row.scrollIntoView({ behavior: 'smooth', block: 'center' });
+            const firstInput = row.querySelector('input:not(:disabled)');
+            if (firstInput) firstInput.focus({ preventScroll: true });
+            // Graded rows cannot take focus, so the question paper is moved here as well.
+            showQuestionInPaper(questionNumber);
+        }
+
+        /**
+         * Compares each changed question's first answer with its final answer, using the answer log.
+         * @returns {{correctToWrong: number, wrongToCorrect: number, wrongToWrong: number}} The counts.
+         */
+        function getAnswerChangeStats() {
+            const stats = { correctToWrong: 0, wrongToCorrect: 0, wrongToWrong: 0 };
+            const sheetKey = getSheetKey();
+            Object.entries(answerLogs).forEach(([questionNumber, events]) => {
+                const answers = events.filter(event => event.action === 'select').map(event => event.answer);
+                const finalAnswer = getResponse(parseInt(questionNumber, 10));
+                if (answers.length === 0 || !finalAnswer || answers[0] === finalAnswer) return;
+                const section = sections[getSectionIndex(parseInt(questionNumber, 10))];
+                if (!section) return;
+                const wasCorrect = evaluateResponse(section, answers[0], sheetKey[questionNumber]).status === 'correct';
+                const isCorrect = evaluateResponse(section, finalAnswer, sheetKey[questionNumber]).status === 'correct';
+                if (wasCorrect && !isCorrect) stats.correctToWrong++;
+                else if (!wasCorrect && isCorrect) stats.wrongToCorrect++;
+                else if (!wasCorrect && !isCorrect) stats.wrongToWrong++;
+            });
+            return stats;
+        }
+
+        /**
+         * Summarises answer changes and review flags, for the results panel and the PDF.
+         * @returns {Array<string>} Lines of text (empty if nothing was changed or flagged).
+         */
+        function buildChangeAnalysisLines() {
+            const lines = [];
+            const stats = getAnswerChangeStats();
+            if (stats.correctToWrong + stats.wrongToCorrect + stats.wrongToWrong > 0) {
+                lines.push(t('changes.summary', stats));
             }
+            if (reviewFlags.length > 0) {
+                const flaggedCorrect = reviewFlags.filter(questionNumber => questionResults[questionNumber] && questionResults[questionNumber].status === 'correct').length;
+                lines.push(t('changes.flags', {
+                    count: reviewFlags.length,
+                    correct: flaggedCorrect,
+                    questions: `Q${reviewFlags.slice().sort((a, b) => a - b).join(', Q')}`,
+                }));
+            }
+            return lines;
         }
-        
+
+        /**
+         * Shows the answer change and review flag summary in the results panel.
+         */
+        function renderChangeAnalysis() {
+            const lines = buildChangeAnalysisLines();
+            changeAnalysisEl.innerHTML = '';
+            changeAnalysisEl.classList.toggle('hidden', lines.length === 0);
+            lines.forEach(text => {
+                const line = document.createElement('p');
+                line.textContent = text;
+                changeAnalysisEl.appendChild(line);
+            });
+        }
+
+        // --- Confidence Tags ---
+
+        /**
+         * Tags how sure the candidate is of an answer; choosing the tag a question already has removes it.
+         * @param {number} questionNumber - The question to tag.
+         * @param {string} level - One of `CONFIDENCE_LEVELS`.
+         */
+        function setConfidence(questionNumber, level) {
+            const row = document.getElementById(`q-row-${questionNumber}`);
+            if (!row) return;
+            if (confidenceTags[questionNumber] === level) delete confidenceTags[questionNumber];
+            else confidenceTags[questionNumber] = level;
+            row.querySelectorAll('.confidence-btn').forEach(button => {
+                button.setAttribute('aria-pressed', String(button.dataset.level === confidenceTags[questionNumber]));
+            });
+            saveAttempt();
+        }
+
+        /**
+         * Removes a question's confidence tag, e.g., when its answer is cleared: a tag only describes an answer.
+         * @param {number} questionNumber - The question.
+         */
+        function clearConfidence(questionNumber) {
+            delete confidenceTags[questionNumber];
+            const row = document.getElementById(`q-row-${questionNumber}`);
+            if (row) row.querySelectorAll('.confidence-btn').forEach(button => button.setAttribute('aria-pressed', 'false'));
+        }
+
+        /**
+         * Shows the confidence tags of a restored attempt or an imported response file on the sheet.
+         * @param {Object} [tags] - Tags by question number.
+         */
+        function restoreConfidenceTags(tags) {
+            Object.entries(tags || {}).forEach(([questionNumber, level]) => setConfidence(parseInt(questionNumber, 10), level));
+        }
+
         /**
-         * Parses an answer key from text extracted from a PDF file using a regular expression.
-         * @param {string} text - The text content of the PDF.
+         * Summarises the accuracy and net marks at each confidence level, and what the score would have been
+         * without the less certain answers, for the results panel and the PDF.
+         * @param {Object} [responses] - The answers by question number; read from the sheet when omitted.
+         * @returns {Array<string>} Lines of text (empty if no answer was tagged).
          */
-        function parseAnswerKeyFromText(text) {
-            const regex = /(\d+)\s*[:.-]?\s*([A-D])\b/g;
-            let match;
-            const newKey = {};
-            let parsedCount = 0;
-            while ((match = regex.exec(text)) !== null) {
-                newKey[parseInt(match[1], 10)] = match[2].toUpperCase();
-                parsedCount++;
+        function buildConfidenceAnalysisLines(responses = collectResponses()) {
+            const summaries = summariseConfidence(questionResults, confidenceTags);
+            if (!summaries.some(summary => summary.level !== 'untagged')) return [];
+
+            const lines = summaries.map(summary => t('confidence.line', {
+                level: t(`confidence.${summary.level}`),
+                attempted: summary.attempted,
+                correct: summary.correct,
+                partial: summary.partial > 0 ? t('confidence.partial', { count: summary.partial }) : '',
+                incorrect: summary.incorrect,
+                accuracy: Math.round(summary.accuracy),
+                net: `${summary.net > 0 ? '+' : ''}${summary.net}`,
+            }));
+            // The "what if" scores grade the same sheet again with some answers left blank.
+            const paperSet = getSelectedPaperSet();
+            const scoreWithout = levels => {
+                const kept = skipByConfidence(responses, confidenceTags, levels);
+                return grade(paperSet ? toMasterResponses(kept, paperSet) : kept, answerKey, sections, paperSet).score;
+            };
+            const actual = describeScore(sumSectionResults(sectionResults), sections);
+            const withoutGuesses = scoreWithout(['guess']);
+            const sureOnly = scoreWithout(['guess', 'fifty-fifty']);
+            lines.push(t('confidence.whatIf', { actual: actual.score, withoutGuesses: withoutGuesses.score, sureOnly: sureOnly.score }));
+            if (hasMarkingScheme(sections) && Object.values(confidenceTags).includes('guess')) {
+                const difference = actual.value - withoutGuesses.value;
+                if (difference === 0) lines.push(t('confidence.noDifference'));
+                else lines.push(t(difference > 0 ? 'confidence.gained' : 'confidence.cost', { marks: Math.abs(difference) }));
             }
-            
-            if(parsedCount > 0) {
-                answerKey = newKey;
-                manualKeyInput.value = '';
-                hideError(checkError);
-                showStatusMessage(`${parsedCount} answers loaded. Click "Finish & Check" to grade.`, 'success');
-            } else {
-                showError(checkError, 'Could not find valid answers in the PDF.');
+            return lines;
+        }
+
+        /**
+         * Shows the confidence analysis in the results panel.
+         */
+        function renderConfidenceAnalysis() {
+            const lines = buildConfidenceAnalysisLines();
+            confidenceAnalysisEl.innerHTML = '';
+            confidenceAnalysisEl.classList.toggle('hidden', lines.length === 0);
+            lines.forEach(text => {
+                const line = document.createElement('p');
+                line.textContent = text;
+                confidenceAnalysisEl.appendChild(line);
+            });
+        }
+
+        // --- Autosave and Resume ---
+
+        /**
+         * Saves the in-progress attempt (sheet layout, answers, key and elapsed time) to localStorage.
+         * Called on every answer change and timer tick; graded or unstarted sheets are not saved.
+         */
+        function saveAttempt() {
+            if (!totalQuestions || isGraded || !timerInterval) return;
+            flushActiveQuestionTime();
+            const responses = collectResponses();
+            const attempt = {
+                attemptId: currentAttemptId,
+                examTitle,
+                sections,
+                responses,
+                answerKey,
+                paperSets,
+                selectedSetCode,
+                examDurationMs,
+                warningThresholdsMs,
+                shownWarningsMs,
+                questionTimings,
+                reviewFlags,
+                confidenceTags,
+                answerLogs,
+                elapsedMs: Date.now() - startTime,
+                savedAt: Date.now(),
+            };
+            try {
+                localStorage.setItem(SAVED_ATTEMPT_STORAGE_KEY, JSON.stringify(attempt));
+            } catch (err) {
+                // Storage can be full or disabled (e.g., private browsing); the attempt simply isn't saved.
+            }
+        }
+
+        /**
+         * Reads the saved attempt from localStorage.
+         * @returns {Object|null} The saved attempt, or null if there is none or it is unreadable.
+         */
+        function loadSavedAttempt() {
+            try {
+                const attempt = JSON.parse(localStorage.getItem(SAVED_ATTEMPT_STORAGE_KEY));
+                return attempt && Array.isArray(attempt.sections) && attempt.sections.length > 0 ? attempt : null;
+            } catch (err) {
+                return null;
+            }
+        }
+
+        /**
+         * Removes the saved attempt from localStorage.
+         */
+        function clearSavedAttempt() {
+            try {
+                localStorage.removeItem(SAVED_ATTEMPT_STORAGE_KEY);
+            } catch (err) {
+                // Nothing to clear if storage is unavailable.
+            }
+        }
+
+        /**
+         * Offers to resume a saved attempt when the page loads.
+         */
+        function checkForSavedAttempt() {
+            pendingAttempt = loadSavedAttempt();
+            if (!pendingAttempt) return;
+            const questionCount = pendingAttempt.sections[pendingAttempt.sections.length - 1].end;
+            const answeredCount = Object.keys(pendingAttempt.responses || {}).length;
+            const savedAt = new Date(pendingAttempt.savedAt).toLocaleString();
+            resumeInfoEl.textContent = t('resume.info', { savedAt, answered: answeredCount, total: questionCount, elapsed: formatTime(pendingAttempt.elapsedMs || 0) });
+            resumeBanner.classList.remove('hidden');
+        }
+
+        /**
+         * Restores the saved attempt: rebuilds the sheet and config form, re-marks the answers,
+         * reloads the answer key and continues the timer from the saved elapsed time.
+         */
+        function resumeSavedAttempt() {
+            const attempt = pendingAttempt;
+            resumeBanner.classList.add('hidden');
+            pendingAttempt = null;
+            if (!attempt) return;
+
+            fillConfigForm(attempt.sections);
+            renderOMRSheet(attempt.sections);
+            resetOMRState();
+            Object.entries(attempt.responses || {}).forEach(([questionNumber, response]) => setResponse(parseInt(questionNumber, 10), response));
+            sections.forEach((section, sectionIndex) => updateAttemptCount(sectionIndex));
+            answerKey = attempt.answerKey || {};
+            setPaperSets(attempt.paperSets || {}, attempt.selectedSetCode);
+            examTitle = attempt.examTitle || '';
+            examTitleInput.value = examTitle;
+            currentAttemptId = attempt.attemptId || createAttemptId();
+            examDurationMs = attempt.examDurationMs || null;
+            warningThresholdsMs = attempt.warningThresholdsMs || [];
+            shownWarningsMs = attempt.shownWarningsMs || [];
+            questionTimings = attempt.questionTimings || {};
+            answerLogs = attempt.answerLogs || {};
+            (attempt.reviewFlags || []).forEach(toggleReviewFlag);
+            restoreConfidenceTags(attempt.confidenceTags);
+            examDurationInput.value = examDurationMs !== null ? examDurationMs / 60000 : '';
+            warningTimesInput.value = warningThresholdsMs.map(threshold => threshold / 60000).join(', ');
+            if (Object.keys(answerKey).length > 0) {
+                showStatusMessage(t('check.keyLoaded', { count: Object.keys(answerKey).length }), 'success');
+            }
+            startTimer(attempt.elapsedMs || 0);
+            saveAttempt();
+        }
+
+        /**
+         * Fills the configuration panel from a list of sections, so a restored sheet shows its marking scheme.
+         * @param {Array<Object>} sheetSections - The sections to show.
+         */
+        function fillConfigForm(sheetSections) {
+            sectionList.innerHTML = '';
+            questionCountInput.value = '';
+            correctMarksInput.value = '';
+            wrongMarksInput.value = '';
+            const section = sheetSections[0];
+            // The simple form only holds a count and marks; any other section is shown as a section row.
+            const fitsSimpleForm = sheetSections.length === 1 && !section.title && section.type === 'single' && section.optionCount === 4
+                && section.partialMarks === null && section.attemptLimit === null;
+            if (fitsSimpleForm) {
+                questionCountInput.value = section.end;
+                correctMarksInput.value = section.correctMarks !== null ? section.correctMarks : '';
+                wrongMarksInput.value = section.wrongMarks !== null ? section.wrongMarks : '';
+                return;
+            }
+            sheetSections.forEach(section => addSectionConfigRow({ ...section, count: section.end - section.start + 1 }));
+        }
+
+        // --- Attempt History ---
+
+        /**
+         * Creates a unique identifier for a new attempt.
+         * @returns {string} The identifier.
+         */
+        function createAttemptId() {
+            return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+        }
+
+        /**
+         * Reads the list of graded attempts from localStorage, oldest first.
+         * @returns {Array<Object>} The stored attempts.
+         */
+        function loadHistory() {
+            try {
+                const history = JSON.parse(localStorage.getItem(HISTORY_STORAGE_KEY));
+                return Array.isArray(history) ? history : [];
+            } catch (err) {
+                return [];
+            }
+        }
+
+        /**
+         * Writes the list of graded attempts to localStorage. When storage is full, the oldest attempts are
+         * removed, a tenth of the list at a time, until the rest fit; the candidate is told how many went.
+         * @param {Array<Object>} history - The attempts to store, oldest first.
+         */
+        function saveHistory(history) {
+            let kept = history.slice(-MAX_HISTORY_ENTRIES);
+            while (kept.length > 0) {
+                try {
+                    localStorage.setItem(HISTORY_STORAGE_KEY, JSON.stringify(kept));
+                    const removed = Math.min(history.length, MAX_HISTORY_ENTRIES) - kept.length;
+                    if (removed > 0) showError(checkError, t('history.trimmed', { count: removed }));
+                    return;
+                } catch (err) {
+                    if (!isQuotaExceeded(err) || kept.length === 1) break;
+                    kept = kept.slice(Math.max(1, Math.floor(kept.length / 10)));
+                }
             }
+            showError(checkError, t('history.saveFailed'));
+        }
+
+        /**
+         * Tells whether a storage error means the storage is full (the error is named differently across browsers).
+         * @param {Error} err - The error thrown by `localStorage.setItem`.
+         * @returns {boolean} True if the quota was exceeded.
+         */
+        function isQuotaExceeded(err) {
+            return err instanceof DOMException && (err.name === 'QuotaExceededError' || err.name === 'NS_ERROR_DOM_QUOTA_REACHED' || err.code === 22);
+        }
+
+        /**
+         * Stores the just-graded attempt in the history. Re-grading the same attempt replaces its entry.
+         * @param {Object} totals - The summed section results from `gradeSheet`.
+         */
+        function recordAttemptInHistory(totals) {
+            const responses = collectResponses();
+            const entry = {
+                id: currentAttemptId || createAttemptId(),
+                gradedAt: Date.now(),
+                title: examTitle || (sections.some(section => section.title) ? sections.map(section => section.title).join(', ') : t('history.defaultTitle', { count: totalQuestions })),
+                examTitle,
+                sections,
+                responses,
+                answerKey,
+                // Set attempts keep the set's mapping, so a review is graded the same way, and their answers in
+                // the master order, so they can be compared with attempts at other sets.
+                paperSet: getSelectedPaperSet(),
+                masterResponses: getSelectedPaperSet() ? toMasterResponses(responses, getSelectedPaperSet()) : responses,
+                hasMarkingScheme: hasMarkingScheme(sections),
+                score: describeScore(totals, sections).value,
+                maxScore: totals.maxScore,
+                correct: totals.correct,
+                partial: totals.partial,
+                incorrect: totals.incorrect,
+                unanswered: totals.unanswered,
+                notEvaluated: totals.notEvaluated,
+                bonus: totals.bonus,
+                dropped: totals.dropped,
+                gained: totals.gained,
+                lost: totals.lost,
+                elapsedMs: examDurationMs === null ? getElapsedMs() : Math.min(getElapsedMs(), examDurationMs),
+                examDurationMs,
+                autoSubmitted: isAutoSubmitted,
+                questionTimings,
+                reviewFlags,
+                confidenceTags,
+                answerLogs,
+            };
+            currentAttemptId = entry.id;
+            const history = loadHistory().filter(attempt => attempt.id !== entry.id);
+            history.push(entry);
+            saveHistory(history);
+            if (!historySection.classList.contains('hidden')) renderHistory();
+        }
+
+        /**
+         * Calculates the accuracy of an attempt: correct answers as a percentage of evaluated attempts.
+         * @param {Object} attempt - A history entry.
+         * @returns {number} The accuracy from 0 to 100 (0 when nothing was attempted).
+         */
+        function getAccuracy(attempt) {
+            const attempted = attempt.correct + attempt.partial + attempt.incorrect;
+            return attempted > 0 ? (attempt.correct / attempted) * 100 : 0;
+        }
+
+        /**
+         * Calculates an attempt's score as a percentage of its maximum, so different papers can be compared.
+         * @param {Object} attempt - A history entry.
+         * @returns {number} The score percentage (negative if marks were lost overall).
+         */
+        function getScorePercent(attempt) {
+            return attempt.maxScore > 0 ? (attempt.score / attempt.maxScore) * 100 : 0;
+        }
+
+        /**
+         * Opens the history panel.
+         */
+        function showHistory() {
+            hideError(historyError);
+            renderHistory();
+            historySection.classList.remove('hidden');
+            historySection.classList.add('fade-in');
+            historySection.scrollIntoView({ behavior: 'smooth' });
+        }
+
+        /**
+         * Renders the trend chart and the table of past attempts (newest first).
+         */
+        function renderHistory() {
+            const history = loadHistory();
+            historyEmptyEl.classList.toggle('hidden', history.length > 0);
+            clearHistoryBtn.classList.toggle('hidden', history.length === 0);
+            renderHistoryChart(history);
+
+            historyTableBody.innerHTML = '';
+            history.slice().reverse().forEach(attempt => {
+                const row = document.createElement('tr');
+                row.className = 'border-b last:border-0';
+                const cells = [
+                    new Date(attempt.gradedAt).toLocaleString(),
+                    attempt.title,
+                    `${attempt.score} / ${attempt.maxScore}`,
+                    `${getAccuracy(attempt).toFixed(1)}%`,
+                    `${attempt.correct} / ${attempt.incorrect} / ${attempt.unanswered}`,
+                    formatTime(attempt.elapsedMs),
+                ];
+                cells.forEach(text => {
+                    const cell = document.createElement('td');
+                    cell.className = 'py-2 pr-2';
+                    cell.textContent = text;
+                    row.appendChild(cell);
+                });
+
+                const actionsCell = document.createElement('td');
+                actionsCell.className = 'py-2 whitespace-nowrap';
+                actionsCell.innerHTML = `
+                    <button class="review-attempt-btn text-blue-600 hover:text-blue-800 font-medium mr-3" data-i18n="history.review"></button>
+                    <button class="delete-attempt-btn text-red-500 hover:text-red-700 font-medium" data-i18n="history.delete"></button>`;
+                applyTranslations(actionsCell);
+                actionsCell.querySelector('.review-attempt-btn').addEventListener('click', () => reviewAttempt(attempt.id));
+                actionsCell.querySelector('.delete-attempt-btn').addEventListener('click', () => {
+                    saveHistory(loadHistory().filter(entry => entry.id !== attempt.id));
+                    renderHistory();
+                });
+                row.appendChild(actionsCell);
+                historyTableBody.appendChild(row);
+            });
+        }
+
+        /**
+         * Draws an SVG line chart of score % and accuracy % across attempts, oldest to newest.
+         * @param {Array<Object>} history - The stored attempts, oldest first.
+         */
+        function renderHistoryChart(history) {
+            if (history.length < 2) {
+                historyChartEl.innerHTML = history.length === 1
+                    ? `<p class="text-slate-500 text-sm text-center">${t('history.needTwo')}</p>`
+                    : '';
+                return;
+            }
+
+            const width = 600, height = 220, left = 40, right = 15, top = 15, bottom = 30;
+            const scores = history.map(getScorePercent);
+            const accuracies = history.map(getAccuracy);
+            const minY = Math.min(0, Math.floor(Math.min(...scores) / 25) * 25);
+            const maxY = 100;
+            const x = index => left + (index * (width - left - right)) / (history.length - 1);
+            const y = value => top + ((maxY - value) * (height - top - bottom)) / (maxY - minY);
+
+            let gridHTML = '';
+            for (let value = minY; value <= maxY; value += 25) {
+                gridHTML += `<line x1="${left}" y1="${y(value)}" x2="${width - right}" y2="${y(value)}" stroke="#e2e8f0" />`;
+                gridHTML += `<text x="${left - 6}" y="${y(value) + 4}" text-anchor="end" font-size="10" fill="#64748b">${value}%</text>`;
+            }
+            const seriesHTML = (values, color, label) => {
+                const points = values.map((value, index) => `${x(index)},${y(value)}`).join(' ');
+                const dots = values.map((value, index) => `
+                    <circle cx="${x(index)}" cy="${y(value)}" r="3.5" fill="${color}">
+                        <title>${t('history.point', { number: index + 1, series: label, value: value.toFixed(1) })}</title>
+                    </circle>`).join('');
+                return `<polyline points="${points}" fill="none" stroke="${color}" stroke-width="2" />${dots}`;
+            };
+            const xLabelsHTML = history.map((attempt, index) =>
+                `<text x="${x(index)}" y="${height - 10}" text-anchor="middle" font-size="10" fill="#64748b">${index + 1}</text>`).join('');
+
+            historyChartEl.innerHTML = `
+                <svg viewBox="0 0 ${width} ${height}" class="w-full h-auto" role="img" aria-label="${t('history.chartLabel')}">
+                    ${gridHTML}
+                    ${xLabelsHTML}
+                    ${seriesHTML(scores, '#2563eb', t('common.score'))}
+                    ${seriesHTML(accuracies, '#16a34a', t('history.accuracy'))}
+                </svg>
+                <div class="flex justify-center gap-6 text-xs font-semibold mt-1">
+                    <span class="text-blue-600">&#9679; ${t('history.scorePercent')}</span>
+                    <span class="text-green-600">&#9679; ${t('history.accuracyPercent')}</span>
+                </div>`;
+        }
+
+        /**
+         * Re-opens a past attempt read-only, with the same highlighting that grading applies.
+         * @param {string} attemptId - The id of the history entry.
+         */
+        function reviewAttempt(attemptId) {
+            const attempt = loadHistory().find(entry => entry.id === attemptId);
+            if (!attempt) return;
+            if ((timerInterval && !isGraded) || pendingAttempt) {
+                showError(historyError, t('history.busy'));
+                return;
+            }
+            hideError(historyError);
+
+            fillConfigForm(attempt.sections);
+            renderOMRSheet(attempt.sections);
+            resetOMRState();
+            Object.entries(attempt.responses).forEach(([questionNumber, response]) => setResponse(parseInt(questionNumber, 10), response));
+            sections.forEach((section, sectionIndex) => updateAttemptCount(sectionIndex));
+            answerKey = attempt.answerKey;
+            setPaperSets(attempt.paperSet ? { [attempt.paperSet.code]: attempt.paperSet } : {}, attempt.paperSet?.code);
+            examTitle = attempt.examTitle || '';
+            examTitleInput.value = examTitle;
+            currentAttemptId = attempt.id;
+            examDurationMs = attempt.examDurationMs || null;
+            isAutoSubmitted = Boolean(attempt.autoSubmitted);
+            questionTimings = attempt.questionTimings || {};
+            answerLogs = attempt.answerLogs || {};
+            (attempt.reviewFlags || []).forEach(toggleReviewFlag);
+            restoreConfidenceTags(attempt.confidenceTags);
+
+            // Grading with the stored elapsed time reproduces the original result without recording it again.
+            startTime = Date.now() - attempt.elapsedMs;
+            gradeSheet({ isReview: true });
+            timerDisplay.textContent = formatTime(attempt.elapsedMs);
+            checkBtn.classList.add('hidden');
+            setTranslatedText(reviewBanner, 'history.reviewing', { date: new Date(attempt.gradedAt).toLocaleString() });
+            reviewBanner.classList.remove('hidden');
+            omrContainer.scrollIntoView({ behavior: 'smooth' });
+        }
+
+        // --- Exam Packages and Response Files ---
+
+        /**
+         * Downloads text content as a file.
+         * @param {string} content - The file content.
+         * @param {string} fileName - The name to save the file as.
+         * @param {string} type - The MIME type.
+         */
+        function downloadFile(content, fileName, type) {
+            const url = URL.createObjectURL(new Blob([content], { type }));
+            const link = document.createElement('a');
+            link.href = url;
+            link.download = fileName;
+            document.body.appendChild(link);
+            link.click();
+            link.remove();
+            URL.revokeObjectURL(url);
+        }
+
+        /**
+         * Builds a file name prefix from the test title, e.g., "JEE Mock 3" -> "jee_mock_3".
+         * @param {string} [title=examTitle] - The test title.
+         * @returns {string} The prefix ("omr" when the test has no title).
+         */
+        function getFileBaseName(title = examTitle) {
+            return slugify(title) || 'omr';
+        }
+
+        /**
+         * Turns text into a lowercase, underscore-separated file name part, e.g., "Asha Rao" -> "asha_rao".
+         * @param {string} text - The text.
+         * @returns {string} The slug (empty when nothing usable is left).
+         */
+        function slugify(text) {
+            return text.toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '');
+        }
+
+        /**
+         * Builds a report file name from the test title, the candidate and the date,
+         * e.g., "jee_mock_3_asha_rao_2024-05-12_report.pdf".
+         * @param {string} candidateLabel - The candidate's name or roll number (may be empty).
+         * @param {Date} date - The report date.
+         * @returns {string} The file name.
+         */
+        function buildReportFileName(candidateLabel, date) {
+            const pad = value => String(value).padStart(2, '0');
+            const isoDate = `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+            return `${[getFileBaseName(), slugify(candidateLabel), isoDate].filter(Boolean).join('_')}_report.pdf`;
+        }
+
+        /**
+         * Exports the sheet configuration, timing and title as an exam package, so another candidate can
+         * load the same test. The answer key is included when "Include the answer key" is ticked. It is only
+         * base64-encoded, so it is not shown on screen but anyone who opens the file can decode it.
+         */
+        function exportExamPackage() {
+            hideError(shareError);
+            let key = answerKey;
+            const manualKey = manualKeyInput.value.trim().toUpperCase();
+            if (includeKeyCheckbox.checked && manualKey) {
+                key = readManualKey(manualKey);
+                if (!key) return;
+            }
+            if (includeKeyCheckbox.checked && Object.keys(key).length === 0) {
+                showError(shareError, t('share.keyMissing'));
+                return;
+            }
+            const examPackage = {
+                format: EXAM_PACKAGE_FORMAT,
+                version: FILE_FORMAT_VERSION,
+                title: examTitle,
+                sections,
+                examDurationMs,
+                warningThresholdsMs,
+                exportedAt: Date.now(),
+            };
+            if (Object.keys(paperSets).length > 0) examPackage.paperSets = paperSets;
+            if (includeKeyCheckbox.checked) examPackage.hiddenKey = btoa(JSON.stringify(key));
+            downloadFile(JSON.stringify(examPackage, null, 2), `${getFileBaseName()}_exam_package.json`, 'application/json');
+        }
+
+        /**
+         * Exports the candidate's answers with the sheet configuration, so they can be graded later
+         * (e.g., once the official key is published) by loading the file on any device.
+         */
+        function exportResponses() {
+            hideError(shareError);
+            flushActiveQuestionTime();
+            const responses = collectResponses();
+            const responseFile = {
+                format: RESPONSE_FILE_FORMAT,
+                version: FILE_FORMAT_VERSION,
+                title: examTitle,
+                rollNumber,
+                sections,
+                responses,
+                paperSet: getSelectedPaperSet(),
+                elapsedMs: getElapsedMs(),
+                examDurationMs,
+                autoSubmitted: isAutoSubmitted,
+                questionTimings,
+                reviewFlags,
+                confidenceTags,
+                answerLogs,
+                exportedAt: Date.now(),
+            };
+            downloadFile(JSON.stringify(responseFile, null, 2), `${getFileBaseName()}_responses.json`, 'application/json');
+        }
+
+        /**
+         * Reads an exam package or a response file chosen in the configuration panel.
+         * @param {Event} event - The file input change event.
+         */
+        function handleExamFileUpload(event) {
+            const file = event.target.files[0];
+            if (!file) return;
+            const reader = new FileReader();
+            reader.onload = (e) => {
+                let data;
+                try {
+                    data = JSON.parse(e.target.result);
+                } catch (err) {
+                    data = null;
+                }
+                examFileUpload.value = '';
+                if (timerInterval && !isGraded) {
+                    showError(configError, t('examFile.busy'));
+                    return;
+                }
+                // The file may have been edited by hand, so its sections are rebuilt rather than trusted.
+                const fileSections = data ? readSheetSections(data.sections, MAX_QUESTIONS) : null;
+                if (!fileSections || (data.format !== EXAM_PACKAGE_FORMAT && data.format !== RESPONSE_FILE_FORMAT)) {
+                    showError(configError, t('examFile.invalid'));
+                    return;
+                }
+                const { records, invalid } = readFileRecords(data, fileSections);
+                if (invalid.length > 0) {
+                    showError(configError, t('examFile.invalidFields', { fields: invalid.join(', ') }));
+                    return;
+                }
+                if (data.format === EXAM_PACKAGE_FORMAT) loadExamPackage({ ...data, ...records }, fileSections);
+                else loadResponseFile({ ...data, ...records }, fileSections);
+            };
+            reader.readAsText(file);
+        }
+
+        /**
+         * Fills the configuration panel from an exam package and generates its sheet.
+         * @param {Object} examPackage - The parsed exam package, with its records checked by `readFileRecords`.
+         * @param {Array<Object>} fileSections - Its sections, as checked by `readSheetSections`.
+         */
+        function loadExamPackage(examPackage, fileSections) {
+            fillConfigForm(fileSections);
+            examTitleInput.value = examPackage.title || '';
+            examDurationInput.value = examPackage.examDurationMs ? examPackage.examDurationMs / 60000 : '';
+            warningTimesInput.value = examPackage.warningThresholdsMs.map(threshold => threshold / 60000).join(', ');
+            generateOMRSheet();
+            if (!timerInterval) return; // The package's configuration was rejected; the error is already shown.
+            setPaperSets(readFilePaperSets(examPackage.paperSets, t('source.examPackage')));
+            saveAttempt();
+
+            if (examPackage.hiddenKey) {
+                const hiddenKey = readHiddenKey(examPackage.hiddenKey);
+                if (hiddenKey) {
+                    answerKey = hiddenKey;
+                    showStatusMessage(t('examFile.hasKey'), 'success');
+                    saveAttempt();
+                } else {
+                    showError(checkError, t('examFile.keyUnreadable'));
+                }
+            }
+            omrContainer.scrollIntoView({ behavior: 'smooth' });
+        }
+
+        /**
+         * Decodes the answer key hidden in an exam package and checks it against the sheet.
+         * @param {string} hiddenKey - The key as JSON, base64-encoded.
+         * @returns {Object|null} The key, or null if it cannot be read or has an entry that does not fit the sheet.
+         */
+        function readHiddenKey(hiddenKey) {
+            let key;
+            try {
+                key = JSON.parse(atob(hiddenKey));
+            } catch (err) {
+                return null;
+            }
+            if (!key || typeof key !== 'object' || Array.isArray(key)) return null;
+            const entries = Object.entries(key).map(([questionNumber, raw]) => ({ questionNumber: Number(questionNumber), raw }));
+            const checked = validateKeyEntries(entries, sections);
+            return checked.rows.every(row => row.status === 'ok') ? checked.key : null;
+        }
+
+        /**
+         * Checks the paper sets saved in an exam package or response file against the sheet (see
+         * `readStoredPaperSets`); sets that do not fit are left out and reported.
+         * @param {any} storedSets - Sets by code, as saved in the file.
+         * @param {string} sourceLabel - Names the file in messages.
+         * @returns {Object} The sets that fit the sheet.
+         */
+        function readFilePaperSets(storedSets, sourceLabel) {
+            const { sets, errors } = readStoredPaperSets(storedSets, sections);
+            if (errors.length > 0) showError(checkError, t('paperSet.notLoaded', { source: sourceLabel, errors: errors.join(' ') }));
+            return sets;
+        }
+
+        /**
+         * Shows the answers from a response file on its sheet, ready to be graded once a key is loaded.
+         * The sheet is read-only and the timer stays at the recorded time.
+         * @param {Object} responseFile - The parsed response file, with its records checked by `readFileRecords`.
+         * @param {Array<Object>} fileSections - Its sections, as checked by `readSheetSections`.
+         */
+        function loadResponseFile(responseFile, fileSections) {
+            hideError(configError);
+            resumeBanner.classList.add('hidden');
+            pendingAttempt = null;
+            fillConfigForm(fileSections);
+            renderOMRSheet(fileSections);
+            resetOMRState();
+            Object.entries(responseFile.responses).forEach(([questionNumber, response]) => setResponse(parseInt(questionNumber, 10), response));
+            sections.forEach((section, sectionIndex) => updateAttemptCount(sectionIndex));
+            examTitle = responseFile.title;
+            examTitleInput.value = examTitle;
+            rollNumber = responseFile.rollNumber;
+            const paperSet = responseFile.paperSet;
+            setPaperSets(paperSet ? readFilePaperSets({ [paperSet.code]: paperSet }, t('source.responseFile')) : {}, paperSet?.code);
+            paperSetSelect.disabled = true;
+            currentAttemptId = createAttemptId();
+            examDurationMs = responseFile.examDurationMs || null;
+            isAutoSubmitted = responseFile.autoSubmitted;
+            questionTimings = responseFile.questionTimings;
+            answerLogs = responseFile.answerLogs;
+            responseFile.reviewFlags.forEach(toggleReviewFlag);
+            restoreConfidenceTags(responseFile.confidenceTags);
+            importedElapsedMs = responseFile.elapsedMs;
+            timerDisplay.textContent = formatTime(importedElapsedMs);
+            document.querySelectorAll('.question-row').forEach(row => {
+                row.querySelectorAll('input, .review-btn, .confidence-btn').forEach(input => input.disabled = true);
+                row.querySelector('.clear-btn').classList.add('hidden');
+            });
+            reviewBanner.textContent = t('examFile.responsesBanner', {
+                roll: rollNumber ? t('examFile.responsesRoll', { roll: rollNumber }) : '',
+                title: examTitle ? t('examFile.responsesTitle', { title: examTitle }) : '',
+                exported: responseFile.exportedAt ? t('examFile.responsesExported', { date: new Date(responseFile.exportedAt).toLocaleString() }) : '',
+            });
+            reviewBanner.classList.remove('hidden');
+            omrContainer.scrollIntoView({ behavior: 'smooth' });
+        }
+
+        // --- Printable Blank Sheet ---
+
+        /**
+         * Lays out a printable bubble sheet for a list of sections: corner markers, a header with a roll
+         * number grid on the first page, and the questions flowing down the columns of each page.
+         * Everything is positioned in millimetres, so the same layout is used to print and to scan.
+         * @param {Array<Object>} sheetSections - The sections to lay out.
+         * @param {string} title - The test title printed in the header.
+         * @returns {{markers: Array<{x: number, y: number}>, pages: Array<Object>}} The marker centres (top-left,
+         * top-right, bottom-left, bottom-right) and, per page, its texts, write-in boxes and bubbles.
+         */
+        function buildBlankSheetLayout(sheetSections, title) {
+            const { pageWidth, pageHeight, margin, markerSize, columns, rowHeight, bubbleSpacing, rollDigits, firstPageTop } = BLANK_SHEET;
+            const markers = [
+                { x: margin, y: margin },
+                { x: pageWidth - margin - markerSize, y: margin },
+                { x: margin, y: pageHeight - margin - markerSize },
+                { x: pageWidth - margin - markerSize, y: pageHeight - margin - markerSize },
+            ].map(corner => ({ x: corner.x + markerSize / 2, y: corner.y + markerSize / 2 }));
+            const contentLeft = margin + 2;
+            const columnWidth = (pageWidth - 2 * contentLeft) / columns;
+            const contentBottom = pageHeight - margin - markerSize - 4;
+
+            const pages = [];
+            let page = null;
+            let column = 0;
+            let top = 0;
+            let y = 0;
+            const addPage = () => {
+                page = { texts: [], boxes: [], bubbles: [] };
+                pages.push(page);
+                column = 0;
+                top = pages.length === 1 ? firstPageTop : margin + markerSize + 8;
+                y = top;
+            };
+            // Moves on to the next column, or the next page, when a block of the given height does not fit.
+            const reserve = height => {
+                if (y + height <= contentBottom) return;
+                column++;
+                y = top;
+                if (column >= columns) addPage();
+            };
+
+            addPage();
+            page.texts.push({ text: title || t('blankSheet.title'), x: pageWidth / 2, y: margin + 6, size: 14, bold: true, align: 'center' });
+            [t('blankSheet.candidateName'), t('blankSheet.test'), t('blankSheet.date')].forEach((label, index) => {
+                const lineY = 34 + index * 10;
+                page.texts.push({ text: `${label}:`, x: contentLeft, y: lineY, size: 10 });
+                page.boxes.push({ x: contentLeft + 30, y: lineY, width: 85, height: 0 });
+            });
+            page.texts.push({ text: t('blankSheet.fillInstructions'), x: contentLeft, y: 72, size: 8 });
+            page.texts.push({ text: t('blankSheet.numericalInstructions'), x: contentLeft, y: 77, size: 8 });
+
+            const rollLeft = pageWidth - contentLeft - rollDigits * bubbleSpacing + bubbleSpacing / 2;
+            page.texts.push({ text: t('common.rollNumber'), x: rollLeft - bubbleSpacing / 2, y: 28, size: 9, bold: true });
+            for (let digitIndex = 0; digitIndex < rollDigits; digitIndex++) {
+                const x = rollLeft + digitIndex * bubbleSpacing;
+                page.boxes.push({ x: x - 2.5, y: 30, width: 5, height: 5 });
+                for (let digit = 0; digit <= 9; digit++) {
+                    page.bubbles.push({ x, y: 40 + digit * 5.2, label: String(digit), rollDigit: digitIndex, value: String(digit) });
+                }
+            }
+
+            sheetSections.forEach(section => {
+                if (section.title) {
+                    reserve(rowHeight * 2); // Keep a section title together with its first question.
+                    page.texts.push({ text: `${section.title} (${t(`questionType.${section.type}`)})`, x: contentLeft + column * columnWidth, y: y + rowHeight / 2 + 1.2, size: 8, bold: true, maxWidth: columnWidth - 2 });
+                    y += rowHeight;
+                }
+                for (let i = section.start; i <= section.end; i++) {
+                    const height = section.type === 'matrix' ? MATRIX_ROWS.length * rowHeight + 2 : rowHeight;
+                    reserve(height);
+                    const x = contentLeft + column * columnWidth;
+                    const centerY = y + rowHeight / 2;
+                    page.texts.push({ text: `${i}.`, x: x + 7, y: centerY + 1.2, size: 9, bold: true, align: 'right' });
+                    if (section.type === 'numerical') {
+                        page.boxes.push({ x: x + 10, y: centerY - 2.75, width: 35, height: 5.5 });
+                    } else if (section.type === 'matrix') {
+                        MATRIX_ROWS.forEach((rowLetter, rowIndex) => {
+                            const rowY = centerY + rowIndex * rowHeight;
+                            page.texts.push({ text: rowLetter, x: x + 10, y: rowY + 1.2, size: 8 });
+                            MATRIX_COLUMNS.slice(0, section.optionCount).forEach((columnLetter, columnIndex) => {
+                                page.bubbles.push({ x: x + 17 + columnIndex * bubbleSpacing, y: rowY, label: columnLetter, question: i, value: `${rowLetter}${columnLetter}` });
+                            });
+                        });
+                    } else {
+                        OPTION_LETTERS.slice(0, section.optionCount).forEach((option, optionIndex) => {
+                            page.bubbles.push({ x: x + 12 + optionIndex * bubbleSpacing, y: centerY, label: formatOptionLabel(option), question: i, value: option });
+                        });
+                    }
+                    y += height;
+                }
+            });
+
+            pages.forEach((sheetPage, index) => {
+                sheetPage.texts.push({ text: t('blankSheet.page', { page: index + 1, pages: pages.length }), x: pageWidth / 2, y: pageHeight - margin - 2, size: 8, align: 'center' });
+            });
+            return { markers, pages };
+        }
+
+        /**
+         * Saves a blank, printable bubble sheet for the configuration in the panel as a PDF.
+         */
+        async function printBlankSheet() {
+            const configuredSections = readSectionConfig();
+            if (!configuredSections) return;
+            hideError(configError);
+            const title = examTitleInput.value.trim();
+            const layout = buildBlankSheetLayout(configuredSections, title);
+            const { markerSize, bubbleRadius } = BLANK_SHEET;
+            const { jsPDF } = window.jspdf;
+            const pdf = new jsPDF({ orientation: 'p', unit: 'mm', format: 'a4' });
+            const font = await preparePdfFont(pdf, [title, ...configuredSections.map(section => section.title)]);
+
+            layout.pages.forEach((page, pageIndex) => {
+                if (pageIndex > 0) pdf.addPage();
+                pdf.setFillColor(0);
+                layout.markers.forEach(marker => pdf.rect(marker.x - markerSize / 2, marker.y - markerSize / 2, markerSize, markerSize, 'F'));
+
+                pdf.setDrawColor(0);
+                pdf.setLineWidth(0.2);
+                page.boxes.forEach(box => {
+                    if (box.height === 0) pdf.line(box.x, box.y, box.x + box.width, box.y); // A line to write on
+                    else pdf.rect(box.x, box.y, box.width, box.height, 'D');
+                });
+                page.texts.forEach(item => {
+                    pdf.setFont(font, item.bold ? "bold" : "normal");
+                    pdf.setFontSize(item.size);
+                    const text = item.maxWidth ? splitPdfText(pdf, item.text, item.maxWidth)[0] : item.text;
+                    drawPdfText(pdf, text, item.x, item.y, { align: item.align || 'left' });
+                });
+
+                // Bubbles carry their letter or digit in light grey, so a filled bubble still reads as dark.
+                pdf.setFont(font, "normal");
+                pdf.setFontSize(5.5);
+                pdf.setTextColor(150);
+                page.bubbles.forEach(bubble => {
+                    pdf.circle(bubble.x, bubble.y, bubbleRadius, 'D');
+                    drawPdfText(pdf, bubble.label, bubble.x, bubble.y + 0.7, { align: 'center' });
+                });
+                pdf.setTextColor(0);
+            });
+
+            pdf.save(`${getFileBaseName(title)}_blank_omr_sheet.pdf`);
+        }
+
+        // --- Scanned Sheet Reading ---
+
+        /**
+         * Reads photos or scans of a filled paper sheet (images, or a PDF rendered with pdf.js) and fills
+         * in the on-screen sheet with the bubbles found, ready to be checked and graded.
+         * @param {Event} event - The file input change event.
+         */
+        async function handleScanUpload(event) {
+            const files = Array.from(event.target.files);
+            scanUpload.value = '';
+            if (files.length === 0) return;
+            hideError(scanError);
+            if (isGraded) {
+                showError(scanError, t('scan.graded'));
+                return;
+            }
+            // Finished without grading ("confirm and proceed") or opened from a response file: the answers are locked.
+            if (omrSheet.querySelector('.question-row input:disabled')) {
+                showError(scanError, t('scan.locked'));
+                return;
+            }
+
+            showStatusMessage(t('scan.reading'), 'success');
+            try {
+                const canvases = [];
+                for (const file of files) canvases.push(...await renderScanFile(file));
+                const layout = buildBlankSheetLayout(sections, examTitle);
+                const result = readScannedSheet(canvases.map(getGrayImage), layout, sections);
+                applyScanResult(result, layout.pages.length);
+            } catch (err) {
+                hideStatusMessage();
+                showError(scanError, err.message || t('scan.failed'));
+            }
+        }
+
+        /**
+         * Draws a scanned file onto canvases, one per page, scaled down to at most MAX_SCAN_DIMENSION pixels.
+         * @param {File} file - An image or a PDF.
+         * @returns {Promise<Array<HTMLCanvasElement>>} The rendered pages.
+         */
+        async function renderScanFile(file) {
+            if (file.name.toLowerCase().endsWith('.pdf')) {
+                if (!window.pdfjsLib) throw new Error(t('scan.pdfUnavailable'));
+                const pdf = await pdfjsLib.getDocument(new Uint8Array(await file.arrayBuffer())).promise;
+                const canvases = [];
+                for (let i = 1; i <= pdf.numPages; i++) {
+                    const page = await pdf.getPage(i);
+                    const unscaled = page.getViewport({ scale: 1 });
+                    const viewport = page.getViewport({ scale: MAX_SCAN_DIMENSION / Math.max(unscaled.width, unscaled.height) });
+                    const canvas = document.createElement('canvas');
+                    canvas.width = Math.round(viewport.width);
+                    canvas.height = Math.round(viewport.height);
+                    await page.render({ canvasContext: canvas.getContext('2d'), viewport }).promise;
+                    canvases.push(canvas);
+                }
+                return canvases;
+            }
+
+            if (!file.type.startsWith('image/')) throw new Error(t('scan.notImage', { name: file.name }));
+            const url = URL.createObjectURL(file);
+            try {
+                const image = await new Promise((resolve, reject) => {
+                    const img = new Image();
+                    img.onload = () => resolve(img);
+                    img.onerror = () => reject(new Error(t('scan.imageFailed', { name: file.name })));
+                    img.src = url;
+                });
+                const scale = Math.min(1, MAX_SCAN_DIMENSION / Math.max(image.naturalWidth, image.naturalHeight));
+                const canvas = document.createElement('canvas');
+                canvas.width = Math.round(image.naturalWidth * scale);
+                canvas.height = Math.round(image.naturalHeight * scale);
+                const context = canvas.getContext('2d');
+                // Transparent areas would read as black, so start from a white page.
+                context.fillStyle = '#fff';
+                context.fillRect(0, 0, canvas.width, canvas.height);
+                context.drawImage(image, 0, 0, canvas.width, canvas.height);
+                return [canvas];
+            } finally {
+                URL.revokeObjectURL(url);
+            }
+        }
+
+        /**
+         * Converts a canvas to a greyscale image.
+         * @param {HTMLCanvasElement} canvas - The rendered page.
+         * @returns {{width: number, height: number, data: Uint8Array}} One brightness value (0-255) per pixel.
+         */
+        function getGrayImage(canvas) {
+            const { data } = canvas.getContext('2d').getImageData(0, 0, canvas.width, canvas.height);
+            const gray = new Uint8Array(canvas.width * canvas.height);
+            for (let i = 0; i < gray.length; i++) {
+                gray[i] = Math.round(0.299 * data[i * 4] + 0.587 * data[i * 4 + 1] + 0.114 * data[i * 4 + 2]);
+            }
+            return { width: canvas.width, height: canvas.height, data: gray };
+        }
+
+        /**
+         * Reads every bubble of a scanned sheet. Each page is lined up by its corner markers, and a bubble
+         * counts as filled when it is clearly darker than a typical (empty) bubble on the same page.
+         * @param {Array<Object>} images - Greyscale pages (see `getGrayImage`), in sheet order.
+         * @param {Object} layout - The sheet layout from `buildBlankSheetLayout`.
+         * @param {Array<Object>} sheetSections - The sections of the sheet.
+         * @returns {{answers: Object, unclear: Array<number>, questionsRead: Array<number>, rollNumber: string, pagesRead: number}}
+         * The answers by question number, questions with more than one bubble filled where only one is allowed,
+         * the questions on the pages that were read, and the roll number.
+         */
+        function readScannedSheet(images, layout, sheetSections) {
+            const pagesRead = Math.min(images.length, layout.pages.length);
+            const filledValues = {}; // Question number -> filled option values
+            const rollDigits = []; // Roll number position -> filled digits
+            const questionsRead = new Set();
+
+            for (let pageIndex = 0; pageIndex < pagesRead; pageIndex++) {
+                const image = images[pageIndex];
+                const threshold = getDarkThreshold(image);
+                const corners = findCornerMarkers(image, threshold);
+                if (!corners) {
+                    throw new Error(t('scan.noCorners', { page: pageIndex + 1 }));
+                }
+                const toImage = computeHomography(layout.markers, corners);
+                const bubbles = layout.pages[pageIndex].bubbles;
+                const fills = bubbles.map(bubble => measureBubbleFill(image, threshold, toImage, bubble));
+                const baseline = [...fills].sort((a, b) => a - b)[Math.floor(fills.length / 2)] || 0;
+
+                bubbles.forEach((bubble, index) => {
+                    if (bubble.question !== undefined) questionsRead.add(bubble.question);
+                    if (fills[index] < FILLED_BUBBLE_THRESHOLD || fills[index] < baseline + 0.25) return;
+                    if (bubble.rollDigit !== undefined) {
+                        (rollDigits[bubble.rollDigit] = rollDigits[bubble.rollDigit] || []).push(bubble.value);
+                    } else {
+                        (filledValues[bubble.question] = filledValues[bubble.question] || []).push(bubble.value);
+                    }
+                });
+            }
+
+            const answers = {};
+            const unclear = [];
+            sheetSections.forEach(section => {
+                for (let i = section.start; i <= section.end; i++) {
+                    const values = filledValues[i];
+                    if (!values) continue;
+                    if (section.type === 'single' && values.length > 1) unclear.push(i);
+                    else if (section.type === 'matrix') {
+                        answers[i] = MATRIX_ROWS.map(rowLetter => values.filter(value => value[0] === rowLetter).map(value => value[1]).sort().join('')).join('/');
+                    } else answers[i] = values.sort().join('');
+                }
+            });
+
+            // Blank positions are skipped; a position with several digits filled reads as "?".
+            const roll = Array.from({ length: BLANK_SHEET.rollDigits }, (_, index) => {
+                const digits = rollDigits[index] || [];
+                if (digits.length === 0) return '';
+                return digits.length === 1 ? digits[0] : '?';
+            }).join('');
+            return { answers, unclear, questionsRead: [...questionsRead], rollNumber: roll, pagesRead };
+        }
+
+        /**
+         * Picks the brightness below which a pixel counts as ink, using Otsu's method on the image histogram.
+         * @param {Object} image - A greyscale image.
+         * @returns {number} The threshold (0-255).
+         */
+        function getDarkThreshold(image) {
+            const histogram = new Array(256).fill(0);
+            image.data.forEach(value => histogram[value]++);
+            const total = image.data.length;
+            const sum = histogram.reduce((acc, count, value) => acc + count * value, 0);
+            let backgroundCount = 0;
+            let backgroundSum = 0;
+            let bestVariance = -1;
+            let threshold = 128;
+            for (let value = 0; value < 256; value++) {
+                backgroundCount += histogram[value];
+                if (backgroundCount === 0 || backgroundCount === total) continue;
+                backgroundSum += value * histogram[value];
+                const darkMean = backgroundSum / backgroundCount;
+                const lightMean = (sum - backgroundSum) / (total - backgroundCount);
+                const variance = backgroundCount * (total - backgroundCount) * (darkMean - lightMean) ** 2;
+                if (variance > bestVariance) {
+                    bestVariance = variance;
+                    threshold = value + 1;
+                }
+            }
+            return threshold;
+        }
+
+        /**
+         * Finds the centres of the four solid corner squares. Each corner of the image is searched for
+         * solid, roughly square blobs of ink; among the largest ones, the blob nearest the corner is used.
+         * Blobs touching the edge of the search area (e.g., a dark table around the paper) are ignored.
+         * @param {Object} image - A greyscale image.
+         * @param {number} threshold - Brightness below which a pixel counts as ink.
+         * @returns {Array<{x: number, y: number}>|null} The centres (top-left, top-right, bottom-left, bottom-right), or null if any is missing.
+         */
+        function findCornerMarkers(image, threshold) {
+            const regionWidth = Math.round(image.width * 0.3);
+            const regionHeight = Math.round(image.height * 0.3);
+            const minArea = (Math.min(image.width, image.height) * 0.012) ** 2;
+            const corners = [
+                { x: 0, y: 0 },
+                { x: image.width, y: 0 },
+                { x: 0, y: image.height },
+                { x: image.width, y: image.height },
+            ];
+            const markers = corners.map(corner => {
+                const left = corner.x === 0 ? 0 : image.width - regionWidth;
+                const top = corner.y === 0 ? 0 : image.height - regionHeight;
+                const candidates = findInkBlobs(image, threshold, left, top, regionWidth, regionHeight).filter(blob => {
+                    const boxWidth = blob.maxX - blob.minX + 1;
+                    const boxHeight = blob.maxY - blob.minY + 1;
+                    const touchesEdge = blob.minX === left || blob.minY === top || blob.maxX === left + regionWidth - 1 || blob.maxY === top + regionHeight - 1;
+                    return !touchesEdge && blob.area >= minArea && blob.area / (boxWidth * boxHeight) >= 0.8 && boxWidth / boxHeight > 0.6 && boxWidth / boxHeight < 1.6;
+                });
+                if (candidates.length === 0) return null;
+                const largestArea = Math.max(...candidates.map(blob => blob.area));
+                const distance = blob => Math.hypot(blob.x - corner.x, blob.y - corner.y);
+                return candidates.filter(blob => blob.area >= largestArea / 2).sort((a, b) => distance(a) - distance(b))[0];
+            });
+            return markers.every(Boolean) ? markers.map(({ x, y }) => ({ x, y })) : null;
+        }
+
+        /**
+         * Groups the ink pixels of a rectangular area into connected blobs.
+         * @param {Object} image - A greyscale image.
+         * @param {number} threshold - Brightness below which a pixel counts as ink.
+         * @param {number} left - The area's left edge.
+         * @param {number} top - The area's top edge.
+         * @param {number} width - The area's width.
+         * @param {number} height - The area's height.
+         * @returns {Array<Object>} Blobs as { area, x, y (centroid), minX, minY, maxX, maxY } in image coordinates.
+         */
+        function findInkBlobs(image, threshold, left, top, width, height) {
+            const visited = new Uint8Array(width * height);
+            const blobs = [];
+            const stack = [];
+            for (let start = 0; start < visited.length; start++) {
+                if (visited[start]) continue;
+                visited[start] = 1;
+                if (image.data[(top + Math.floor(start / width)) * image.width + left + (start % width)] >= threshold) continue;
+
+                const blob = { area: 0, sumX: 0, sumY: 0, minX: Infinity, minY: Infinity, maxX: -Infinity, maxY: -Infinity };
+                stack.push(start);
+                while (stack.length > 0) {
+                    const index = stack.pop();
+                    const x = left + (index % width);
+                    const y = top + Math.floor(index / width);
+                    blob.area++;
+                    blob.sumX += x;
+                    blob.sumY += y;
+                    blob.minX = Math.min(blob.minX, x);
+                    blob.minY = Math.min(blob.minY, y);
+                    blob.maxX = Math.max(blob.maxX, x);
+                    blob.maxY = Math.max(blob.maxY, y);
+                    const localX = index % width;
+                    const neighbours = [];
+                    if (localX > 0) neighbours.push(index - 1);
+                    if (localX < width - 1) neighbours.push(index + 1);
+                    if (index >= width) neighbours.push(index - width);
+                    if (index < visited.length - width) neighbours.push(index + width);
+                    neighbours.forEach(next => {
+                        if (visited[next]) return;
+                        visited[next] = 1;
+                        if (image.data[(top + Math.floor(next / width)) * image.width + left + (next % width)] < threshold) stack.push(next);
+                    });
+                }
+                blobs.push({ area: blob.area, x: blob.sumX / blob.area, y: blob.sumY / blob.area, minX: blob.minX, minY: blob.minY, maxX: blob.maxX, maxY: blob.maxY });
+            }
+            return blobs;
+        }
+
+        /**
+         * Computes the perspective transform that maps four points onto four others.
+         * @param {Array<{x: number, y: number}>} from - The source points (sheet millimetres).
+         * @param {Array<{x: number, y: number}>} to - The matching destination points (image pixels).
+         * @returns {function(number, number): {x: number, y: number}} Maps a source point to its destination.
+         */
+        function computeHomography(from, to) {
+            // Each point pair gives two linear equations in the eight unknowns h0..h7 (h8 = 1).
+            const matrix = [];
+            from.forEach((point, index) => {
+                const { x, y } = point;
+                const { x: u, y: v } = to[index];
+                matrix.push([x, y, 1, 0, 0, 0, -u * x, -u * y, u]);
+                matrix.push([0, 0, 0, x, y, 1, -v * x, -v * y, v]);
+            });
+            // Gaussian elimination with partial pivoting.
+            for (let col = 0; col < 8; col++) {
+                let pivot = col;
+                for (let row = col + 1; row < 8; row++) {
+                    if (Math.abs(matrix[row][col]) > Math.abs(matrix[pivot][col])) pivot = row;
+                }
+                [matrix[col], matrix[pivot]] = [matrix[pivot], matrix[col]];
+                for (let row = 0; row < 8; row++) {
+                    if (row === col) continue;
+                    const factor = matrix[row][col] / matrix[col][col];
+                    for (let k = col; k < 9; k++) matrix[row][k] -= factor * matrix[col][k];
+                }
+            }
+            const h = matrix.map((row, index) => row[8] / row[index]);
+            return (x, y) => {
+                const w = h[6] * x + h[7] * y + 1;
+                return { x: (h[0] * x + h[1] * y + h[2]) / w, y: (h[3] * x + h[4] * y + h[5]) / w };
+            };
+        }
+
+        /**
+         * Measures how much of a bubble's inner area is covered in ink.
+         * @param {Object} image - A greyscale image.
+         * @param {number} threshold - Brightness below which a pixel counts as ink.
+         * @param {function} toImage - Maps sheet millimetres to image pixels.
+         * @param {Object} bubble - A bubble from the sheet layout.
+         * @returns {number} The share of dark pixels, from 0 to 1.
+         */
+        function measureBubbleFill(image, threshold, toImage, bubble) {
+            // Only the inner part is sampled, so the printed outline and small misalignments do not count.
+            const sampleRadius = BLANK_SHEET.bubbleRadius * 0.6;
+            const center = toImage(bubble.x, bubble.y);
+            const edge = toImage(bubble.x + sampleRadius, bubble.y);
+            const radius = Math.max(1, Math.hypot(edge.x - center.x, edge.y - center.y));
+            let dark = 0;
+            let total = 0;
+            for (let y = Math.floor(center.y - radius); y <= Math.ceil(center.y + radius); y++) {
+                for (let x = Math.floor(center.x - radius); x <= Math.ceil(center.x + radius); x++) {
+                    if (x < 0 || y < 0 || x >= image.width || y >= image.height) continue;
+                    if ((x - center.x) ** 2 + (y - center.y) ** 2 > radius ** 2) continue;
+                    total++;
+                    if (image.data[y * image.width + x] < threshold) dark++;
+                }
+            }
+            return total > 0 ? dark / total : 0;
+        }
+
+        /**
+         * Fills the on-screen sheet with the answers read from a scan and reports what could not be read.
+         * @param {Object} result - The result of `readScannedSheet`.
+         * @param {number} pageCount - The number of pages the printed sheet has.
+         */
+        function applyScanResult(result, pageCount) {
+            // Numerical questions have no bubbles, so they are never in `questionsRead` and keep what was typed.
+            result.questionsRead.forEach(questionNumber => {
+                if (getResponse(questionNumber) === (result.answers[questionNumber] || '')) return;
+                setResponse(questionNumber, result.answers[questionNumber] || '');
+                recordAnswerChange(questionNumber);
+            });
+            sections.forEach((section, sectionIndex) => updateAttemptCount(sectionIndex));
+            updatePalette();
+            rollNumber = result.rollNumber;
+            saveAttempt();
+
+            const rollText = rollNumber ? t('scan.roll', { roll: rollNumber }) : '';
+            showStatusMessage(t('scan.read', { count: Object.keys(result.answers).length, roll: rollText }), 'success');
+            const problems = [];
+            if (result.unclear.length > 0) problems.push(t('scan.unclear', { questions: `Q${result.unclear.join(', Q')}` }));
+            if (result.pagesRead < pageCount) problems.push(t('scan.missingPages', { read: result.pagesRead, pages: pageCount }));
+            if (sections.some(section => section.type === 'numerical')) problems.push(t('scan.numerical'));
+            if (problems.length > 0) showError(scanError, problems.join(' '));
+        }
+
+        // --- Batch Grading ---
+
+        /**
+         * Grades a class spreadsheet (.xlsx, .xls or .csv, read with SheetJS) against the current key and
+         * marking scheme. Each row holds a roll number, a name and the candidate's responses.
+         * @param {Event} event - The file input change event.
+         */
+        function handleBatchUpload(event) {
+            const file = event.target.files[0];
+            batchUpload.value = '';
+            if (!file) return;
+            hideError(batchError);
+
+            const manualKey = manualKeyInput.value.trim().toUpperCase();
+            if (manualKey) {
+                const newKey = readManualKey(manualKey, batchError);
+                if (!newKey) return;
+                answerKey = newKey;
+            }
+            if (Object.keys(answerKey).length !== totalQuestions) {
+                showError(batchError, t('batch.keyMissing', { count: Object.keys(answerKey).length, total: totalQuestions }));
+                return;
+            }
+
+            const reader = new FileReader();
+            reader.onload = (e) => {
+                try {
+                    const workbook = XLSX.read(new Uint8Array(e.target.result), { type: 'array' });
+                    const worksheet = workbook.Sheets[workbook.SheetNames[0]];
+                    const rows = XLSX.utils.sheet_to_json(worksheet, { header: 1, raw: false, defval: '' });
+                    gradeBatch(rows);
+                } catch (err) {
+                    showError(batchError, t('batch.failed'));
+                }
+            };
+            reader.readAsArrayBuffer(file);
+        }
+
+        /**
+         * Grades every candidate row, ranks the candidates and shows the class results.
+         * @param {Array<Array<any>>} rows - The spreadsheet rows.
+         */
+        function gradeBatch(rows) {
+            const warnings = [];
+            const candidates = parseBatchRows(rows, warnings).map(candidate => {
+                // Candidates who answered a paper set are graded (and analysed) in the master order.
+                const paperSet = candidate.setCode ? paperSets[candidate.setCode] : null;
+                if (paperSet) candidate.responses = toMasterResponses(candidate.responses, paperSet);
+                const { sectionResults: results, questionResults: evaluations, totals, score } = grade(candidate.responses, answerKey, sections, paperSet);
+                return { ...candidate, sectionResults: results, questionResults: evaluations, totals, score: score.value };
+            });
+            if (candidates.length === 0) {
+                showError(batchError, t('batch.noRows'));
+                return;
+            }
+            batchResults = rankCandidates(candidates);
+            renderBatchResults(warnings);
+        }
+
+        /**
+         * Reads candidate rows: roll number, name, then either a response string in the third column
+         * ("ABCD-B...", one character per question with "-" or a space for blank, or comma-separated
+         * answers such as "A, AC, 12.5, , P/Q/R/S") or one answer per column from the third column on.
+         * A header row is skipped. When its third column is headed "Set", that column holds each candidate's
+         * paper set code (blank for the master paper) and the responses start in the fourth column.
+         * The layout is decided once for the whole file (see `hasAnswerColumns`), so a candidate who
+         * answered a single question is read the same way as everyone else.
+         * @param {Array<Array<any>>} rows - The spreadsheet rows.
+         * @param {Array<string>} warnings - Receives a message for each row with answers that could not be used.
+         * @returns {Array<{rollNumber: string, name: string, setCode: string, responses: Object}>} The candidates,
+         * with responses in their set's numbering.
+         */
+        function parseBatchRows(rows, warnings) {
+            const cellRows = rows.map(row => row.map(cell => String(cell ?? '').trim()));
+            const header = cellRows.length > 0 && cellRows[0].some(cell => /^(roll|name|responses?|answers?|set)\b/i.test(cell)) ? cellRows[0] : null;
+            const hasSetColumn = Boolean(header) && /^set\b/i.test(header[2] || '');
+            const answerStart = hasSetColumn ? 3 : 2;
+            const oneAnswerPerColumn = hasAnswerColumns(cellRows, header, answerStart);
+
+            const candidates = [];
+            cellRows.forEach((cells, rowIndex) => {
+                if (cells === header || cells.every(cell => !cell)) return;
+
+                const setCode = hasSetColumn ? cells[2].toUpperCase() : '';
+                const answerCells = cells.slice(answerStart);
+                const tokens = oneAnswerPerColumn ? answerCells : splitResponseString(answerCells[0] || '');
+                const responses = {};
+                let invalid = 0;
+                tokens.slice(0, totalQuestions).forEach((token, index) => {
+                    if (!token || /^[-_*.]$/.test(token)) return;
+                    const answer = normalizeAnswer(token.toUpperCase(), sections[getSectionIndex(index + 1)]);
+                    if (answer === null) invalid++;
+                    else responses[index + 1] = answer;
+                });
+
+                const candidate = { rollNumber: cells[0], name: cells[1] || '', setCode, responses };
+                const label = candidate.name || candidate.rollNumber || t('batch.row', { row: rowIndex + 1 });
+                if (setCode && !paperSets[setCode]) {
+                    warnings.push(t('batch.unknownSet', { label, code: setCode }));
+                    return;
+                }
+                if (invalid > 0) warnings.push(t('batch.invalidAnswers', { label, count: invalid }));
+                if (tokens.length > totalQuestions) warnings.push(t('batch.extraAnswers', { label, count: tokens.length - totalQuestions, total: totalQuestions }));
+                candidates.push(candidate);
+            });
+            return candidates;
+        }
+
+        /**
+         * Works out whether a class spreadsheet has one answer per column or a response string per row.
+         * A header with more than one answer column heading (e.g., "Q1", "Q2") means one per column, and a
+         * single heading (e.g., "Responses") means a string; without a header, any row with more than one
+         * answer column means one per column.
+         * @param {Array<Array<string>>} cellRows - The rows as trimmed strings.
+         * @param {Array<string>|null} header - The header row, if the file has one.
+         * @param {number} answerStart - The column the answers start in.
+         * @returns {boolean} True for one answer per column.
+         */
+        function hasAnswerColumns(cellRows, header, answerStart) {
+            const lastFilledColumn = cells => cells.reduce((last, cell, index) => (cell ? index : last), -1);
+            if (header && lastFilledColumn(header) >= answerStart) return lastFilledColumn(header) > answerStart;
+            return cellRows.some(cells => cells !== header && lastFilledColumn(cells) > answerStart);
+        }
+
+        /**
+         * Splits a response string into one raw answer per question.
+         * @param {string} text - e.g., "ABCD-B" or "A, AC, 12.5, , P/Q/R/S".
+         * @returns {Array<string>} The raw answers, with "" for blanks.
+         */
+        function splitResponseString(text) {
+            if (/[,;]/.test(text)) return text.split(/[,;]/).map(token => token.trim());
+            return [...text].map(character => character.trim());
+        }
+
+        /**
+         * Ranks candidates by score (equal scores share a rank) and works out each one's percentile:
+         * the percentage of candidates who scored the same or lower.
+         * @param {Array<Object>} candidates - Graded candidates with a `score`.
+         * @returns {Array<Object>} The candidates, best first, with `rank` and `percentile` added.
+         */
+        function rankCandidates(candidates) {
+            const ranked = [...candidates].sort((a, b) => b.score - a.score);
+            ranked.forEach((candidate, index) => {
+                candidate.rank = index > 0 && candidate.score === ranked[index - 1].score ? ranked[index - 1].rank : index + 1;
+                const atOrBelow = ranked.filter(other => other.score <= candidate.score).length;
+                candidate.percentile = Math.round((atOrBelow / ranked.length) * 10000) / 100;
+            });
+            return ranked;
+        }
+
+        /**
+         * Shows the class summary and the per-candidate table.
+         * @param {Array<string>} warnings - Problems found while reading the rows.
+         */
+        function renderBatchResults(warnings) {
+            batchWarningsEl.innerHTML = '';
+            batchWarningsEl.classList.toggle('hidden', warnings.length === 0);
+            warnings.forEach(text => {
+                const line = document.createElement('p');
+                line.textContent = text;
+                batchWarningsEl.appendChild(line);
+            });
+
+            renderBatchTable();
+            batchSection.classList.remove('hidden');
+            batchSection.scrollIntoView({ behavior: 'smooth' });
+        }
+
+        /**
+         * Fills in the class summary, the per-candidate table and the item analysis from `batchResults`.
+         */
+        function renderBatchTable() {
+            const scores = batchResults.map(candidate => candidate.score);
+            const average = scores.reduce((sum, score) => sum + score, 0) / scores.length;
+            const sorted = [...scores].sort((a, b) => a - b);
+            const middle = Math.floor(sorted.length / 2);
+            const median = sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+            batchSummaryEl.textContent = t('batch.summary', {
+                count: batchResults.length,
+                max: batchResults[0].totals.maxScore,
+                highest: sorted[sorted.length - 1],
+                average: average.toFixed(2),
+                median,
+                lowest: sorted[0],
+            });
+
+            batchTableBody.innerHTML = '';
+            batchResults.forEach(candidate => {
+                const row = document.createElement('tr');
+                row.className = 'border-b last:border-0';
+                const { totals } = candidate;
+                [
+                    candidate.rank,
+                    candidate.rollNumber,
+                    candidate.name,
+                    `${candidate.score} / ${totals.maxScore}`,
+                    candidate.percentile.toFixed(2),
+                    `${totals.correct} / ${totals.incorrect} / ${totals.unanswered}`,
+                ].forEach(text => {
+                    const cell = document.createElement('td');
+                    cell.className = 'py-2 pr-2';
+                    cell.textContent = text;
+                    row.appendChild(cell);
+                });
+                const actionCell = document.createElement('td');
+                actionCell.className = 'py-2 text-right';
+                const reportButton = document.createElement('button');
+                reportButton.className = 'text-sm font-semibold text-blue-600 hover:text-blue-800';
+                reportButton.textContent = t('batch.pdf');
+                reportButton.addEventListener('click', () => saveResultAsPDF(buildCandidateReport(candidate)));
+                actionCell.appendChild(reportButton);
+                row.appendChild(actionCell);
+                batchTableBody.appendChild(row);
+            });
+
+            renderItemAnalysis();
+        }
+
+        /**
+         * Builds the PDF report for one candidate of a batch (see `saveResultAsPDF`).
+         * @param {Object} candidate - A graded candidate from `batchResults`.
+         * @returns {Object} The report.
+         */
+        function buildCandidateReport(candidate) {
+            const date = new Date();
+            const rollText = candidate.rollNumber ? `${t('report.rollNumber', { roll: candidate.rollNumber })} | ` : '';
+            // Set answers were moved to the master order for grading, so the report shows the master paper.
+            const setText = candidate.setCode ? `${t('batch.setInMasterOrder', { code: candidate.setCode })} | ` : '';
+            return {
+                fileName: buildReportFileName(candidate.name || candidate.rollNumber || 'candidate', date),
+                title: examTitle,
+                candidateName: candidate.name,
+                date,
+                layout: getReportLayout(),
+                candidate: `${rollText}${setText}${t('batch.rankLine', { rank: candidate.rank, count: batchResults.length, percentile: candidate.percentile.toFixed(2) })}`,
+                isGraded: true,
+                totals: candidate.totals,
+                sectionResults: candidate.sectionResults,
+                questionResults: candidate.questionResults,
+                responses: candidate.responses,
+                key: answerKey,
+                timeTakenText: '',
+                isAutoSubmitted: false,
+                keyAdjustmentLines: buildKeyAdjustmentLines(candidate.questionResults, candidate.responses, answerKey),
+                changeAnalysisLines: [],
+                timeAnalysisLines: [],
+                confidenceAnalysisLines: [],
+                itemAnalysisLines: pdfItemAnalysisCheckbox.checked ? buildItemAnalysisLines() : [],
+                questionTimings: {},
+            };
+        }
+
+        /**
+         * Downloads the class results, one row per candidate, with per-section scores for sectioned sheets.
+         * @param {string} format - 'xlsx' or 'csv'.
+         */
+        function downloadBatchResults(format) {
+            const isSectioned = sections.some(section => section.title);
+            const hasSets = batchResults.some(candidate => candidate.setCode);
+            const header = [
+                t('batch.rank'), t('common.rollNumber'), t('batch.name'), t('common.score'), t('batch.maxScore'), t('batch.percentile'),
+                t('report.correct'), t('report.incorrect'), t('report.unanswered'), t('report.partial'),
+            ];
+            if (hasSets) header.push(t('batch.set'));
+            if (isSectioned) sections.forEach(section => header.push(t('batch.sectionScore', { title: section.title })));
+            const rows = batchResults.map(candidate => {
+                const { totals } = candidate;
+                const row = [candidate.rank, candidate.rollNumber, candidate.name, candidate.score, totals.maxScore, candidate.percentile, totals.correct, totals.incorrect, totals.unanswered, totals.partial];
+                if (hasSets) row.push(candidate.setCode);
+                if (isSectioned) candidate.sectionResults.forEach(result => row.push(hasMarkingScheme(sections) ? result.gained + result.lost : result.correct + result.bonus));
+                return row;
+            });
+            const worksheet = XLSX.utils.aoa_to_sheet([header, ...rows]);
+            const fileName = `${getFileBaseName()}_class_results`;
+            if (format === 'csv') {
+                downloadFile(XLSX.utils.sheet_to_csv(worksheet), `${fileName}.csv`, 'text/csv');
+                return;
+            }
+            const workbook = XLSX.utils.book_new();
+            XLSX.utils.book_append_sheet(workbook, worksheet, 'Results');
+            XLSX.writeFile(workbook, `${fileName}.xlsx`);
+        }
+
+        // --- Item Analysis ---
+
+        /**
+         * Analyses each question (see `analyseItems`) across everyone who took this test with the current answer
+         * key: the candidates of the class spreadsheet and the attempts in the history that were graded against the
+         * same key on the same sheet. History attempts are graded again from their answers in the master order.
+         * @returns {{items: Array<Object>, classCount: number, historyCount: number}} The analysis of each question and
+         * how many candidates and history attempts it covers.
+         */
+        function buildItemAnalysis() {
+            const isSameTest = attempt => Boolean(attempt.masterResponses) && JSON.stringify(attempt.answerKey) === JSON.stringify(answerKey)
+                && JSON.stringify(attempt.sections) === JSON.stringify(sections);
+            const attempts = loadHistory().filter(isSameTest).map(attempt => {
+                const scored = grade(attempt.masterResponses, answerKey, sections, attempt.paperSet);
+                return { score: scored.score.value, responses: attempt.masterResponses, questionResults: scored.questionResults };
+            });
+            return {
+                items: analyseItems([...batchResults, ...attempts], answerKey, sections),
+                classCount: batchResults.length,
+                historyCount: attempts.length,
+            };
+        }
+
+        /**
+         * Explains why the key of an analysed question looks wrong, if it does.
+         * @param {Object} item - An entry from `analyseItems`.
+         * @returns {string} e.g., "Check the key: C was chosen more often than the key.", or '' if nothing was flagged.
+         */
+        function formatKeyFlags(item) {
+            if (item.keyFlags.length === 0) return '';
+            const reasons = item.keyFlags.map(({ reason, answer }) => {
+                if (reason === 'lower-scores') return t('items.flagLowerScores');
+                const label = formatAnswerLabels(answer, item.section);
+                return reason === 'popular-distractor' ? t('items.flagPopularDistractor', { answer: label }) : t('items.flagTopScorers', { answer: label });
+            });
+            return t('items.checkKey', { reasons: reasons.join('; ') });
+        }
+
+        /**
+         * Builds the item analysis section of a PDF: what it covers, then one line per question.
+         * @returns {Array<string>} The lines (empty if there is nothing to analyse).
+         */
+        function buildItemAnalysisLines() {
+            const { items, classCount, historyCount } = buildItemAnalysis();
+            if (items.length === 0) return [];
+            return [t('items.scope', { classCount, historyCount }), ...items.map(formatItemAnalysisLine)];
+        }
+
+        /**
+         * Formats one question's item analysis as a line of text for the PDF.
+         * @param {Object} item - An entry from `analyseItems`.
+         * @returns {string} e.g., "Q5 (key B): 40% correct | A 20%, B 40%, C 30%, D 10%, blank 0% | Top distractor: C (30%) | Point-biserial: 0.35".
+         */
+        function formatItemAnalysisLine(item) {
+            const label = t('items.label', { question: item.questionNumber, key: formatKeyEntryLabels(item.keyEntry, item.section) });
+            if (item.excluded) return t('items.lineNotAnalysed', { label });
+            const parts = [t('items.lineCorrect', { label, percent: Math.round(item.percentCorrect) })];
+            if (item.choices.length > 0) {
+                parts.push([
+                    ...item.choices.map(choice => `${formatOptionLabel(choice.option)} ${Math.round(choice.percent)}%`),
+                    t('items.blank', { percent: Math.round(item.blankPercent) }),
+                ].join(', '));
+            }
+            if (item.topDistractor) {
+                parts.push(t('items.lineTopDistractor', { answer: formatAnswerLabels(item.topDistractor.answer, item.section), percent: Math.round(item.topDistractor.percent) }));
+            }
+            parts.push(t('items.linePointBiserial', { value: item.pointBiserial !== null ? item.pointBiserial.toFixed(2) : '-' }));
+            const flag = formatKeyFlags(item);
+            return `${parts.join(' | ')}${flag ? ` | ${flag}` : ''}`;
+        }
+
+        /**
+         * Shows the item analysis table for the graded class and the matching history attempts.
+         */
+        function renderItemAnalysis() {
+            itemAnalysisBody.innerHTML = '';
+            const { items, classCount, historyCount } = buildItemAnalysis();
+            setTranslatedText(itemAnalysisScopeEl, 'items.scope', { classCount, historyCount });
+            items.forEach(item => {
+                const flag = formatKeyFlags(item);
+                const row = document.createElement('tr');
+                row.className = `border-b last:border-0 ${flag ? 'bg-red-50' : ''}`;
+                const choicesText = item.choices.map(choice => `${formatOptionLabel(choice.option)} ${Math.round(choice.percent)}%`).join(' · ');
+                const blankText = t('items.blank', { percent: Math.round(item.blankPercent) });
+                const cells = item.excluded
+                    ? [item.questionNumber, formatKeyEntryLabels(item.keyEntry, item.section), '-', '-', '-', '-', t('items.notAnalysed')]
+                    : [
+                        item.questionNumber,
+                        formatKeyEntryLabels(item.keyEntry, item.section),
+                        `${Math.round(item.percentCorrect)}%`,
+                        choicesText ? `${choicesText} · ${blankText}` : blankText,
+                        item.topDistractor ? `${formatAnswerLabels(item.topDistractor.answer, item.section)} (${Math.round(item.topDistractor.percent)}%)` : '-',
+                        item.pointBiserial !== null ? item.pointBiserial.toFixed(2) : '-',
+                        flag,
+                    ];
+                cells.forEach((text, index) => {
+                    const cell = document.createElement('td');
+                    cell.className = `py-2 pr-2 ${index === 6 ? 'text-red-700 text-xs' : ''}`;
+                    cell.textContent = text;
+                    row.appendChild(cell);
+                });
+                itemAnalysisBody.appendChild(row);
+            });
+        }
+
+        /**
+         * Builds a PDF report of the class summary and the item analysis, without a drawn sheet.
+         * @returns {Object} The report (see `saveResultAsPDF`).
+         */
+        function buildItemAnalysisReport() {
+            return {
+                heading: t('items.reportHeading'),
+                fileName: `${getFileBaseName()}_item_analysis.pdf`,
+                title: examTitle,
+                date: new Date(),
+                candidate: batchSummaryEl.textContent,
+                isGraded: false,
+                timeTakenText: '',
+                isAutoSubmitted: false,
+                itemAnalysisLines: buildItemAnalysisLines(),
+                includeSheet: false,
+            };
+        }
+
+        // --- Question Paper ---
+
+        /**
+         * Opens a question paper PDF chosen with "Open Question Paper".
+         * @param {Event} event - The file input change event.
+         */
+        function handlePaperUpload(event) {
+            const file = event.target.files[0];
+            if (!file) return;
+            hideError(paperError);
+            if (!window.pdfjsLib) {
+                showError(paperError, t('paper.unavailable'));
+                return;
+            }
+            const reader = new FileReader();
+            reader.onload = (e) => loadQuestionPaper(new Uint8Array(e.target.result), file.name);
+            reader.readAsArrayBuffer(file);
+        }
+
+        /**
+         * Lays out every page of a question paper next to the sheet and makes the question numbers found in
+         * its text clickable. Pages are only drawn while they are near the viewer, so a long paper does not
+         * keep a large bitmap per page in memory.
+         * @param {Uint8Array} data - The PDF file.
+         * @param {string} fileName - Shown as the viewer's title.
+         */
+        async function loadQuestionPaper(data, fileName) {
+            const loadId = ++paperLoadId;
+            releaseQuestionPaper();
+            paperPagesEl.innerHTML = '';
+            paperTitleEl.textContent = fileName;
+            setTranslatedText(paperStatusEl, 'paper.loading');
+            paperViewer.classList.remove('hidden');
+            sheetLayout.classList.add('split-view');
+            try {
+                const pdf = await pdfjsLib.getDocument(data).promise;
+                if (loadId !== paperLoadId) {
+                    if (pdf.destroy) pdf.destroy();
+                    return;
+                }
+                paperDocument = pdf;
+                if ('IntersectionObserver' in window) {
+                    paperObserver = new IntersectionObserver(handlePaperPageVisibility, { root: paperPagesEl, rootMargin: `${PAPER_RENDER_MARGIN} 0px` });
+                }
+                let lastQuestion = 0;
+                for (let pageNumber = 1; pageNumber <= pdf.numPages; pageNumber++) {
+                    const page = await pdf.getPage(pageNumber);
+                    if (loadId !== paperLoadId) return;
+                    lastQuestion = await addPaperPage(page, pageNumber, lastQuestion);
+                }
+                if (loadId !== paperLoadId) return;
+                const found = Object.keys(paperMarkers).length;
+                if (found > 0) setTranslatedText(paperStatusEl, 'paper.found', { pages: pdf.numPages, found });
+                else setTranslatedText(paperStatusEl, 'paper.noneFound', { pages: pdf.numPages });
+                updatePaperLinks();
+                announce(t('paper.opened', { found }));
+            } catch (err) {
+                if (loadId !== paperLoadId) return;
+                closeQuestionPaper();
+                showError(paperError, t('paper.failed'));
+            }
+        }
+
+        /**
+         * Adds a page of the question paper, sized to the page but not yet drawn (see `drawPaperPage`), and lays
+         * a clickable marker over each question number on it.
+         * @param {Object} page - The pdf.js page.
+         * @param {number} pageNumber - The page number, from 1.
+         * @param {number} lastQuestion - The last question number found on earlier pages.
+         * @returns {Promise<number>} The last question number found so far.
+         */
+        async function addPaperPage(page, pageNumber, lastQuestion) {
+            // Markers are placed in percentages of the page, worked out at the largest drawing size.
+            const baseViewport = page.getViewport({ scale: 1 });
+            const viewport = page.getViewport({ scale: PAPER_RENDER_WIDTH / baseViewport.width });
+            const pageEl = document.createElement('div');
+            pageEl.className = 'paper-page border border-slate-200';
+            pageEl.style.aspectRatio = `${viewport.width} / ${viewport.height}`;
+            paperPagesEl.appendChild(pageEl);
+            paperPageViews.set(pageEl, { page, pageNumber, canvas: null, renderTask: null });
+            if (paperObserver) paperObserver.observe(pageEl);
+            else drawPaperPage(pageEl);
+
+            const { items } = await page.getTextContent();
+            const found = findQuestionNumbers(items, lastQuestion);
+            found.forEach(({ questionNumber, item, share }) => {
+                // Text positions are in PDF units from the bottom left; the viewport transform turns them into canvas pixels.
+                const transform = pdfjsLib.Util.transform(viewport.transform, item.transform);
+                const fontHeight = Math.hypot(transform[2], transform[3]);
+                const width = Math.max(item.width * viewport.scale * share, fontHeight);
+                const marker = document.createElement('button');
+                marker.type = 'button';
+                marker.className = 'paper-marker';
+                marker.dataset.question = questionNumber;
+                marker.dataset.i18nAriaLabel = 'paper.markerLabel';
+                marker.dataset.i18nArgs = JSON.stringify({ question: questionNumber });
+                applyTranslations(marker);
+                marker.style.left = `${((transform[4] - 2) / viewport.width) * 100}%`;
+                marker.style.top = `${((transform[5] - fontHeight - 2) / viewport.height) * 100}%`;
+                marker.style.width = `${((width + 4) / viewport.width) * 100}%`;
+                marker.style.height = `${((fontHeight * 1.2 + 4) / viewport.height) * 100}%`;
+                marker.addEventListener('click', () => jumpToQuestion(questionNumber));
+                pageEl.appendChild(marker);
+                paperMarkers[questionNumber] = marker;
+            });
+            return found.length > 0 ? found[found.length - 1].questionNumber : lastQuestion;
+        }
+
+        /**
+         * Draws the question paper pages that come near the viewer and frees the canvas of pages that move away.
+         * @param {Array<IntersectionObserverEntry>} entries - The pages whose distance from the viewer changed.
+         */
+        function handlePaperPageVisibility(entries) {
+            entries.forEach(entry => {
+                if (entry.isIntersecting) drawPaperPage(entry.target);
+                else releasePaperPage(entry.target);
+            });
+        }
+
+        /**
+         * Draws a page of the question paper at the width it is shown at (for the screen's pixel density),
+         * up to `PAPER_RENDER_WIDTH` pixels.
+         * @param {HTMLElement} pageEl - The page element from `addPaperPage`.
+         */
+        function drawPaperPage(pageEl) {
+            const view = paperPageViews.get(pageEl);
+            if (!view || view.canvas) return;
+            const baseViewport = view.page.getViewport({ scale: 1 });
+            const shownWidth = pageEl.clientWidth * (window.devicePixelRatio || 1);
+            const width = Math.min(PAPER_RENDER_WIDTH, Math.ceil(shownWidth) || PAPER_RENDER_WIDTH);
+            const viewport = view.page.getViewport({ scale: width / baseViewport.width });
+            const canvas = document.createElement('canvas');
+            canvas.width = Math.floor(viewport.width);
+            canvas.height = Math.floor(viewport.height);
+            canvas.setAttribute('role', 'img');
+            canvas.dataset.i18nAriaLabel = 'paper.page';
+            canvas.dataset.i18nArgs = JSON.stringify({ page: view.pageNumber });
+            applyTranslations(canvas);
+            pageEl.prepend(canvas);
+            view.canvas = canvas;
+            view.renderTask = view.page.render({ canvasContext: canvas.getContext('2d'), viewport });
+            // A page scrolled away before it finished drawing cancels its render, which rejects the promise.
+            view.renderTask.promise.catch(() => {});
+        }
+
+        /**
+         * Frees the canvas of a question paper page; it is drawn again when it comes back near the viewer.
+         * @param {HTMLElement} pageEl - The page element from `addPaperPage`.
+         */
+        function releasePaperPage(pageEl) {
+            const view = paperPageViews.get(pageEl);
+            if (!view || !view.canvas) return;
+            if (view.renderTask && view.renderTask.cancel) view.renderTask.cancel();
+            // Shrinking the canvas first lets browsers that hold on to removed canvases free the bitmap at once.
+            view.canvas.width = 0;
+            view.canvas.height = 0;
+            view.canvas.remove();
+            view.canvas = null;
+            view.renderTask = null;
+        }
+
+        /**
+         * Stops drawing the open question paper and frees its pages and document.
+         */
+        function releaseQuestionPaper() {
+            if (paperObserver) paperObserver.disconnect();
+            paperObserver = null;
+            paperPageViews.forEach((view, pageEl) => releasePaperPage(pageEl));
+            paperPageViews = new Map();
+            paperMarkers = {};
+            if (paperDocument && paperDocument.destroy) paperDocument.destroy();
+            paperDocument = null;
+        }
+
+        /**
+         * Picks out the question numbers from a page's text items: an item that starts with "12.", "Q12", "Q.12"
+         * or "Question 12". Questions are numbered in order, so a number is only taken when it comes after the
+         * last question found (and not too far after it), which skips numbered options, sub-parts and values.
+         * @param {Array<Object>} items - The pdf.js text items of the page, in reading order.
+         * @param {number} lastQuestion - The last question number found on earlier pages.
+         * @returns {Array<{questionNumber: number, item: Object, share: number}>} The question numbers with their
+         * text item and the share of the item's width taken by the number.
+         */
+        function findQuestionNumbers(items, lastQuestion) {
+            const found = [];
+            let last = lastQuestion;
+            items.forEach(item => {
+                const match = /^\s*(?:(?:Q(?:uestion)?|QUESTION)\s*\.?\s*(\d{1,3})(?!\d)|(\d{1,3})\.(?!\d))/.exec(item.str || '');
+                if (!match) return;
+                const questionNumber = parseInt(match[1] || match[2], 10);
+                if (questionNumber <= last || questionNumber > last + MAX_QUESTION_NUMBER_GAP) return;
+                found.push({ questionNumber, item, share: Math.min(1, match[0].length / item.str.length) });
+                last = questionNumber;
+            });
+            return found;
+        }
+
+        /**
+         * Scrolls the question paper to a question and highlights its number.
+         * @param {number} questionNumber - The question number.
+         */
+        function showQuestionInPaper(questionNumber) {
+            const marker = paperMarkers[questionNumber];
+            if (!marker) return;
+            paperPagesEl.querySelectorAll('.paper-marker.active').forEach(active => active.classList.remove('active'));
+            marker.classList.add('active');
+            const markerRect = marker.getBoundingClientRect();
+            const viewerRect = paperPagesEl.getBoundingClientRect();
+            // Leave the paper where it is when the question is already in view.
+            if (markerRect.top >= viewerRect.top && markerRect.bottom <= viewerRect.bottom) return;
+            paperPagesEl.scrollTo({ top: paperPagesEl.scrollTop + markerRect.top - viewerRect.top - 24, behavior: 'smooth' });
+        }
+
+        /**
+         * Shows the "Paper" button on the questions that were found in the open question paper.
+         */
+        function updatePaperLinks() {
+            for (let i = 1; i <= totalQuestions; i++) {
+                const button = document.querySelector(`#q-row-${i} .paper-link-btn`);
+                if (button) button.classList.toggle('hidden', !paperMarkers[i]);
+            }
+        }
+
+        /**
+         * Closes the question paper and gives the sheet its full width back.
+         */
+        function closeQuestionPaper() {
+            paperLoadId++;
+            releaseQuestionPaper();
+            paperPagesEl.innerHTML = '';
+            paperUpload.value = '';
+            paperViewer.classList.add('hidden');
+            sheetLayout.classList.remove('split-view');
+            updatePaperLinks();
+        }
+
+        // --- Paper Sets ---
+
+        /**
+         * Finds the paper set the candidate picked on the sheet.
+         * @returns {Object|null} The set (see `readPaperSets`), or null for the master paper.
+         */
+        function getSelectedPaperSet() {
+            return paperSets[selectedSetCode] || null;
+        }
+
+        /**
+         * Gets the answer key in the numbering and option letters of the sheet on screen.
+         * @returns {Object} The master key translated to the selected set, or the master key itself.
+         */
+        function getSheetKey() {
+            const paperSet = getSelectedPaperSet();
+            return paperSet ? toSetKey(answerKey, paperSet) : answerKey;
+        }
+
+        /**
+         * Replaces the loaded paper sets and refreshes the set picker on the sheet.
+         * @param {Object} sets - Sets by code (see `readPaperSets`).
+         * @param {string} [code=''] - The set to select; the master paper when it is not one of the sets.
+         */
+        function setPaperSets(sets, code = '') {
+            paperSets = sets;
+            paperSetSelect.innerHTML = '<option value="" data-i18n="sheet.masterPaper"></option>';
+            Object.keys(paperSets).sort().forEach(setCode => {
+                const option = document.createElement('option');
+                option.value = setCode;
+                setTranslatedText(option, 'sheet.setOption', { code: setCode });
+                paperSetSelect.appendChild(option);
+            });
+            applyTranslations(paperSetSelect);
+            paperSetPicker.classList.toggle('hidden', Object.keys(paperSets).length === 0);
+            selectedSetCode = paperSets[code] ? code : '';
+            paperSetSelect.value = selectedSetCode;
+        }
+
+        /**
+         * Records which paper set the candidate is answering, chosen in the picker on the sheet.
+         * @param {string} code - The set code, or '' for the master paper.
+         */
+        function selectPaperSet(code) {
+            selectedSetCode = code;
+            saveAttempt();
+            announce(code ? t('paperSet.answeringSet', { code }) : t('paperSet.answeringMaster'));
+        }
+
+        /**
+         * Loads paper sets from a set mapping sheet (see `readPaperSets`), adding to any sets already loaded.
+         * @param {Array<Array<any>>} rows - The sheet data, including its header row.
+         * @param {string} sourceLabel - Names the source in messages (e.g., "Excel file").
+         */
+        function loadPaperSetRows(rows, sourceLabel) {
+            const { sets, errors } = readPaperSets(rows, sections);
+            if (errors.length > 0) showError(checkError, t('paperSet.notLoaded', { source: sourceLabel, errors: errors.join(' ') }));
+            const codes = Object.keys(sets);
+            if (codes.length === 0) return;
+            setPaperSets({ ...paperSets, ...sets }, selectedSetCode);
+            saveAttempt();
+            showStatusMessage(t(codes.length === 1 ? 'paperSet.loadedOne' : 'paperSet.loadedMany', { codes: codes.join(', '), source: sourceLabel }), 'success');
+        }
+
+        // --- File Handling and Parsing ---
+
+        /**
+         * Checks that a sheet exists before a key or set mapping is read: their entries are checked against the
+         * sheet's questions, so without one every entry would be "not on sheet".
+         * @returns {boolean} True if there is a sheet; otherwise the reason is shown.
+         */
+        function hasSheetForKey() {
+            if (totalQuestions > 0) return true;
+            showError(checkError, t('check.noSheet'));
+            return false;
+        }
+
+        /**
+         * Handles the file upload event and directs the file to the correct parser. In spreadsheets, set
+         * mapping sheets (see `isPaperSetRows`) load paper sets and the first other sheet is the answer key.
+         * @param {Event} event - The file input change event.
+         */
+        function handleFileUpload(event) {
+            const file = event.target.files[0];
+            if (!file) return;
+            if (!hasSheetForKey()) {
+                fileUpload.value = '';
+                return;
+            }
+            const reader = new FileReader();
+            const extension = file.name.split('.').pop().toLowerCase();
+
+            if (extension === 'xlsx' || extension === 'xls') {
+                reader.onload = (e) => {
+                    try {
+                        const data = new Uint8Array(e.target.result);
+                        const workbook = XLSX.read(data, { type: 'array' });
+                        const sheets = workbook.SheetNames.map(name => XLSX.utils.sheet_to_json(workbook.Sheets[name], { header: 1 }));
+                        sheets.filter(isPaperSetRows).forEach(rows => loadPaperSetRows(rows, t('source.excel')));
+                        const keyRows = sheets.find(rows => !isPaperSetRows(rows));
+                        if (keyRows) previewAnswerKey(parseKey(keyRows, sections), t('source.excel'));
+                    } catch (err) {
+                        showError(checkError, t('file.excelFailed'));
+                    }
+                };
+                reader.readAsArrayBuffer(file);
+            } else if (extension === 'csv' || extension === 'tsv') {
+                reader.onload = (e) => {
+                    const rows = parseDelimitedText(e.target.result, extension === 'tsv' ? '\t' : ',');
+                    const sourceLabel = t('source.delimited', { format: extension.toUpperCase() });
+                    if (isPaperSetRows(rows)) loadPaperSetRows(rows, sourceLabel);
+                    else previewAnswerKey(parseKey(rows, sections), sourceLabel);
+                };
+                reader.readAsText(file);
+            } else if (extension === 'json') {
+                reader.onload = (e) => {
+                    try {
+                        previewAnswerKey(parseKey(JSON.parse(e.target.result), sections), t('source.json'));
+                    } catch (err) {
+                        showError(checkError, t('file.jsonFailed'));
+                    }
+                };
+                reader.readAsText(file);
+            } else if (extension === 'txt') {
+                reader.onload = (e) => previewAnswerKey(parseKey(e.target.result, sections), t('source.text'));
+                reader.readAsText(file);
+            } else if (extension === 'pdf') {
+                reader.onload = (e) => {
+                    const typedarray = new Uint8Array(e.target.result);
+                    pdfjsLib.getDocument(typedarray).promise.then(pdf => {
+                        let pagesPromises = [];
+                        for (let i = 1; i <= pdf.numPages; i++) {
+                            pagesPromises.push(pdf.getPage(i).then(page => page.getTextContent()));
+                        }
+                        return Promise.all(pagesPromises);
+                    }).then(textContents => {
+                        let fullText = '';
+                        textContents.forEach(content => {
+                            content.items.forEach(item => { fullText += item.str + ' '; });
+                            fullText += '\n';
+                        });
+                        previewAnswerKey(parseKey(fullText, sections), t('source.pdf'));
+                    }).catch(() => showError(checkError, t('file.pdfFailed')));
+                };
+                reader.readAsArrayBuffer(file);
+            } else {
+                showError(checkError, t('file.unsupported'));
+            }
+        }
+
+        /**
+         * Shows a parsed key in the preview modal. The key only replaces `answerKey` once the user confirms.
+         * @param {Object} preview - The result of `parseKey`.
+         * @param {string} sourceLabel - Names the source in messages (e.g., "Excel file").
+         */
+        function previewAnswerKey(preview, sourceLabel) {
+            const validCount = Object.keys(preview.key).length;
+            if (validCount === 0) {
+                showError(checkError, t('keyPreview.noAnswers', { source: sourceLabel }));
+                return;
+            }
+            hideError(checkError);
+            pendingKey = preview.key;
+
+            const summaryLines = [t('keyPreview.found', { count: validCount, total: totalQuestions, source: sourceLabel }), ...preview.warnings];
+            keyPreviewSummaryEl.innerHTML = '';
+            summaryLines.forEach((text, index) => {
+                const line = document.createElement('p');
+                line.textContent = text;
+                if (index > 0) line.className = 'text-amber-700';
+                keyPreviewSummaryEl.appendChild(line);
+            });
+
+            const statusLabels = {
+                ok: [t('keyPreview.ok'), 'text-green-700'],
+                duplicate: [t('keyPreview.duplicate'), 'text-amber-700'],
+                'out-of-range': [t('keyPreview.outOfRange'), 'text-red-600'],
+                invalid: [t('keyPreview.invalid'), 'text-red-600'],
+            };
+            keyPreviewBody.innerHTML = '';
+            preview.rows.slice().sort((a, b) => a.questionNumber - b.questionNumber).forEach(row => {
+                const tableRow = document.createElement('tr');
+                tableRow.className = 'border-t';
+                [row.questionNumber, row.answer ? formatKeyEntryLabels(row.answer, sections[getSectionIndex(row.questionNumber)]) : row.raw, statusLabels[row.status][0]].forEach((text, index) => {
+                    const cell = document.createElement('td');
+                    cell.className = `py-1 px-3 ${index === 2 ? statusLabels[row.status][1] : ''}`;
+                    cell.textContent = text;
+                    tableRow.appendChild(cell);
+                });
+                keyPreviewBody.appendChild(tableRow);
+            });
+            openModal(keyPreviewModal, cancelPendingKey);
+        }
+
+        /**
+         * Replaces the answer key with the previewed one.
+         */
+        function applyPendingKey() {
+            closeModal(keyPreviewModal);
+            if (!pendingKey) return;
+            answerKey = pendingKey;
+            pendingKey = null;
+            manualKeyInput.value = '';
+            hideError(checkError);
+            showStatusMessage(t('check.keyLoaded', { count: Object.keys(answerKey).length }), 'success');
+            saveAttempt();
+        }
+
+        /**
+         * Discards the previewed key, leaving the current answer key unchanged.
+         */
+        function cancelPendingKey() {
+            closeModal(keyPreviewModal);
+            pendingKey = null;
+            fileUpload.value = '';
+        }
+
+        // --- Keyboard and Accessibility ---
+
+        /**
+         * Keyboard answering on the sheet. Letters A-E or digits 1-5 mark an option: single-correct
+         * questions then move on, multiple-correct ones toggle the option and stay. Backspace or Delete
+         * clears; the arrow keys, J/K and Enter move between questions. Typing in a numerical answer box
+         * is left alone apart from Up/Down and Enter.
+         * @param {KeyboardEvent} event - The keydown event from inside the sheet.
+         */
+        function handleSheetKeydown(event) {
+            if (event.ctrlKey || event.metaKey || event.altKey) return;
+            const row = event.target.closest('.question-row');
+            if (!row) return;
+            const questionNumber = parseInt(row.id.replace('q-row-', ''), 10);
+            const section = sections[getSectionIndex(questionNumber)];
+            const isTyping = event.target.type === 'text';
+            const key = event.key;
+
+            let step = 0;
+            // Enter on a button in the row (Review, Clear, a confidence tag) presses the button instead.
+            if (key === 'ArrowDown' || (key === 'Enter' && event.target.tagName !== 'BUTTON')) step = 1;
+            else if (key === 'ArrowUp') step = -1;
+            else if (!isTyping && (key === 'ArrowRight' || key === 'j' || key === 'J')) step = 1;
+            else if (!isTyping && (key === 'ArrowLeft' || key === 'k' || key === 'K')) step = -1;
+            if (step !== 0) {
+                // Also stops the browser moving the selection within a radio group.
+                event.preventDefault();
+                focusQuestion(questionNumber + step);
+                return;
+            }
+            if (isTyping) return;
+
+            if (key === 'Backspace' || key === 'Delete') {
+                event.preventDefault();
+                if (isGraded || !getResponse(questionNumber) || row.querySelector('input:disabled')) return;
+                clearSelection(questionNumber);
+                announce(t('keyboard.cleared', { question: questionNumber }));
+                return;
+            }
+
+            if (section.type !== 'single' && section.type !== 'multiple') return;
+            // The labels shown on the sheet (e.g., क-ङ) work as well as A-E and 1-5.
+            const optionIndex = /^[a-e]$/i.test(key) ? key.toUpperCase().charCodeAt(0) - 65 : /^[1-5]$/.test(key) ? parseInt(key, 10) - 1 : OPTION_LABEL_SETS[optionLabels].indexOf(key);
+            if (optionIndex < 0 || optionIndex >= section.optionCount) return;
+            event.preventDefault();
+            const input = document.getElementById(`q${questionNumber}-opt${OPTION_LETTERS[optionIndex]}`);
+            if (!input || input.disabled) return;
+            input.checked = section.type === 'multiple' ? !input.checked : true;
+            input.dispatchEvent(new Event('change', { bubbles: true }));
+            const response = getResponse(questionNumber);
+            announce(t('keyboard.answer', { question: questionNumber, answer: response ? formatAnswerLabels(response, section) : t('keyboard.noAnswer') }));
+            if (section.type === 'single') focusQuestion(questionNumber + 1);
+            else input.focus();
+        }
+
+        /**
+         * Page-wide shortcuts: focus stays inside an open modal, and Escape closes it; otherwise,
+         * while a sheet is shown, G opens "go to question" and T reads out the timer.
+         * @param {KeyboardEvent} event - The keydown event.
+         */
+        function handleGlobalKeydown(event) {
+            if (openModalState) {
+                trapModalFocus(event);
+                return;
+            }
+            if (event.ctrlKey || event.metaKey || event.altKey || omrContainer.classList.contains('hidden')) return;
+            if (event.target.closest('input[type="text"], input[type="number"], textarea, select')) return;
+            if (event.key === 'g' || event.key === 'G') {
+                event.preventDefault();
+                goToInput.focus();
+                goToInput.select();
+            } else if (event.key === 't' || event.key === 'T') {
+                announce(t(examDurationMs === null ? 'keyboard.timeElapsed' : 'keyboard.timeLeft', { time: timerDisplay.textContent }));
+            }
+        }
+
+        /**
+         * Moves focus to a question: its chosen option, else its first usable input, else the row itself
+         * (once the sheet is locked). Out-of-range numbers are clamped to the first or last question.
+         * @param {number} questionNumber - The question to focus.
+         */
+        function focusQuestion(questionNumber) {
+            const target = Math.min(Math.max(questionNumber, 1), totalQuestions);
+            const row = document.getElementById(`q-row-${target}`);
+            if (!row) return;
+            const focusTarget = row.querySelector('input:checked:not(:disabled)') || row.querySelector('input:not(:disabled)') || row;
+            focusTarget.focus({ preventScroll: true });
+            row.scrollIntoView({ block: 'nearest' });
+        }
+
+        /**
+         * Handles the "go to question" box.
+         * @param {string} value - The question number as typed.
+         */
+        function goToQuestion(value) {
+            const questionNumber = parseInt(value, 10);
+            if (isNaN(questionNumber) || questionNumber < 1 || questionNumber > totalQuestions) {
+                announce(t('keyboard.goToRange', { max: totalQuestions }));
+                goToInput.select();
+                return;
+            }
+            goToInput.value = '';
+            focusQuestion(questionNumber);
+        }
+
+        /**
+         * Reads a message out to screen readers through the hidden live region.
+         * @param {string} message - The message.
+         */
+        function announce(message) {
+            // Clearing first makes a repeated message be read again.
+            srAnnouncer.textContent = '';
+            setTimeout(() => srAnnouncer.textContent = message, 50);
+        }
+
+        /**
+         * Shows a modal and moves focus into it; focus is kept inside until it closes.
+         * @param {HTMLElement} modal - The modal overlay.
+         * @param {Function} onEscape - What pressing Escape does (normally the modal's cancel action).
+         */
+        function openModal(modal, onEscape) {
+            openModalState = { modal, onEscape, returnFocus: document.activeElement };
+            modal.classList.remove('hidden');
+            const focusable = getFocusableElements(modal);
+            if (focusable.length > 0) focusable[0].focus();
+        }
+
+        /**
+         * Hides a modal and returns focus to where it was before the modal opened.
+         * @param {HTMLElement} modal - The modal overlay.
+         */
+        function closeModal(modal) {
+            modal.classList.add('hidden');
+            if (!openModalState || openModalState.modal !== modal) return;
+            const { returnFocus } = openModalState;
+            openModalState = null;
+            if (returnFocus && document.contains(returnFocus) && typeof returnFocus.focus === 'function') returnFocus.focus();
+        }
+
+        /**
+         * Keeps Tab and Shift+Tab cycling within the open modal, and closes it on Escape.
+         * @param {KeyboardEvent} event - The keydown event.
+         */
+        function trapModalFocus(event) {
+            if (event.key === 'Escape') {
+                event.preventDefault();
+                openModalState.onEscape();
+                return;
+            }
+            if (event.key !== 'Tab') return;
+            const focusable = getFocusableElements(openModalState.modal);
+            if (focusable.length === 0) return;
+            const first = focusable[0];
+            const last = focusable[focusable.length - 1];
+            const isOutside = !openModalState.modal.contains(document.activeElement);
+            if (event.shiftKey && (document.activeElement === first || isOutside)) {
+                event.preventDefault();
+                last.focus();
+            } else if (!event.shiftKey && (document.activeElement === last || isOutside)) {
+                event.preventDefault();
+                first.focus();
+            }
+        }
+
+        /**
+         * Lists the visible, enabled elements inside a container that can take keyboard focus.
+         * @param {HTMLElement} container - The container.
+         * @returns {Array<HTMLElement>} The elements in document order.
+         */
+        function getFocusableElements(container) {
+            return Array.from(container.querySelectorAll('button, [href], input, select, textarea, [tabindex]:not([tabindex="-1"])'))
+                .filter(element => !element.disabled && !element.closest('.hidden'));
+        }
+
+        // --- Offline Support ---
+
+        /**
+         * Registers the service worker that caches the app and its libraries for offline use (see sw.js).
+         * Service workers need http(s), so opening index.html straight from disk simply runs without one.
+         */
+        function registerServiceWorker() {
+            if (!('serviceWorker' in navigator) || !/^https?:$/.test(location.protocol)) return;
+            navigator.serviceWorker.register('sw.js').catch(() => reportFailedAsset(t('asset.offlineCache')));
+        }
+
+        /**
+         * Reports the bundled Inter font if it failed to load; fonts do not raise load errors on the page.
+         */
+        function checkBundledFont() {
+            if (!document.fonts) return;
+            document.fonts.load("1em 'Inter'")
+                .then(faces => { if (faces.length === 0) reportFailedAsset(t('asset.interFont')); })
+                .catch(() => reportFailedAsset(t('asset.interFont')));
+        }
+
+        // --- Language ---
+
+        /**
+         * Picks the language and option labels saved on this device (or the browser's language on a first
+         * visit), fills the pickers in the header and translates the page.
+         */
+        function initLanguage() {
+            let language = null;
+            let labels = null;
+            try {
+                language = localStorage.getItem(LANGUAGE_STORAGE_KEY);
+                labels = localStorage.getItem(OPTION_LABELS_STORAGE_KEY);
+            } catch (err) {
+                // Storage can be blocked (e.g., in private windows); the defaults are used instead.
+            }
+            if (!LANGUAGES[language]) language = (navigator.language || '').toLowerCase().startsWith('hi') ? 'hi' : 'en';
+            setLanguage(language);
+            if (OPTION_LABEL_SETS[labels]) optionLabels = labels;
+
+            Object.entries(LANGUAGES).forEach(([code, { name }]) => {
+                const option = document.createElement('option');
+                option.value = code;
+                option.textContent = name;
+                languageSelect.appendChild(option);
+            });
+            Object.entries(OPTION_LABEL_SETS).forEach(([set, setLabels]) => {
+                const option = document.createElement('option');
+                option.value = set;
+                option.textContent = setLabels.slice(0, 4).join(' ');
+                optionLabelsSelect.appendChild(option);
+            });
+            translatePage();
+        }
+
+        /**
+         * Switches the page to another language and remembers the choice.
+         * @param {string} language - A key of `LANGUAGES`, e.g., "hi".
+         */
+        function changeLanguage(language) {
+            language = setLanguage(language);
+            try {
+                localStorage.setItem(LANGUAGE_STORAGE_KEY, language);
+            } catch (err) {
+                // Storage can be blocked (e.g., in private windows); the choice then lasts for this visit only.
+            }
+            translatePage();
+            refreshRenderedText();
+        }
+
+        /**
+         * Switches how options are labelled on the sheet and in reports, and remembers the choice.
+         * @param {string} set - A key of `OPTION_LABEL_SETS`, e.g., "devanagari".
+         */
+        function changeOptionLabels(set) {
+            if (!OPTION_LABEL_SETS[set]) return;
+            optionLabels = set;
+            try {
+                localStorage.setItem(OPTION_LABELS_STORAGE_KEY, set);
+            } catch (err) {
+                // Storage can be blocked (e.g., in private windows); the choice then lasts for this visit only.
+            }
+            translatePage();
+            refreshRenderedText();
+        }
+
+        /**
+         * Translates every tagged element on the page (see `applyTranslations`) and the document title.
+         */
+        function translatePage() {
+            document.documentElement.lang = getLanguage();
+            document.title = t('page.title');
+            languageSelect.value = getLanguage();
+            optionLabelsSelect.value = optionLabels;
+            applyTranslations();
+        }
+
+        /**
+         * Rebuilds the text that is worked out from the attempt rather than tagged in the page: section
+         * headers, the palette, the results, the history, the class results and the resume banner.
+         */
+        function refreshRenderedText() {
+            sections.forEach((section, sectionIndex) => {
+                const metaEl = document.querySelector(`#section-header-${sectionIndex} .section-meta`);
+                if (metaEl) metaEl.textContent = describeSection(section);
+                updateAttemptCount(sectionIndex);
+            });
+            if (totalQuestions > 0) updatePalette();
+            if (isGraded) renderResults();
+            if (!historySection.classList.contains('hidden')) renderHistory();
+            if (batchResults.length > 0) renderBatchTable();
+            if (!resumeBanner.classList.contains('hidden')) checkForSavedAttempt();
+        }
+
+        /**
+         * Fills in the text of elements tagged with message keys: `data-i18n` (the text), and
+         * `data-i18n-placeholder`, `data-i18n-aria-label` and `data-i18n-title` (those attributes).
+         * Values for the placeholders come from `data-i18n-args` (see `readI18nArgs`), and
+         * `data-option-label` elements show an option in the chosen labels (see `formatOptionLabel`).
+         * @param {ParentNode} [root=document] - The element (or document) to translate, including itself.
+         */
+        function applyTranslations(root = document) {
+            const elements = root.querySelectorAll('[data-i18n], [data-i18n-placeholder], [data-i18n-aria-label], [data-i18n-title], [data-option-label]');
+            [...(root.matches ? [root] : []), ...elements].forEach(element => {
+                const { i18n, i18nPlaceholder, i18nAriaLabel, i18nTitle, optionLabel } = element.dataset;
+                if (!i18n && !i18nPlaceholder && !i18nAriaLabel && !i18nTitle && !optionLabel) return;
+                const args = readI18nArgs(element);
+                if (i18n) element.textContent = t(i18n, args);
+                if (i18nPlaceholder) element.placeholder = t(i18nPlaceholder, args);
+                if (i18nAriaLabel) element.setAttribute('aria-label', t(i18nAriaLabel, args));
+                if (i18nTitle) element.title = t(i18nTitle, args);
+                if (optionLabel) element.textContent = formatOptionLabel(optionLabel);
+            });
+        }
+
+        /**
+         * Reads the placeholder values of a tagged element. A value may itself be a message, as
+         * { "key": "questionType.single" }, or an option shown in the chosen labels, as { "option": "A" }.
+         * @param {HTMLElement} element - The tagged element.
+         * @returns {Object} The values for `t`.
+         */
+        function readI18nArgs(element) {
+            if (!element.dataset.i18nArgs) return {};
+            let args;
+            try {
+                args = JSON.parse(element.dataset.i18nArgs);
+            } catch (err) {
+                return {};
+            }
+            Object.entries(args).forEach(([name, value]) => {
+                if (value && typeof value === 'object') args[name] = value.key ? t(value.key) : formatOptionLabel(value.option);
+            });
+            return args;
+        }
+
+        /**
+         * Sets an element's text from a message and tags it, so it is translated again when the language changes.
+         * @param {HTMLElement} element - The element.
+         * @param {string} key - The message key.
+         * @param {Object} [args] - Values for the message's placeholders.
+         */
+        function setTranslatedText(element, key, args) {
+            element.dataset.i18n = key;
+            if (args) element.dataset.i18nArgs = JSON.stringify(args);
+            else delete element.dataset.i18nArgs;
+            element.textContent = t(key, args);
+        }
+
+        /**
+         * Shows an option letter in the chosen labels, e.g., "B" as "2" or "ख".
+         * @param {string} letter - An option letter, A-E.
+         * @returns {string} The label.
+         */
+        function formatOptionLabel(letter) {
+            return OPTION_LABEL_SETS[optionLabels][OPTION_LETTERS.indexOf(letter)] || letter;
+        }
+
+        /**
+         * Shows an option answer (e.g., "AC") in the chosen labels. Numbers are separated by commas,
+         * so "13" cannot be mistaken for a thirteenth option. Other answers are returned as they are.
+         * @param {string} answer - The answer as stored.
+         * @param {Object} [section] - The section of the question.
+         * @returns {string} The answer as shown.
+         */
+        function formatAnswerLabels(answer, section) {
+            if (!section || (section.type !== 'single' && section.type !== 'multiple')) return answer;
+            return [...answer].map(formatOptionLabel).join(optionLabels === 'numbers' ? ',' : '');
+        }
+
+        /**
+         * Formats a key entry for display (see `formatKeyEntry`) with its options in the chosen labels.
+         * @param {string} keyEntry - The canonical key entry.
+         * @param {Object} [section] - The section of the question.
+         * @returns {string} The key entry as shown.
+         */
+        function formatKeyEntryLabels(keyEntry, section) {
+            if (keyEntry === BONUS_KEY || keyEntry === DROPPED_KEY) return formatKeyEntry(keyEntry);
+            return formatKeyEntry(keyEntry.split(ALTERNATIVE_SEPARATOR).map(answer => formatAnswerLabels(answer, section)).join(ALTERNATIVE_SEPARATOR));
         }
 
         // --- UI Helper Functions ---
@@ -538,8 +4503,8 @@ async function saveResultAsPDF() {
             statusMessageEl.classList.add('hidden');
         }
         function showFormatInfo() {
-            formatModal.classList.remove('hidden');
+            openModal(formatModal, hideFormatInfo);
         }
         function hideFormatInfo() {
-            formatModal.classList.add('hidden');
+            closeModal(formatModal);
         }
@@ -0,0 +1,72 @@
+/**
+ * @project Mock OMR Sheet - Service Worker
+ * @description Caches the app and its vendored libraries so the whole generate, fill, grade and PDF
+ * flow works without an internet connection, and the app can be installed.
+ */
+
+// Bump the version whenever the list below changes, so old caches are cleared on activation.
+const CACHE_NAME = 'mock-omr-v3';
+
+// Everything the app needs to run offline. All paths are relative to this file.
+const APP_ASSETS = [
+    './',
+    'index.html',
+    'style.css',
+    'script.js',
+    'engine.js',
+    'i18n.js',
+    'locales/en.js',
+    'locales/hi.js',
+    'manifest.webmanifest',
+    'icons/icon.svg',
+    'icons/icon-maskable.svg',
+    'vendor/tailwindcss/tailwindcss.js',
+    'vendor/xlsx/xlsx.full.min.js',
+    'vendor/pdfjs/pdf.min.js',
+    'vendor/pdfjs/pdf.worker.min.js',
+    'vendor/jspdf/jspdf.umd.min.js',
+    'vendor/inter/inter-latin-400-normal.woff2',
+    'vendor/inter/inter-latin-500-normal.woff2',
+    'vendor/inter/inter-latin-600-normal.woff2',
+    'vendor/inter/inter-latin-700-normal.woff2',
+    'vendor/noto-sans-devanagari/NotoSansDevanagari_400Regular.ttf',
+    'vendor/noto-sans-devanagari/NotoSansDevanagari_700Bold.ttf',
+];
+
+self.addEventListener('install', event => {
+    event.waitUntil(caches.open(CACHE_NAME).then(cache => cache.addAll(APP_ASSETS)).then(() => self.skipWaiting()));
+});
+
+self.addEventListener('activate', event => {
+    event.waitUntil(caches.keys()
+        .then(names => Promise.all(names.filter(name => name !== CACHE_NAME).map(name => caches.delete(name))))
+        .then(() => self.clients.claim()));
+});
+
+/**
+ * Vendored libraries never change for a given version, so they are served from the cache first.
+ * The app's own files are fetched fresh when online, so updates show up, and fall back to the cache offline.
+ * A request that can be answered by neither gets a 503, which the page reports as a failed asset.
+ */
+self.addEventListener('fetch', event => {
+    const url = new URL(event.request.url);
+    if (event.request.method !== 'GET' || url.origin !== self.location.origin) return;
+
+    const fromCache = () => caches.match(event.request, { ignoreSearch: true })
+        .then(cached => cached || (event.request.mode === 'navigate' ? caches.match('index.html') : undefined));
+    const unavailable = () => new Response(`${url.pathname} is not available offline.`, { status: 503, statusText: 'Offline' });
+
+    if (url.pathname.includes('/vendor/')) {
+        event.respondWith(fromCache().then(cached => cached || fetch(event.request)).catch(unavailable));
+        return;
+    }
+    event.respondWith(fetch(event.request)
+        .then(response => {
+            if (response.ok) {
+                const copy = response.clone();
+                caches.open(CACHE_NAME).then(cache => cache.put(event.request, copy));
+            }
+            return response;
+        })
+        .catch(() => fromCache().then(cached => cached || unavailable())));
+});
@@ -0,0 +1,319 @@
+/**
+ * @project Mock OMR Sheet - Grading Engine Tests
+ * @description Run with `npm test` (Node 18 or later, no dependencies).
+ */
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    analyseItems, buildSection, describeScore, evaluateResponse, formatKeyEntry, grade, isPaperSetRows, normalizeKeyEntry,
+    parseDelimitedText, parseKey, parseManualKey, readKeyText, readFileRecords, readPaperSets, readSheetSections, readStoredPaperSets,
+    skipByConfidence, summariseConfidence, toMasterResponses, toSetKey, toSetNumbering,
+} from '../engine.js';
+
+// A sheet with one section of each question type, numbered consecutively like the section builder does.
+const single = buildSection({ title: '', start: 1, count: 4 });
+const markedSingle = buildSection({ title: 'Physics', start: 1, count: 4, correct: '4', wrong: '1' });
+const multiple = buildSection({ title: 'Multi', start: 5, count: 2, type: 'multiple', correct: '4', wrong: '-2', partial: '1' });
+const numerical = buildSection({ title: 'Num', start: 7, count: 2, type: 'numerical', correct: '3' });
+const matrix = buildSection({ title: 'Match', start: 9, count: 1, type: 'matrix', optionCount: 4, correct: '8', wrong: '-2', partial: '2' });
+const mixedSheet = [markedSingle, multiple, numerical, matrix];
+
+test('without a marking scheme the score is the number right out of the number of questions', () => {
+    const result = grade({ 1: 'A', 2: 'C', 3: 'D' }, { 1: 'A', 2: 'B', 3: 'D', 4: 'C' }, [single]);
+    assert.equal(result.totals.correct, 2);
+    assert.equal(result.totals.incorrect, 1);
+    assert.equal(result.totals.unanswered, 1);
+    assert.deepEqual(result.score, { value: 2, score: '2 / 4', outOf: '' });
+});
+
+test('negative marks are deducted for wrong answers, and positive wrong marks are read as negative', () => {
+    assert.equal(markedSingle.wrongMarks, -1);
+    const result = grade({ 1: 'A', 2: 'C', 3: 'D' }, { 1: 'A', 2: 'B', 3: 'D', 4: 'C' }, [markedSingle]);
+    assert.equal(result.totals.gained, 8);
+    assert.equal(result.totals.lost, -1);
+    assert.deepEqual(result.score, { value: 7, score: '7', outOf: 'out of 16' });
+    assert.deepEqual(result.questionResults[4], { status: 'unanswered', marks: 0 });
+});
+
+test('a net score can go below zero', () => {
+    const result = grade({ 1: 'B', 2: 'A' }, { 1: 'A', 2: 'B', 3: 'C', 4: 'D' }, [markedSingle]);
+    assert.equal(result.score.value, -2);
+});
+
+test('multiple correct questions earn partial marks per correct option, and lose marks for any wrong option', () => {
+    assert.deepEqual(evaluateResponse(multiple, 'AC', 'AC'), { status: 'correct', marks: 4 });
+    assert.deepEqual(evaluateResponse(multiple, 'A', 'ACD'), { status: 'partial', marks: 1 });
+    assert.deepEqual(evaluateResponse(multiple, 'AB', 'ACD'), { status: 'incorrect', marks: -2 });
+    const noPartial = buildSection({ title: '', start: 1, count: 1, type: 'multiple', correct: '4' });
+    assert.deepEqual(evaluateResponse(noPartial, 'A', 'AC'), { status: 'incorrect', marks: 0 });
+});
+
+test('numerical answers match a value or an inclusive range, ignoring floating point noise', () => {
+    assert.equal(evaluateResponse(numerical, '12.50', '12.5').status, 'correct');
+    assert.equal(evaluateResponse(numerical, '0.30000000000000004', '0.3').status, 'correct');
+    assert.equal(evaluateResponse(numerical, '12', '10-12').status, 'correct');
+    assert.equal(evaluateResponse(numerical, '12.01', '10-12').status, 'incorrect');
+    assert.equal(evaluateResponse(numerical, 'abc', '10').status, 'incorrect');
+});
+
+test('matrix questions earn partial marks per fully matched row when no pairing is wrong', () => {
+    assert.deepEqual(evaluateResponse(matrix, 'PQ/R/S/P', 'PQ/R/S/P'), { status: 'correct', marks: 8 });
+    assert.deepEqual(evaluateResponse(matrix, 'PQ/R//', 'PQ/R/S/P'), { status: 'partial', marks: 4 });
+    assert.deepEqual(evaluateResponse(matrix, 'PQ/S//', 'PQ/R/S/P'), { status: 'incorrect', marks: -2 });
+});
+
+test('"attempt any N" sections only evaluate the first N attempted questions', () => {
+    const limited = buildSection({ title: 'Optional', start: 1, count: 4, correct: '4', wrong: '-1', limit: '2' });
+    const result = grade({ 1: 'A', 3: 'C', 4: 'D' }, { 1: 'A', 2: 'B', 3: 'C', 4: 'D' }, [limited]);
+    assert.equal(result.totals.correct, 2);
+    assert.equal(result.totals.notEvaluated, 1);
+    assert.equal(result.totals.maxScore, 8);
+    assert.equal(result.questionResults[4].status, 'not-evaluated');
+});
+
+test('bonus questions give everyone full marks; dropped questions are excluded from the maximum', () => {
+    const result = grade({ 1: 'C', 2: 'D' }, { 1: 'BONUS', 2: 'DROPPED', 3: 'B', 4: 'C' }, [markedSingle]);
+    assert.equal(result.questionResults[1].status, 'bonus');
+    assert.equal(result.questionResults[2].status, 'dropped');
+    assert.equal(result.totals.maxScore, 12);
+    assert.equal(result.score.value, 4);
+    // An unanswered bonus question still scores.
+    assert.equal(grade({}, { 1: 'BONUS' }, [markedSingle]).score.value, 4);
+});
+
+test('"any of" key entries score the best of the accepted answers', () => {
+    assert.equal(normalizeKeyEntry('b or c', markedSingle), 'B|C');
+    assert.equal(normalizeKeyEntry('B/C', markedSingle), 'B|C');
+    assert.equal(formatKeyEntry('B|C'), 'B or C');
+    assert.deepEqual(evaluateResponse(markedSingle, 'C', 'B|C'), { status: 'correct', marks: 4 });
+    assert.deepEqual(evaluateResponse(markedSingle, 'D', 'B|C'), { status: 'incorrect', marks: -1 });
+});
+
+test('key entries are checked against the question type', () => {
+    assert.equal(normalizeKeyEntry('ca', multiple), 'AC');
+    assert.equal(normalizeKeyEntry('AC', markedSingle), null);
+    assert.equal(normalizeKeyEntry('E', markedSingle), null);
+    assert.equal(normalizeKeyEntry('12 to 10', numerical), '10-12');
+    assert.equal(normalizeKeyEntry('pq/r/s/t', matrix), null); // T is not a column of a 4-column matrix
+    assert.equal(normalizeKeyEntry('qp/r/s/', matrix), 'PQ/R/S/');
+    assert.equal(normalizeKeyEntry('drop', numerical), 'DROPPED');
+});
+
+test('a manual key must have one valid answer per question', () => {
+    assert.deepEqual(parseManualKey('abcd', [single]), { key: { 1: 'A', 2: 'B', 3: 'C', 4: 'D' }, error: '' });
+    assert.deepEqual(parseManualKey('A, B, C', [single]), { key: null, error: 'Manual key has 3 answers, but there are 4 questions.' });
+    assert.deepEqual(parseManualKey('A B C AC', [single]), { key: null, error: 'Answer "AC" for question 4 is not valid for a Single Correct question.' });
+    const parsed = parseManualKey('A B C D AC ABD 12.5 10-12 PQ/R/S/P', mixedSheet);
+    assert.equal(parsed.key[8], '10-12');
+    assert.equal(parsed.key[9], 'PQ/R/S/P');
+});
+
+test('parsed keys report duplicates, questions not on the sheet, invalid answers and missing questions', () => {
+    const parsed = parseKey([['Q', 'Answer'], [1, 'a'], [1, 'b'], [2, 'E'], [3, 'c'], [9, 'd']], [single]);
+    assert.deepEqual(parsed.key, { 1: 'A', 3: 'C' });
+    assert.deepEqual(parsed.missing, [2, 4]);
+    assert.deepEqual(parsed.warnings, [
+        'Duplicate entries: 1 (the first answer for each question is kept).',
+        'Entries for questions not on this sheet: 1.',
+        'Entries with an answer that is not valid for the question: 1.',
+        'Missing answers: Q2, Q4.',
+    ]);
+});
+
+test('questions missing from the key count as incorrect when answered', () => {
+    const result = grade({ 1: 'A', 2: 'B' }, { 1: 'A' }, [markedSingle]);
+    assert.equal(result.questionResults[2].status, 'incorrect');
+    assert.equal(result.score.value, 3);
+});
+
+test('keys are read from JSON objects, arrays and wrapped lists', () => {
+    assert.deepEqual(parseKey({ 1: 'b', 2: 'c' }, [single]).key, { 1: 'B', 2: 'C' });
+    assert.deepEqual(parseKey(['A', 'B', 'C', 'D'], [single]).key, { 1: 'A', 2: 'B', 3: 'C', 4: 'D' });
+    assert.deepEqual(parseKey({ answers: [{ q: 3, answer: 'D' }] }, [single]).key, { 3: 'D' });
+});
+
+test('CSV cells may be quoted and contain the delimiter or escaped quotes', () => {
+    assert.deepEqual(parseDelimitedText('Q,Answer\r\n1,"B, C"\n2,"say ""A"""', ','), [['Q', 'Answer'], ['1', 'B, C'], ['2', 'say "A"']]);
+    assert.deepEqual(parseKey(parseDelimitedText('1\tb\n2\td\n', '\t'), [single]).key, { 1: 'B', 2: 'D' });
+});
+
+test('text keys accept the usual separators, on one line or many', () => {
+    const entries = readKeyText('1. A 2) B\n3 - C\n4:D', [single]);
+    assert.deepEqual(entries.map(entry => [entry.questionNumber, entry.raw]), [[1, 'A'], [2, 'B'], [3, 'C'], [4, 'D']]);
+    assert.deepEqual(parseKey('1-A,2-C', [single]).key, { 1: 'A', 2: 'C' });
+});
+
+test('text keys do not mistake words, lowercase letters or page furniture for answers', () => {
+    assert.deepEqual(readKeyText('Answer Key 2024\n1. Apple 2. b Page 3 of 4', [single]), []);
+    assert.deepEqual(readKeyText('Q1. B', [single]).map(entry => entry.raw), ['B']);
+});
+
+test('text keys read numbers as answers only when the sheet has numerical questions', () => {
+    assert.deepEqual(readKeyText('1. 12.5', [single]), []);
+    const entries = readKeyText('7. 12.5 8) 10 to 12', mixedSheet);
+    assert.deepEqual(entries.map(entry => [entry.questionNumber, entry.raw]), [[7, '12.5'], [8, '10 to 12']]);
+    assert.deepEqual(parseKey('7. -3.5', mixedSheet).key, { 7: '-3.5' });
+});
+
+test('text keys do not split run-together digits into a question and a number answer', () => {
+    assert.deepEqual(readKeyText('112', mixedSheet), []);
+    assert.deepEqual(readKeyText('Answer Key 2024', mixedSheet), []);
+    assert.deepEqual(readKeyText('1. 112', mixedSheet).map(entry => [entry.questionNumber, entry.raw]), [[1, '112']]);
+    const entries = readKeyText('7 12 8:3 9) 2024 1A', mixedSheet);
+    assert.deepEqual(entries.map(entry => [entry.questionNumber, entry.raw]), [[7, '12'], [8, '3'], [9, '2024'], [1, 'A']]);
+});
+
+test('text keys recognise bonus, dropped, "any of" and matrix entries', () => {
+    const parsed = parseKey('1. Bonus 2. DROP 3. B/C 4. C or D 9. PQ/R/S/P', mixedSheet);
+    assert.deepEqual(parsed.key, { 1: 'BONUS', 2: 'DROPPED', 3: 'B|C', 4: 'C|D', 9: 'PQ/R/S/P' });
+});
+
+test('describeScore reports a count without marks and net marks with them', () => {
+    const totals = { correct: 3, bonus: 1, gained: 16, lost: -2, maxScore: 20 };
+    assert.deepEqual(describeScore(totals, [single]), { value: 4, score: '4 / 20', outOf: '' });
+    assert.deepEqual(describeScore(totals, [markedSingle]), { value: 14, score: '14', outOf: 'out of 20' });
+});
+
+test('confidence summaries give the accuracy and net marks of each tagged level', () => {
+    const key = { 1: 'A', 2: 'B', 3: 'C', 4: 'D' };
+    const responses = { 1: 'A', 2: 'C', 3: 'C', 4: 'A' };
+    const confidence = { 1: 'sure', 2: 'guess', 4: 'guess' };
+    const { questionResults } = grade(responses, key, [markedSingle]);
+    assert.deepEqual(summariseConfidence(questionResults, confidence), [
+        { level: 'sure', attempted: 1, correct: 1, partial: 0, incorrect: 0, accuracy: 100, net: 4 },
+        { level: 'guess', attempted: 2, correct: 0, partial: 0, incorrect: 2, accuracy: 0, net: -2 },
+        { level: 'untagged', attempted: 1, correct: 1, partial: 0, incorrect: 0, accuracy: 100, net: 4 },
+    ]);
+    const withoutGuesses = grade(skipByConfidence(responses, confidence, ['guess']), key, [markedSingle]);
+    assert.equal(withoutGuesses.score.value, 8);
+});
+
+// Set B reverses the single-correct questions and rotates the options of its first question; Q5-Q9 keep the master order.
+const setRows = [
+    ['Set', 'Question', 'Master Question', 'Option Order'],
+    ['B', 1, 4, 'BCDA'], ['B', 2, 3], ['B', 3, 2], ['B', 4, 1],
+    ...[5, 6, 7, 8, 9].map(n => ['B', n, n]),
+];
+
+test('set mapping sheets are told apart from answer keys by their header', () => {
+    assert.equal(isPaperSetRows(setRows), true);
+    assert.equal(isPaperSetRows([['Question', 'Answer'], [1, 'A']]), false);
+});
+
+test('a set answered on its own sheet scores the same as the master paper answered the same way', () => {
+    const { sets, errors } = readPaperSets(setRows, mixedSheet);
+    assert.deepEqual(errors, []);
+    const masterKey = { 1: 'A', 2: 'B', 3: 'C', 4: 'D', 5: 'AC', 6: 'B', 7: '5', 8: '1-2', 9: 'PQ/R/S/T' };
+    // The set's Q1 is master Q4 (key D); with options BCDA the set's C is the master's D.
+    const setResponses = { 1: 'C', 2: 'C', 3: 'A', 4: 'A', 5: 'AC' };
+    const masterResponses = toMasterResponses(setResponses, sets.B);
+    assert.deepEqual(masterResponses, { 4: 'D', 3: 'C', 2: 'A', 1: 'A', 5: 'AC' });
+    assert.deepEqual(toSetKey(masterKey, sets.B)[1], 'C');
+    const result = grade(masterResponses, masterKey, mixedSheet);
+    assert.deepEqual(toSetNumbering(result.questionResults, sets.B)[1], { status: 'correct', marks: 4 });
+    assert.deepEqual(toSetNumbering(result.questionResults, sets.B)[3], { status: 'incorrect', marks: -1 });
+});
+
+test('in an "attempt any N" section a set\'s answers count in the set\'s own question order', () => {
+    const limited = buildSection({ title: 'Optional', start: 1, count: 4, correct: '4', wrong: '-1', limit: '2' });
+    const rows = [['Set', 'Question', 'Master Question'], ['B', 1, 4], ['B', 2, 3], ['B', 3, 2], ['B', 4, 1]];
+    const { sets } = readPaperSets(rows, [limited]);
+    // The candidate answered the set's Q1-Q3 (master Q4, Q3, Q2); the set's Q3 is the one left over.
+    const masterResponses = toMasterResponses({ 1: 'D', 2: 'C', 3: 'B' }, sets.B);
+    const result = grade(masterResponses, { 1: 'A', 2: 'B', 3: 'C', 4: 'D' }, [limited], sets.B);
+    assert.equal(result.totals.correct, 2);
+    assert.equal(result.questionResults[2].status, 'not-evaluated');
+    assert.equal(toSetNumbering(result.questionResults, sets.B)[3].status, 'not-evaluated');
+    assert.equal(grade(masterResponses, { 1: 'A', 2: 'B', 3: 'C', 4: 'D' }, [limited]).questionResults[4].status, 'not-evaluated');
+});
+
+test('set keys keep bonus, dropped and "any of" entries', () => {
+    const { sets } = readPaperSets(setRows, mixedSheet);
+    assert.deepEqual(toSetKey({ 1: 'BONUS', 4: 'A|B', 3: 'DROPPED' }, sets.B), { 1: 'D|A', 2: 'DROPPED', 4: 'BONUS' });
+});
+
+test('sets that skip, repeat or move questions across sections are rejected', () => {
+    const rows = [
+        ['Set', 'Q', 'Master'],
+        ['C', 1, 1], ['C', 2, 1], ['C', 3, 5], ['C', 4, 4, 'ABCD'], ['C', 7, 8, 'BA'],
+        ['D', 1, 2, 'AB'],
+    ];
+    const { sets, errors } = readPaperSets(rows, mixedSheet);
+    assert.deepEqual(Object.keys(sets), []);
+    assert.match(errors[0], /^Set C: master question 1 is used more than once; question 3 maps to master question 5/);
+    assert.match(errors[1], /^Set D: the option order of question 1 must use each of ABCD once/);
+});
+
+test('sections from a file are rebuilt only when they number the questions from 1 and carry numeric marks', () => {
+    const fileSections = [
+        { title: 'Physics', start: 1, end: 3, type: 'single', optionCount: 4, correctMarks: 4, wrongMarks: -1, partialMarks: null, attemptLimit: null },
+        { title: 'Maths', start: 4, end: 5, type: 'numerical', optionCount: 4, correctMarks: 3, wrongMarks: null, partialMarks: null, attemptLimit: 1 },
+    ];
+    assert.deepEqual(readSheetSections(fileSections, 200), fileSections);
+    assert.equal(readSheetSections([{ ...fileSections[0], end: 10 ** 7 }], 200), null);
+    assert.equal(readSheetSections([fileSections[0], { ...fileSections[1], start: 5, end: 6 }], 200), null);
+    assert.equal(readSheetSections([{ ...fileSections[0], correctMarks: '4' }], 200), null);
+    assert.equal(readSheetSections([{ ...fileSections[0], attemptLimit: 4 }], 200), null);
+    assert.equal(readSheetSections('sections', 200), null);
+    const { correctMarks, ...withoutMarks } = fileSections[0];
+    assert.equal(readSheetSections([withoutMarks], 200)[0].correctMarks, null);
+});
+
+test('answers and records from a file are checked against its sheet', () => {
+    const { records, invalid } = readFileRecords({
+        responses: { 1: 'a', 5: 'ca', 7: ' 12.5 ', 9: 'qp/r//s', 2: '' },
+        reviewFlags: [2, 3],
+        confidenceTags: { 1: 'guess' },
+        questionTimings: { 1: { firstVisitMs: null, dwellMs: 0, changes: 0, lastAnswer: '' } },
+        answerLogs: { 1: [{ atMs: 10, action: 'select', answer: 'A' }] },
+    }, mixedSheet);
+    assert.deepEqual(invalid, []);
+    assert.deepEqual(records.responses, { 1: 'A', 2: '', 5: 'AC', 7: '12.5', 9: 'PQ/R//S' });
+    assert.deepEqual(records.warningThresholdsMs, []);
+    assert.equal(records.examDurationMs, null);
+    assert.deepEqual(readFileRecords({ responses: { 1: 5 } }, mixedSheet).invalid, ['responses']);
+    assert.deepEqual(readFileRecords({ responses: { 1: 'AB', 10: 'A' } }, mixedSheet).invalid, ['responses']);
+    assert.deepEqual(readFileRecords({ reviewFlags: { 1: true }, warningThresholdsMs: '5' }, mixedSheet).invalid, ['reviewFlags', 'warningThresholdsMs']);
+    assert.deepEqual(readFileRecords({ reviewFlags: [0, 10] }, mixedSheet).invalid, ['reviewFlags']);
+    assert.deepEqual(readFileRecords({ confidenceTags: { 1: 'maybe' }, answerLogs: { 1: {} } }, mixedSheet).invalid, ['confidenceTags', 'answerLogs']);
+    assert.deepEqual(readFileRecords({ questionTimings: { 1: { dwellMs: -1 } }, examDurationMs: 0 }, mixedSheet).invalid, ['questionTimings', 'examDurationMs']);
+});
+
+test('item analysis reports the share correct, option choices and point-biserial of each question', () => {
+    const key = { 1: 'A', 2: 'B', 3: 'C', 4: 'D' };
+    const candidates = [{ 1: 'A', 2: 'B', 3: 'C', 4: 'D' }, { 1: 'A', 2: 'B', 3: 'C' }, { 1: 'A', 2: 'B' }, { 1: 'B' }, { 1: 'B', 4: 'D' }]
+        .map(responses => {
+            const { questionResults, score } = grade(responses, key, [markedSingle]);
+            return { responses, questionResults, score: score.value };
+        });
+    const [first, , third] = analyseItems(candidates, key, [markedSingle]);
+    assert.equal(first.percentCorrect, 60);
+    assert.deepEqual(first.choices.map(choice => choice.percent), [60, 40, 0, 0]);
+    assert.deepEqual(first.topDistractor, { answer: 'B', count: 2, percent: 40 });
+    // Right: 16, 12 and 8 (mean 12); the rest: -1 and 3 (mean 1); all scores: SD 6.09, p = 0.6.
+    assert.equal(first.pointBiserial.toFixed(3), '0.885');
+    assert.equal(third.blankPercent, 60);
+    assert.deepEqual(first.keyFlags, []);
+    assert.equal(analyseItems(candidates, { 1: 'A', 2: 'BONUS' }, [markedSingle])[1].excluded, true);
+    assert.deepEqual(analyseItems([], key, [markedSingle]), []);
+});
+
+test('item analysis flags a key that strong candidates disagree with, once there are enough candidates', () => {
+    const candidate = (score, answer) => ({ score, responses: { 1: answer }, questionResults: { 1: { status: answer === 'A' ? 'correct' : 'incorrect' } } });
+    const candidates = [candidate(20, 'C'), candidate(18, 'C'), candidate(15, 'C'), candidate(5, 'A'), candidate(3, 'A')];
+    const [item] = analyseItems(candidates, { 1: 'A' }, [markedSingle]);
+    assert.ok(item.pointBiserial < 0);
+    assert.deepEqual(item.keyFlags, [{ reason: 'lower-scores' }, { reason: 'popular-distractor', answer: 'C' }, { reason: 'top-scorers', answer: 'C' }]);
+    assert.deepEqual(analyseItems(candidates.slice(0, 4), { 1: 'A' }, [markedSingle])[0].keyFlags, []);
+});
+
+test('paper sets saved in a file are checked like a set mapping sheet', () => {
+    const { sets } = readPaperSets([['Set', 'Q', 'Master'], ...[1, 2, 3, 4, 5, 6, 7, 8, 9].map(q => ['B', q, q])], mixedSheet);
+    assert.deepEqual(readStoredPaperSets(sets, mixedSheet).sets, sets);
+    const moved = { B: { ...sets.B, questionOrder: { ...sets.B.questionOrder, 1: 9 } } };
+    const { sets: loaded, errors } = readStoredPaperSets(moved, mixedSheet);
+    assert.deepEqual(loaded, {});
+    assert.equal(errors.length, 1);
+    assert.deepEqual(readStoredPaperSets('not sets', mixedSheet), { sets: {}, errors: [] });
+});
@@ -0,0 +1,42 @@
+/**
+ * @project Mock OMR Sheet - Translation Tests
+ * @description Run with `npm test` (Node 18 or later, no dependencies).
+ */
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { LANGUAGES, getLanguage, setLanguage, t } from '../i18n.js';
+import { buildSection, describeSection, formatKeyEntry, parseManualKey } from '../engine.js';
+
+const placeholdersOf = message => (message.match(/\{\w+\}/g) || []).sort();
+
+test('every catalogue has every English message, with the same placeholders', () => {
+    const english = LANGUAGES.en.messages;
+    Object.entries(LANGUAGES).forEach(([language, { messages }]) => {
+        assert.deepEqual(Object.keys(messages).sort(), Object.keys(english).sort(), `${language} keys`);
+        Object.keys(english).forEach(key => {
+            assert.deepEqual(placeholdersOf(messages[key]), placeholdersOf(english[key]), `${language} ${key}`);
+        });
+    });
+});
+
+test('placeholders are filled and unknown keys fall back to the key itself', () => {
+    assert.equal(t('results.correct', { count: 3 }), 'Correct: 3');
+    assert.equal(t('results.correct'), 'Correct: {count}');
+    assert.equal(t('no.such.message'), 'no.such.message');
+});
+
+test('switching language changes engine text and unknown languages fall back to English', () => {
+    const section = buildSection({ title: '', start: 1, count: 25, type: 'multiple', partial: '1', limit: '20' });
+    try {
+        assert.equal(setLanguage('hi'), 'hi');
+        assert.equal(formatKeyEntry('B|C'), 'B या C');
+        assert.equal(describeSection(section), 'Q1-25 | एक से अधिक सही उत्तर | आंशिक +1 | 25 में से कोई 20 करें');
+        assert.match(parseManualKey('AB', [section]).error, /^हाथ से लिखी कुंजी में 2 उत्तर हैं/);
+        assert.equal(setLanguage('fr'), 'en');
+        assert.equal(getLanguage(), 'en');
+        assert.equal(describeSection(section), 'Q1-25 | Multiple Correct | Partial +1 | Attempt any 20 of 25');
+    } finally {
+        setLanguage('en');
+    }
+});